@@ -0,0 +1,38 @@
+/**
+ * Mark accounts created before email verification as verified
+ *
+ * Usage:
+ *   npm run migrate:email-verified                  # accounts created before now
+ *   npm run migrate:email-verified -- 2026-05-01    # accounts created before a date
+ *
+ * Run once before setting REQUIRE_VERIFIED_EMAIL: accounts created before verification
+ * existed never got a link, and would all be locked out at once. Accounts created after
+ * the cutoff keep having to verify their address. Safe to run again.
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { default: connectDB } = await import('../src/config/database.js');
+const { default: User } = await import('../src/models/User.js');
+const { default: mongoose } = await import('mongoose');
+
+const cutoff = process.argv[2] ? new Date(process.argv[2]) : new Date();
+if (Number.isNaN(cutoff.getTime())) {
+  console.error(`Invalid date: ${process.argv[2]}`);
+  process.exit(1);
+}
+
+await connectDB();
+
+const result = await User.updateMany(
+  {
+    // Very old accounts may have no createdAt
+    $or: [{ createdAt: { $lt: cutoff } }, { createdAt: { $exists: false } }],
+    emailVerified: { $ne: true }
+  },
+  { $set: { emailVerified: true } }
+);
+
+console.log(`Done: ${result.modifiedCount} accounts created before ${cutoff.toISOString()} marked as verified`);
+await mongoose.disconnect();
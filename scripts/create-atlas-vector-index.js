@@ -0,0 +1,54 @@
+/**
+ * Create or update the Atlas vector search index used for chunk search
+ *
+ * Usage:
+ *   npm run vector-index:atlas              # dimensions of the active embedding model
+ *   npm run vector-index:atlas -- 768       # explicit dimensions
+ *
+ * Only works on MongoDB Atlas. The index (ATLAS_VECTOR_INDEX, default chunk_embedding)
+ * covers one vector size: chunks embedded with a model of another size are searched
+ * locally. Atlas builds the index in the background; searches use it once it is
+ * queryable (with VECTOR_SEARCH_BACKEND=auto, within 5 minutes).
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { default: connectDB } = await import('../src/config/database.js');
+const { default: MaterialChunk } = await import('../src/models/MaterialChunk.js');
+const { generateEmbedding, getActiveEmbeddingModel, getActiveEmbeddingProvider } = await import('../src/services/embeddingService.js');
+const { default: mongoose } = await import('mongoose');
+
+const name = process.env.ATLAS_VECTOR_INDEX || 'chunk_embedding';
+
+let dimensions = Number(process.argv[2]);
+if (!dimensions) {
+  // Embed a sample text to find the size of the active model's vectors
+  dimensions = (await generateEmbedding('dimension check')).length;
+  console.log(`${getActiveEmbeddingProvider()}/${getActiveEmbeddingModel()} vectors have ${dimensions} dimensions`);
+}
+
+const definition = {
+  fields: [
+    { type: 'vector', path: 'embedding', numDimensions: dimensions, similarity: 'cosine' },
+    // Pre-filters used by searches
+    { type: 'filter', path: 'material' },
+    { type: 'filter', path: 'user' },
+    { type: 'filter', path: 'embeddingProvider' },
+    { type: 'filter', path: 'embeddingModel' }
+  ]
+};
+
+await connectDB();
+
+const existing = (await MaterialChunk.listSearchIndexes()).find(index => index.name === name);
+if (existing) {
+  await MaterialChunk.updateSearchIndex(name, definition);
+  console.log(`Updated vector search index "${name}"`);
+} else {
+  await MaterialChunk.createSearchIndex({ name, type: 'vectorSearch', definition });
+  console.log(`Created vector search index "${name}"`);
+}
+
+console.log('Atlas is building it; check its status in the Atlas UI or GET /api/v1/admin/embeddings/index');
+await mongoose.disconnect();
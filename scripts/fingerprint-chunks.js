@@ -0,0 +1,71 @@
+/**
+ * Fingerprint chunks saved before duplicate detection and flag their duplicates
+ *
+ * Usage:
+ *   npm run migrate:fingerprints
+ *
+ * Each user's chunks are handled oldest first, so copies point at the first upload.
+ * Safe to run again; only chunks without a fingerprint are handled.
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { default: connectDB } = await import('../src/config/database.js');
+const { default: MaterialChunk } = await import('../src/models/MaterialChunk.js');
+const { markDuplicateChunks } = await import('../src/services/duplicateChunkService.js');
+const { default: mongoose } = await import('mongoose');
+
+const WRITE_BATCH = 200;
+
+await connectDB();
+await MaterialChunk.createIndexes();
+
+const users = await MaterialChunk.distinct('user', { contentHash: { $exists: false } });
+
+let fingerprinted = 0;
+let duplicates = 0;
+
+for (const userId of users) {
+  const cursor = MaterialChunk.find({ user: userId, contentHash: { $exists: false } })
+    .select('_id content')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor({ batchSize: WRITE_BATCH });
+
+  let batch = [];
+  let userDuplicates = 0;
+
+  const flush = async () => {
+    await markDuplicateChunks(userId, batch);
+    await MaterialChunk.bulkWrite(batch.map(chunk => ({
+      updateOne: {
+        filter: { _id: chunk._id },
+        update: {
+          $set: {
+            contentHash: chunk.contentHash,
+            simhash: chunk.simhash,
+            simhashBands: chunk.simhashBands,
+            ...(chunk.duplicateOf && { duplicateOf: chunk.duplicateOf })
+          }
+        }
+      }
+    })));
+
+    fingerprinted += batch.length;
+    userDuplicates += batch.filter(chunk => chunk.duplicateOf).length;
+    batch = [];
+  };
+
+  for await (const chunk of cursor) {
+    batch.push(chunk);
+    if (batch.length === WRITE_BATCH) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  duplicates += userDuplicates;
+  console.log(`User ${userId}: ${userDuplicates} duplicate chunks`);
+}
+
+console.log(`Done: ${fingerprinted} chunks fingerprinted, ${duplicates} duplicates flagged`);
+await mongoose.disconnect();
@@ -0,0 +1,43 @@
+/**
+ * Generate a JWT signing key pair for access tokens
+ *
+ * Usage:
+ *   npm run jwt:keygen            # RSA 2048 (RS256)
+ *   npm run jwt:keygen -- ec      # P-256 (ES256)
+ *
+ * Writes keys/jwt/<kid>.pem (or JWT_KEYS_DIR) and prints the kid.
+ *
+ * Rotating keys without logging anyone out:
+ *   1. Generate a new key and deploy it. It is published in /.well-known/jwks.json
+ *      but not used for signing yet, so other services can fetch it first.
+ *   2. Set JWT_SIGNING_KID to the new kid and redeploy. New tokens use the new key;
+ *      tokens signed with the old key keep working.
+ *   3. Replace the old <kid>.pem with its public half (<kid>.pub.pem, printed below
+ *      when you generate it or via `openssl pkey -pubout`).
+ *   4. Once JWT_EXPIRE has passed, delete the old key file.
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const type = process.argv[2] === 'ec' ? 'ec' : 'rsa';
+const dir = path.resolve(process.env.JWT_KEYS_DIR || 'keys/jwt');
+
+const { privateKey } = type === 'ec'
+  ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+  : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Date prefix keeps keys in rotation order when listed
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(4).toString('hex')}`;
+
+fs.mkdirSync(dir, { recursive: true });
+fs.writeFileSync(
+  path.join(dir, `${kid}.pem`),
+  privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  { mode: 0o600 }
+);
+
+console.log(`🔑 Created ${type.toUpperCase()} signing key ${path.join(dir, `${kid}.pem`)}`);
+console.log(`   Sign with it by setting JWT_SIGNING_KID=${kid}`);
+console.log('   Public key (save as <kid>.pub.pem when retiring this key):');
+console.log(crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' }));
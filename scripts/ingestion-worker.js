@@ -0,0 +1,35 @@
+/**
+ * Standalone material ingestion worker (also runs re-embedding jobs)
+ *
+ * Usage:
+ *   npm run worker
+ *
+ * The API server runs a worker too; set INGESTION_WORKER=off on the API servers
+ * to move embedding work onto dedicated worker processes instead.
+ * A job interrupted by shutdown is picked up again once its lease expires (5 minutes).
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// The embedding client reads GEMINI_API_KEY when imported, so load modules after dotenv
+const { default: connectDB } = await import('../src/config/database.js');
+const { startIngestionWorker, stopIngestionWorker } = await import('../src/services/ingestionService.js');
+const { startReembeddingWorker, stopReembeddingWorker } = await import('../src/services/reembeddingService.js');
+
+// This process exists to run the worker, whatever the API servers are set to
+delete process.env.INGESTION_WORKER;
+
+await connectDB();
+startIngestionWorker();
+startReembeddingWorker();
+
+const shutdown = () => {
+  console.log('Stopping ingestion worker');
+  stopIngestionWorker();
+  stopReembeddingWorker();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,97 @@
+/**
+ * Move chunks stored inside CourseMaterial documents into the MaterialChunk collection
+ *
+ * Usage:
+ *   npm run migrate:chunks
+ *
+ * Materials are migrated one at a time: their chunks are copied (keeping their ids),
+ * then removed from the material. Safe to run again; an interrupted run carries on
+ * with the materials that still have embedded chunks.
+ *
+ * Chunk orders used to come from the client and can repeat, so chunks are numbered
+ * 0, 1, 2, ... in reading order, and chunks already in the collection with a repeated
+ * order are numbered again. The indexes (orders are unique per material) are built last.
+ */
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { default: connectDB } = await import('../src/config/database.js');
+const { default: CourseMaterial } = await import('../src/models/CourseMaterial.js');
+const { default: MaterialChunk } = await import('../src/models/MaterialChunk.js');
+const { default: mongoose } = await import('mongoose');
+
+const WRITE_BATCH = 200;
+
+await connectDB();
+
+// The chunks field is no longer in the schema, so read the raw documents
+const cursor = CourseMaterial.collection.find(
+  { chunks: { $exists: true } },
+  { projection: { user: 1, embeddingModel: 1, chunks: 1 } }
+);
+
+let migratedMaterials = 0;
+let migratedChunks = 0;
+
+for await (const material of cursor) {
+  // Reading order (sort is stable, so chunks with the same order keep their array order)
+  const chunks = [...(material.chunks || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+
+  for (let i = 0; i < chunks.length; i += WRITE_BATCH) {
+    await MaterialChunk.bulkWrite(chunks.slice(i, i + WRITE_BATCH).map((chunk, offset) => ({
+      updateOne: {
+        filter: { _id: chunk._id },
+        update: {
+          $set: { order: i + offset },
+          $setOnInsert: {
+            material: material._id,
+            user: material.user,
+            content: chunk.content,
+            embedding: chunk.embedding,
+            ...(material.embeddingModel && { embeddingModel: material.embeddingModel }),
+            wordCount: chunk.wordCount || 0,
+            metadata: chunk.metadata || {}
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  await CourseMaterial.collection.updateOne(
+    { _id: material._id },
+    { $unset: { chunks: '' }, $set: { chunkCount: chunks.length } }
+  );
+
+  migratedMaterials++;
+  migratedChunks += chunks.length;
+  console.log(`Migrated ${chunks.length} chunks of material ${material._id}`);
+}
+
+console.log(`Done: ${migratedChunks} chunks from ${migratedMaterials} materials`);
+
+// Materials whose chunks were moved before orders were numbered on the server
+const repeated = await MaterialChunk.aggregate([
+  { $group: { _id: { material: '$material', order: '$order' }, count: { $sum: 1 } } },
+  { $match: { count: { $gt: 1 } } },
+  { $group: { _id: '$_id.material' } }
+]).allowDiskUse(true);
+
+for (const { _id: materialId } of repeated) {
+  const chunks = await MaterialChunk.find({ material: materialId })
+    .select('_id')
+    .sort({ order: 1, _id: 1 })
+    .lean();
+
+  for (let i = 0; i < chunks.length; i += WRITE_BATCH) {
+    await MaterialChunk.bulkWrite(chunks.slice(i, i + WRITE_BATCH).map((chunk, offset) => ({
+      updateOne: { filter: { _id: chunk._id }, update: { $set: { order: i + offset } } }
+    })));
+  }
+  console.log(`Numbered the ${chunks.length} chunks of material ${materialId} again (repeated orders)`);
+}
+
+await MaterialChunk.createIndexes();
+console.log('Chunk indexes are built');
+await mongoose.disconnect();
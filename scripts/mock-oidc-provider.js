@@ -0,0 +1,119 @@
+/**
+ * Minimal OpenID Connect provider for local SSO testing
+ *
+ * Usage:
+ *   npm run mock-idp
+ *
+ * Then point the backend at it:
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=studyspark-local
+ *   OIDC_REDIRECT_URI=http://localhost:3000/auth/sso/callback
+ *
+ * /authorize signs in immediately (no password) as the `login_hint` email,
+ * or MOCK_IDP_EMAIL, and redirects back with a code. Codes enforce PKCE (S256).
+ * Add `email_verified=false` to the authorize URL to simulate an unverified address.
+ */
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = process.env.MOCK_IDP_PORT || 4000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_EMAIL = process.env.MOCK_IDP_EMAIL || 'student@university.test';
+
+// Fresh signing key on every start
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes (in memory, single use)
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).send('client_id, redirect_uri and an S256 code_challenge are required');
+  }
+
+  const email = (login_hint || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(16).toString('hex');
+
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    email,
+    emailVerified: req.query.email_verified !== 'false',
+    expiresAt: Date.now() + 60 * 1000
+  });
+
+  const redirect = new URL(redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (state) redirect.searchParams.set('state', state);
+
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !entry || entry.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (entry.clientId !== client_id || entry.redirectUri !== redirect_uri || challenge !== entry.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const name = entry.email.split('@')[0].replace(/[._-]+/g, ' ');
+  const idToken = jwt.sign({
+    sub: crypto.createHash('sha256').update(entry.email).digest('hex').slice(0, 24),
+    email: entry.email,
+    email_verified: entry.emailVerified,
+    name: name.replace(/\b\w/g, c => c.toUpperCase()),
+    nonce: entry.nonce
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: client_id,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
@@ -31,7 +31,8 @@ const options = {
         bearerAuth: {
           type: 'http',
           scheme: 'bearer',
-          bearerFormat: 'JWT'
+          bearerFormat: 'JWT',
+          description: 'Login access token (JWT). Routes that list an API token scope also accept a personal access token (ssp_...)'
         }
       },
       schemas: {
@@ -44,7 +45,17 @@ const options = {
             school: { type: 'string', example: 'University of Lagos' },
             course: { type: 'string', example: 'Computer Science' },
             level: { type: 'string', example: '200' },
-            role: { type: 'string', enum: ['student', 'admin'], example: 'student' },
+            role: { type: 'string', enum: ['student', 'instructor', 'admin'], example: 'student' },
+            emailVerified: { type: 'boolean', example: true },
+            emailVerifiedAt: { type: 'string', format: 'date-time' },
+            isActive: { type: 'boolean', example: true },
+            mfa: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', example: false },
+                enabledAt: { type: 'string', format: 'date-time' }
+              }
+            },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' }
           }
@@ -89,6 +100,12 @@ const options = {
             endedAt: { type: 'string', format: 'date-time' },
             duration: { type: 'integer', example: 30, description: 'Duration in minutes' },
             createdBy: { type: 'string', example: '507f1f77bcf86cd799439011' },
+            courseId: { type: 'string', example: '507f1f77bcf86cd799439011', description: 'Course the quiz belongs to (live quizzes)' },
+            coInstructors: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Instructors who can start, end and view the quiz'
+            },
             questions: {
               type: 'array',
               items: { $ref: '#/components/schemas/Question' }
@@ -106,6 +123,23 @@ const options = {
             updatedAt: { type: 'string', format: 'date-time' }
           }
         },
+        Course: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', example: '507f1f77bcf86cd799439011' },
+            title: { type: 'string', example: 'Data Structures and Algorithms' },
+            code: { type: 'string', example: 'CSC201' },
+            description: { type: 'string' },
+            school: { type: 'string', example: 'University of Lagos' },
+            owner: { type: 'string', example: '507f1f77bcf86cd799439011' },
+            instructors: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
         Participant: {
           type: 'object',
           properties: {
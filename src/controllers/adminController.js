@@ -0,0 +1,719 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiToken from '../models/ApiToken.js';
+import { unlockAccount } from '../services/loginProtectionService.js';
+import { getUsageCounts } from '../services/accountService.js';
+import ReembeddingJob from '../models/ReembeddingJob.js';
+import { logSecurityEvent } from '../services/securityEventService.js';
+import { generateEmbedding, getActiveEmbeddingModel, getActiveEmbeddingProvider } from '../services/embeddingService.js';
+import { EMBEDDING_PROVIDERS } from '../services/embeddingProviders.js';
+import {
+  queueReembedding,
+  cancelReembedding,
+  getEmbeddingModelUsage
+} from '../services/reembeddingService.js';
+import { getVectorIndexStats, dropVectorIndexes } from '../services/vectorIndexService.js';
+import { getVectorSearchBackendStatus } from '../services/vectorSearchBackends.js';
+import { getEmbeddingCacheStats } from '../services/embeddingCacheService.js';
+
+const ROLES = ['student', 'instructor', 'admin'];
+const SORT_FIELDS = ['createdAt', 'name', 'email', 'role'];
+
+// Escape user input before using it in a regex search
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admin view of a user: public fields plus account status
+const toAdminJSON = (user, usage) => ({
+  ...user.toJSON(),
+  isActive: user.isActive,
+  locked: Boolean(user.loginSecurity?.lockedUntil && user.loginSecurity.lockedUntil > new Date()),
+  usage
+});
+
+// Re-embedding job with its progress percentage
+const toJobJSON = (job) => ({
+  ...job.toObject(),
+  progress: job.getProgress()
+});
+
+/**
+ * @desc    List users with search, filters and pagination
+ * @route   GET /api/v1/admin/users
+ * @access  Private (Admin)
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const { search, role, status } = req.query;
+    const sort = String(req.query.sort || '-createdAt');
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { school: pattern }, { course: pattern }];
+    }
+    if (role) {
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Role must be one of: ${ROLES.join(', ')}`
+        });
+      }
+      filter.role = role;
+    }
+    if (status === 'active') {
+      // Users created before deactivation existed have no isActive field
+      filter.isActive = { $ne: false };
+    } else if (status === 'deactivated') {
+      filter.isActive = false;
+    }
+
+    const sortField = sort.replace(/^-/, '');
+    if (!SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        success: false,
+        error: `Sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ [sortField]: sort.startsWith('-') ? -1 : 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    const usage = await getUsageCounts(users.map(user => user._id.toString()));
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      users: users.map(user => toAdminJSON(user, usage.get(user._id.toString())))
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+};
+
+/**
+ * @desc    Get a user with usage counts and account status
+ * @route   GET /api/v1/admin/users/:userId
+ * @access  Private (Admin)
+ */
+export const getUserById = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const now = new Date();
+    const [usage, activeSessions, activeApiTokens] = await Promise.all([
+      getUsageCounts([userId]),
+      RefreshToken.distinct('family', { userId, revokedAt: null, expiresAt: { $gt: now } }),
+      ApiToken.countDocuments({
+        userId,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      })
+    ]);
+
+    res.json({
+      success: true,
+      user: {
+        ...toAdminJSON(user, usage.get(userId)),
+        deactivatedAt: user.deactivatedAt,
+        deactivatedBy: user.deactivatedBy,
+        loginSecurity: {
+          failedAttempts: user.loginSecurity?.failedAttempts || 0,
+          lockedUntil: user.loginSecurity?.lockedUntil,
+          lockCount: user.loginSecurity?.lockCount || 0
+        },
+        activeSessions: activeSessions.length,
+        activeApiTokens
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch user'
+    });
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/v1/admin/users/:userId/role
+ * @access  Private (Admin)
+ */
+export const updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Stops the last admin from locking everyone out of the admin API
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    if (previousRole === role) {
+      return res.json({
+        success: true,
+        message: `User is already ${role}`,
+        user: toAdminJSON(user)
+      });
+    }
+
+    user.role = role;
+    await user.save({ validateModifiedOnly: true });
+
+    await logSecurityEvent({
+      type: 'role_changed',
+      userId: user._id,
+      severity: role === 'admin' ? 'warning' : 'info',
+      req,
+      details: { previousRole, role, changedBy: req.user.userId }
+    });
+
+    res.json({
+      success: true,
+      message: `Role changed from ${previousRole} to ${role}`,
+      user: toAdminJSON(user)
+    });
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change role'
+    });
+  }
+};
+
+/**
+ * @desc    Deactivate an account (signs it out everywhere)
+ * @route   POST /api/v1/admin/users/:userId/deactivate
+ * @access  Private (Admin)
+ */
+export const deactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (userId === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is already deactivated'
+      });
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user.userId;
+    await user.save({ validateModifiedOnly: true });
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const [sessions, apiTokens] = await Promise.all([
+      RefreshToken.updateMany(
+        { userId: user._id, revokedAt: null },
+        { revokedAt: Date.now(), revokedByIp: ipAddress, revokedReason: 'account_deactivated' }
+      ),
+      ApiToken.updateMany(
+        { userId: user._id, revokedAt: null },
+        { revokedAt: new Date() }
+      )
+    ]);
+
+    await logSecurityEvent({
+      type: 'account_deactivated',
+      userId: user._id,
+      severity: 'warning',
+      req,
+      details: {
+        deactivatedBy: req.user.userId,
+        revokedSessions: sessions.modifiedCount,
+        revokedApiTokens: apiTokens.modifiedCount
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deactivated and signed out of all sessions',
+      user: toAdminJSON(user)
+    });
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate account'
+    });
+  }
+};
+
+/**
+ * @desc    Reactivate a deactivated account
+ * @route   POST /api/v1/admin/users/:userId/reactivate
+ * @access  Private (Admin)
+ */
+export const reactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account is already active'
+      });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    await user.save({ validateModifiedOnly: true });
+
+    await logSecurityEvent({
+      type: 'account_reactivated',
+      userId: user._id,
+      req,
+      details: { reactivatedBy: req.user.userId }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account reactivated. The user can log in again',
+      user: toAdminJSON(user)
+    });
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate account'
+    });
+  }
+};
+
+/**
+ * @desc    Unlock an account locked by failed login attempts
+ * @route   POST /api/v1/admin/users/:userId/unlock
+ * @access  Private (Admin)
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const wasLocked = Boolean(user.loginSecurity?.lockedUntil && user.loginSecurity.lockedUntil > new Date());
+    await unlockAccount(user._id);
+
+    await logSecurityEvent({
+      type: 'account_unlocked',
+      userId: user._id,
+      req,
+      details: { unlockedBy: req.user.userId, wasLocked }
+    });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked; failed login attempts cleared'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock account'
+    });
+  }
+};
+
+/**
+ * @desc    Count materials and chunks per embedding model
+ * @route   GET /api/v1/admin/embeddings/models
+ * @access  Private (Admin)
+ */
+export const getEmbeddingModels = async (req, res) => {
+  try {
+    const { userId } = req.query;
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const [models, cache] = await Promise.all([
+      getEmbeddingModelUsage(userId),
+      getEmbeddingCacheStats()
+    ]);
+
+    res.json({
+      success: true,
+      activeProvider: getActiveEmbeddingProvider(),
+      activeModel: getActiveEmbeddingModel(),
+      models,
+      cache
+    });
+  } catch (error) {
+    console.error('Get embedding models error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch embedding models'
+    });
+  }
+};
+
+/**
+ * @desc    Start re-embedding one user's or all materials with another model
+ * @route   POST /api/v1/admin/embeddings/reembed
+ * @access  Private (Admin)
+ */
+export const startReembedding = async (req, res) => {
+  try {
+    const { userId, provider } = req.body;
+
+    if (provider !== undefined && !Object.hasOwn(EMBEDDING_PROVIDERS, provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Provider must be one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')}`
+      });
+    }
+
+    // Without a model: the provider's default model, or the active model
+    const targetProvider = provider || getActiveEmbeddingProvider();
+    const targetModel = typeof req.body.model === 'string' && req.body.model.trim()
+      ? req.body.model.trim()
+      : (provider ? EMBEDDING_PROVIDERS[provider].defaultModel : getActiveEmbeddingModel());
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID'
+        });
+      }
+      if (!await User.exists({ _id: userId })) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+    }
+
+    const existing = await ReembeddingJob.findOne({
+      scope: userId ? 'user' : 'all',
+      ...(userId && { user: userId }),
+      targetProvider,
+      targetModel,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'A re-embedding job for these materials is already in progress',
+        job: toJobJSON(existing)
+      });
+    }
+
+    // Fail now on a mistyped model instead of on every material
+    try {
+      await generateEmbedding('StudySpark embedding model check', targetModel, targetProvider);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Embedding model "${targetModel}" is not available from ${targetProvider}`
+      });
+    }
+
+    const job = await queueReembedding({ userId, targetProvider, targetModel, createdBy: req.user.userId });
+
+    res.status(202).json({
+      success: true,
+      message: 'Re-embedding queued. Search keeps using the current vectors until each material is migrated.',
+      job: toJobJSON(job),
+      statusUrl: `/api/v1/admin/embeddings/jobs/${job._id}`
+    });
+  } catch (error) {
+    console.error('Start re-embedding error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start re-embedding'
+    });
+  }
+};
+
+/**
+ * @desc    List re-embedding jobs (newest first)
+ * @route   GET /api/v1/admin/embeddings/jobs
+ * @access  Private (Admin)
+ */
+export const getReembeddingJobs = async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filter = {};
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const jobs = await ReembeddingJob.find(filter)
+      .select('-failures')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs: jobs.map(toJobJSON)
+    });
+  } catch (error) {
+    console.error('Get re-embedding jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch re-embedding jobs'
+    });
+  }
+};
+
+/**
+ * @desc    Get a re-embedding job with its progress and recent failures
+ * @route   GET /api/v1/admin/embeddings/jobs/:jobId
+ * @access  Private (Admin)
+ */
+export const getReembeddingJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await ReembeddingJob.findById(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: toJobJSON(job)
+    });
+  } catch (error) {
+    console.error('Get re-embedding job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch re-embedding job'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a queued or running re-embedding job
+ * @route   POST /api/v1/admin/embeddings/jobs/:jobId/cancel
+ * @access  Private (Admin)
+ */
+export const cancelReembeddingJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await cancelReembedding(jobId);
+    if (!job) {
+      const exists = await ReembeddingJob.exists({ _id: jobId });
+      return res.status(exists ? 400 : 404).json({
+        success: false,
+        error: exists ? 'Job has already finished' : 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Re-embedding cancelled. Materials already migrated keep their new vectors.',
+      job: toJobJSON(job)
+    });
+  } catch (error) {
+    console.error('Cancel re-embedding job error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel re-embedding job'
+    });
+  }
+};
+
+/**
+ * @desc    Get the vector search backend and ANN index size, latency and recall statistics
+ * @route   GET /api/v1/admin/embeddings/index
+ * @access  Private (Admin)
+ */
+export const getVectorIndex = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      backend: getVectorSearchBackendStatus(),
+      index: getVectorIndexStats()
+    });
+  } catch (error) {
+    console.error('Get vector index error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch vector index statistics'
+    });
+  }
+};
+
+/**
+ * @desc    Drop one user's or all ANN indexes so they are rebuilt from the stored chunks
+ * @route   POST /api/v1/admin/embeddings/index/rebuild
+ * @access  Private (Admin)
+ */
+export const rebuildVectorIndex = async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    await dropVectorIndexes(userId);
+
+    res.json({
+      success: true,
+      message: userId
+        ? 'Index dropped. It will be rebuilt on the user\'s next search.'
+        : 'All indexes dropped. Each is rebuilt on its user\'s next search.'
+    });
+  } catch (error) {
+    console.error('Rebuild vector index error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild vector index'
+    });
+  }
+};
+
+export default {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  getEmbeddingModels,
+  startReembedding,
+  getReembeddingJobs,
+  getReembeddingJob,
+  cancelReembeddingJob,
+  getVectorIndex,
+  rebuildVectorIndex
+};
@@ -0,0 +1,153 @@
+import mongoose from 'mongoose';
+import ApiToken, { API_TOKEN_SCOPES } from '../models/ApiToken.js';
+import { createApiToken } from '../services/apiTokenService.js';
+import { logSecurityEvent } from '../services/securityEventService.js';
+
+const MAX_ACTIVE_TOKENS = 25;
+
+// @desc    Create a personal access token
+// @route   POST /api/v1/auth/tokens
+// @access  Private
+export const createToken = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token name and at least one scope are required'
+      });
+    }
+
+    const unknownScopes = scopes.filter(scope => !API_TOKEN_SCOPES.includes(scope));
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown scopes: ${unknownScopes.join(', ')}`,
+        availableScopes: API_TOKEN_SCOPES
+      });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresInDays must be a whole number between 1 and 365'
+      });
+    }
+
+    const activeCount = await ApiToken.countDocuments({
+      userId: req.user.userId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_ACTIVE_TOKENS} active API tokens. Revoke one first`
+      });
+    }
+
+    const { token, apiToken } = await createApiToken(req.user.userId, { name, scopes, expiresInDays });
+
+    await logSecurityEvent({
+      type: 'api_token_created',
+      userId: req.user.userId,
+      req,
+      details: { tokenId: apiToken._id, name: apiToken.name, scopes: apiToken.scopes }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy the token now. It will not be shown again',
+      token,
+      apiToken
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API token'
+    });
+  }
+};
+
+// @desc    List personal access tokens
+// @route   GET /api/v1/auth/tokens
+// @access  Private
+export const getTokens = async (req, res) => {
+  try {
+    const tokens = await ApiToken.find({ userId: req.user.userId, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: tokens.length,
+      availableScopes: API_TOKEN_SCOPES,
+      tokens: tokens.map(token => ({
+        ...token.toJSON(),
+        expired: token.isExpired()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get API tokens error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API tokens'
+    });
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/v1/auth/tokens/:id
+// @access  Private
+export const revokeToken = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid token ID'
+      });
+    }
+
+    const apiToken = await ApiToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    await logSecurityEvent({
+      type: 'api_token_revoked',
+      userId: req.user.userId,
+      req,
+      details: { tokenId: apiToken._id, name: apiToken.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'API token revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API token'
+    });
+  }
+};
+
+export default {
+  createToken,
+  getTokens,
+  revokeToken
+};
@@ -1,31 +1,118 @@
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
 import RefreshToken from '../models/RefreshToken.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+import ApiToken from '../models/ApiToken.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../services/mailService.js';
+import { logSecurityEvent } from '../services/securityEventService.js';
+import { parseUserAgent } from '../utils/userAgent.js';
+import { issueTokens } from '../services/tokenService.js';
+import { createMfaChallenge } from '../services/mfaService.js';
+import { deleteUserAccount } from '../services/accountService.js';
+import { getJwks as getJwksKeys } from '../services/signingKeyService.js';
+import {
+  claimLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  recordSuccessfulLogin
+} from '../services/loginProtectionService.js';
+import {
+  isOidcConfigured,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken
+} from '../services/oidcService.js';
 
-// Generate Access Token (configurable via env or default 7 days)
-const generateAccessToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+// Create a fresh email verification token and email it to the user
+const issueEmailVerification = async (user, ipAddress) => {
+  // Invalidate older links so only the latest email works
+  await EmailVerificationToken.updateMany(
+    { userId: user._id, usedAt: null },
+    { usedAt: Date.now(), usedByIp: ipAddress }
   );
+
+  // Verification links are valid for 24 hours unless configured otherwise
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  const token = generateToken();
+  await EmailVerificationToken.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+    createdByIp: ipAddress
+  });
+
+  await sendVerificationEmail(user, token, expiresInHours);
 };
 
-// Generate Refresh Token (long-lived: 30 days)
-const generateRefreshToken = async (userId, ipAddress) => {
-  // Create random token
-  const token = crypto.randomBytes(40).toString('hex');
+const accountDeactivatedResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: 'This account has been deactivated. Please contact an administrator',
+    code: 'ACCOUNT_DEACTIVATED'
+  });
+};
 
-  // Save to database
-  const refreshToken = await RefreshToken.create({
-    token,
-    userId,
-    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
-    createdByIp: ipAddress
+// Finish a successful first factor (password or SSO): ask for a TOTP code when
+// MFA is enabled, otherwise issue the session tokens
+const completeLogin = async (user, req, res, extra = {}) => {
+  if (!user.isActive) {
+    return accountDeactivatedResponse(res);
+  }
+
+  if (user.mfa?.enabled) {
+    const mfaToken = await createMfaChallenge(user, req);
+
+    return res.json({
+      success: true,
+      mfaRequired: true,
+      mfaToken,
+      message: 'Enter the code from your authenticator app'
+    });
+  }
+
+  const { accessToken, refreshToken } = await issueTokens(user._id, req);
+
+  res.json({
+    success: true,
+    user: user.toJSON(),
+    ...extra,
+    // Roles that must use MFA can only reach enrollment until they turn it on
+    mfaEnrollmentRequired: user.isMfaRequired(),
+    accessToken,
+    refreshToken
   });
+};
+
+// Revoke a stolen token's family and record the incident
+const handleRefreshTokenReuse = async (storedToken, req, res) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const family = storedToken.family;
+
+  if (family) {
+    await RefreshToken.revokeFamily(family, ipAddress, 'reuse_detected');
+  }
 
-  return refreshToken.token;
+  await logSecurityEvent({
+    type: 'refresh_token_reuse',
+    userId: storedToken.userId,
+    severity: 'critical',
+    req,
+    details: {
+      family,
+      tokenId: storedToken._id.toString(),
+      originallyRevokedAt: storedToken.revokedAt
+    }
+  });
+
+  return res.status(401).json({
+    success: false,
+    error: 'Refresh token reuse detected. Please log in again',
+    code: 'REFRESH_TOKEN_REUSED'
+  });
 };
 
 // @desc    Register new user
@@ -62,10 +149,26 @@ export const register = async (req, res) => {
       level
     });
 
-    // Generate tokens
     const ipAddress = req.ip || req.connection.remoteAddress;
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = await generateRefreshToken(user._id, ipAddress);
+
+    // Send verification email (registration still succeeds if mail delivery fails)
+    try {
+      await issueEmailVerification(user, ipAddress);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Deployments that block login until verification don't get tokens yet
+    if (process.env.REQUIRE_VERIFIED_EMAIL === 'login') {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration successful. Please verify your email address before logging in',
+        user: user.toJSON()
+      });
+    }
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await issueTokens(user._id, req);
 
     res.status(201).json({
       success: true,
@@ -107,26 +210,51 @@ export const login = async (req, res) => {
       });
     }
 
+    // Refuse to evaluate the password while the account is locked or cooling down
+    const attempt = await claimLoginAttempt(user);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      return res.status(attempt.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        error: attempt.reason === 'locked'
+          ? 'Account temporarily locked after too many failed login attempts'
+          : 'Too many failed login attempts. Please wait before trying again',
+        code: attempt.reason === 'locked' ? 'ACCOUNT_LOCKED' : 'LOGIN_DELAYED',
+        retryAfter: attempt.retryAfterSeconds
+      });
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const { locked } = await recordFailedLogin(user, req);
       return res.status(401).json({
         success: false,
-        error: 'Invalid email or password'
+        error: locked
+          ? 'Invalid email or password. Account temporarily locked after too many failed attempts'
+          : 'Invalid email or password'
       });
     }
 
-    // Generate tokens
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const accessToken = generateAccessToken(user._id);
-    const refreshToken = await generateRefreshToken(user._id, ipAddress);
+    // With MFA, the counters are cleared once the code has been verified too
+    // (otherwise every new challenge would hand out fresh code guesses)
+    if (user.mfa?.enabled) {
+      await releaseLoginAttempt(user);
+    } else {
+      await recordSuccessfulLogin(user);
+    }
 
-    res.json({
-      success: true,
-      user: user.toJSON(),
-      accessToken,
-      refreshToken
-    });
+    // Block unverified accounts when the deployment requires it
+    if (process.env.REQUIRE_VERIFIED_EMAIL === 'login' && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Generate tokens (or MFA challenge)
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -165,6 +293,210 @@ export const getMe = async (req, res) => {
   }
 };
 
+// @desc    Update profile (name, school, course, level)
+// @route   PATCH /api/v1/auth/me
+// @access  Private
+export const updateMe = async (req, res) => {
+  try {
+    const allowedFields = ['name', 'school', 'course', 'level'];
+    const updates = Object.fromEntries(
+      allowedFields
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field]])
+    );
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide at least one of: ${allowedFields.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    Object.assign(user, updates);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', ')
+      });
+    }
+
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update profile'
+    });
+  }
+};
+
+// @desc    Change password (signs out all other sessions)
+// @route   POST /api/v1/auth/change-password
+// @access  Private
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password and new password are required'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account signs in with single sign-on and has no password'
+      });
+    }
+
+    // Wrong guesses count towards the account lockout like failed logins
+    const attempt = await claimLoginAttempt(user);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      return res.status(attempt.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        error: 'Too many failed password attempts. Please try again later',
+        retryAfter: attempt.retryAfterSeconds
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordFailedLogin(user, req);
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    await recordSuccessfulLogin(user);
+
+    // Hashed by the pre-save hook
+    user.password = newPassword;
+    await user.save();
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    // Outstanding reset links were issued for the old password
+    await PasswordResetToken.updateMany(
+      { userId: user._id, usedAt: null },
+      { usedAt: Date.now(), usedByIp: ipAddress }
+    );
+
+    // Keep the current session, sign out every other one
+    const result = await RefreshToken.updateMany(
+      {
+        userId: user._id,
+        revokedAt: null,
+        ...(req.user.sid && { family: { $ne: req.user.sid } })
+      },
+      { revokedAt: Date.now(), revokedByIp: ipAddress, revokedReason: 'password_change' }
+    );
+
+    await logSecurityEvent({
+      type: 'password_changed',
+      userId: user._id,
+      req,
+      details: { revokedSessions: result.modifiedCount }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other sessions have been signed out'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change password'
+    });
+  }
+};
+
+// @desc    Delete account and all personal data
+// @route   DELETE /api/v1/auth/me
+// @access  Private
+export const deleteMe = async (req, res) => {
+  try {
+    const { password, confirmEmail } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Password accounts confirm with their password, SSO accounts by typing their email
+    const confirmed = user.password
+      ? await user.comparePassword(password || '')
+      : typeof confirmEmail === 'string' && confirmEmail.toLowerCase().trim() === user.email;
+
+    if (!confirmed) {
+      return res.status(401).json({
+        success: false,
+        error: user.password ? 'Incorrect password' : 'Type your email address to confirm'
+      });
+    }
+
+    const deleted = await deleteUserAccount(user._id);
+
+    await logSecurityEvent({
+      type: 'account_deleted',
+      userId: user._id,
+      severity: 'warning',
+      req,
+      details: { email: user.email, deleted }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted',
+      deleted
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account'
+    });
+  }
+};
+
 // @desc    Logout user
 // @route   POST /api/v1/auth/logout
 // @access  Private
@@ -181,9 +513,10 @@ export const logout = async (req, res) => {
 
     // Revoke the refresh token
     const token = await RefreshToken.findOne({ token: refreshToken });
-    if (token) {
+    if (token && token.isActive()) {
       token.revokedAt = Date.now();
       token.revokedByIp = req.ip || req.connection.remoteAddress;
+      token.revokedReason = 'logout';
       await token.save();
     }
 
@@ -215,10 +548,25 @@ export const refreshAccessToken = async (req, res) => {
       });
     }
 
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
     // Find refresh token in database
     const storedToken = await RefreshToken.findOne({ token: refreshToken });
 
-    if (!storedToken || !storedToken.isActive()) {
+    if (!storedToken) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
+
+    // A rotated-out token being presented again means it was copied:
+    // revoke the whole family so neither the thief nor the victim can keep using it
+    if (storedToken.wasRotated()) {
+      return handleRefreshTokenReuse(storedToken, req, res);
+    }
+
+    if (!storedToken.isActive()) {
       return res.status(401).json({
         success: false,
         error: 'Invalid or expired refresh token'
@@ -234,16 +582,35 @@ export const refreshAccessToken = async (req, res) => {
       });
     }
 
-    // Generate new tokens
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const newAccessToken = generateAccessToken(user._id);
-    const newRefreshToken = await generateRefreshToken(user._id, ipAddress);
+    if (!user.isActive) {
+      return accountDeactivatedResponse(res);
+    }
 
-    // Revoke old refresh token and mark it as replaced
-    storedToken.revokedAt = Date.now();
-    storedToken.revokedByIp = ipAddress;
-    storedToken.replacedByToken = newRefreshToken;
-    await storedToken.save();
+    // Tokens issued before families existed start their own family here
+    storedToken.family = storedToken.family || crypto.randomUUID();
+
+    // Generate new tokens (same session as the rotated token)
+    const {
+      accessToken: newAccessToken,
+      refreshToken: newRefreshToken
+    } = await issueTokens(user._id, req, storedToken);
+
+    // Revoke old refresh token and mark it as replaced. The revokedAt: null condition
+    // makes this atomic, so two concurrent refreshes can't both rotate the same token
+    const rotatedToken = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, revokedAt: null },
+      {
+        family: storedToken.family,
+        revokedAt: Date.now(),
+        revokedByIp: ipAddress,
+        revokedReason: 'rotated',
+        replacedByToken: newRefreshToken
+      }
+    );
+
+    if (!rotatedToken) {
+      return handleRefreshTokenReuse(storedToken, req, res);
+    }
 
     res.json({
       success: true,
@@ -259,3 +626,559 @@ export const refreshAccessToken = async (req, res) => {
     });
   }
 };
+
+// @desc    Request password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists (prevents email enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    // Respond before creating the link and sending the email, so the response
+    // time doesn't tell whether the account exists either
+    res.json(genericResponse);
+
+    if (user) {
+      sendPasswordReset(user, req.ip || req.connection.remoteAddress)
+        .catch(error => console.error('Password reset email error:', error));
+    }
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during password reset request'
+    });
+  }
+};
+
+// Create a password reset link for a user and email it
+const sendPasswordReset = async (user, ipAddress) => {
+  // Invalidate any outstanding reset tokens so only the latest link works
+  await PasswordResetToken.updateMany(
+    { userId: user._id, usedAt: null },
+    { usedAt: Date.now(), usedByIp: ipAddress }
+  );
+
+  // Reset links are valid for 30 minutes unless configured otherwise
+  const expiresInMinutes = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES) || 30;
+  const token = generateToken();
+  await PasswordResetToken.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+    createdByIp: ipAddress
+  });
+
+  await sendPasswordResetEmail(user, token, expiresInMinutes);
+};
+
+// @desc    Reset password with token from email
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters'
+      });
+    }
+
+    // Claim the token in one update so parallel requests can't both use it
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: Date.now(), usedByIp: ipAddress },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    // Update password (hashed by the pre-save hook) and lift any lockout
+    user.password = password;
+    user.loginSecurity.failedAttempts = 0;
+    user.loginSecurity.lockedUntil = undefined;
+    await user.save();
+
+    // Sign out every session that used the old password
+    await RefreshToken.updateMany(
+      { userId: user._id, revokedAt: null },
+      { revokedAt: Date.now(), revokedByIp: ipAddress, revokedReason: 'password_reset' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during password reset'
+    });
+  }
+};
+
+// @desc    Verify email address with token from email
+// @route   POST /api/v1/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification token is required'
+      });
+    }
+
+    const verificationToken = await EmailVerificationToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!verificationToken || !verificationToken.isActive()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    const user = await User.findById(verificationToken.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    verificationToken.usedAt = Date.now();
+    verificationToken.usedByIp = req.ip || req.connection.remoteAddress;
+    await verificationToken.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during email verification'
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/v1/auth/resend-verification
+// @access  Public
+export const resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is required'
+      });
+    }
+
+    // Same response whether or not the account exists (prevents email enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent'
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || user.emailVerified) {
+      return res.json(genericResponse);
+    }
+
+    await issueEmailVerification(user, req.ip || req.connection.remoteAddress);
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while resending verification email'
+    });
+  }
+};
+
+// @desc    List active sessions (devices) for current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    // One active refresh token per session after rotation
+    const tokens = await RefreshToken.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    const sessions = [];
+    for (const token of tokens) {
+      // Tokens issued before sessions existed get their own session id
+      if (!token.family) {
+        token.family = crypto.randomUUID();
+        await token.save();
+      }
+
+      sessions.push({
+        id: token.family,
+        current: token.family === req.user.sid,
+        device: parseUserAgent(token.userAgent),
+        userAgent: token.userAgent,
+        ipAddress: token.createdByIp,
+        startedAt: token.sessionStartedAt || token.createdAt,
+        lastRefreshedAt: token.createdAt,
+        expiresAt: token.expiresAt
+      });
+    }
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sessions'
+    });
+  }
+};
+
+// @desc    Revoke a single session
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Only revoke sessions that belong to the current user
+    const session = await RefreshToken.exists({
+      userId: req.user.userId,
+      family: id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await RefreshToken.revokeFamily(id, req.ip || req.connection.remoteAddress, 'session_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      current: id === req.user.sid
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session'
+    });
+  }
+};
+
+// @desc    Log out of every session except the current one
+// @route   POST /api/v1/auth/sessions/revoke-others
+// @access  Private
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    let currentSession = req.user.sid;
+
+    // Access tokens issued before sessions existed: identify by refresh token
+    if (!currentSession && req.body.refreshToken) {
+      const token = await RefreshToken.findOne({
+        token: req.body.refreshToken,
+        userId: req.user.userId
+      });
+      currentSession = token?.family;
+    }
+
+    if (!currentSession) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not identify the current session. Please provide your refresh token'
+      });
+    }
+
+    const result = await RefreshToken.updateMany(
+      {
+        userId: req.user.userId,
+        family: { $ne: currentSession },
+        revokedAt: null
+      },
+      {
+        revokedAt: Date.now(),
+        revokedByIp: req.ip || req.connection.remoteAddress,
+        revokedReason: 'session_revoked'
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      revokedCount: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke other sessions'
+    });
+  }
+};
+
+// @desc    Public keys for verifying access tokens (JSON Web Key Set)
+// @route   GET /.well-known/jwks.json
+// @access  Public
+export const getJwks = async (req, res) => {
+  try {
+    // Short cache so verifiers pick up a new key soon after rotation
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwksKeys());
+
+  } catch (error) {
+    console.error('JWKS error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load signing keys'
+    });
+  }
+};
+
+// @desc    Start single sign-on (OIDC authorization code + PKCE)
+// @route   GET /api/v1/auth/oidc/authorize
+// @access  Public
+export const oidcAuthorize = async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Single sign-on is not configured'
+      });
+    }
+
+    const state = generateToken(16);
+    const nonce = generateToken(16);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+
+    // Logins must be completed within 10 minutes
+    await OidcLoginState.create({
+      state,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+      createdByIp: req.ip || req.connection.remoteAddress
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl({
+      state,
+      nonce,
+      codeChallenge,
+      loginHint: req.query.loginHint
+    });
+
+    res.json({
+      success: true,
+      authorizationUrl,
+      state
+    });
+
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start single sign-on'
+    });
+  }
+};
+
+// @desc    Complete single sign-on and issue tokens
+// @route   POST /api/v1/auth/oidc/callback
+// @access  Public
+export const oidcCallback = async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Single sign-on is not configured'
+      });
+    }
+
+    const { code, state } = req.body;
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        error: 'Code and state are required'
+      });
+    }
+
+    // Login state is single use
+    const loginState = await OidcLoginState.findOneAndDelete({ state });
+    if (!loginState || loginState.expiresAt.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired login state. Please start again'
+      });
+    }
+
+    let claims;
+    try {
+      const tokenResponse = await exchangeCode(code, loginState.codeVerifier);
+      claims = await verifyIdToken(tokenResponse.id_token, loginState.nonce);
+    } catch (providerError) {
+      console.error('OIDC token error:', providerError.message);
+      return res.status(401).json({
+        success: false,
+        error: 'Single sign-on failed. Please try again'
+      });
+    }
+
+    // Accounts are only linked by email addresses the provider has verified
+    if (!claims.email || claims.email_verified !== true) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your identity provider did not confirm a verified email address'
+      });
+    }
+
+    const user = await findOrCreateOidcUser(claims, req);
+    if (!user) {
+      return res.status(409).json({
+        success: false,
+        error: 'This email is already linked to a different single sign-on identity'
+      });
+    }
+
+    await completeLogin(user, req, res, {
+      profileComplete: Boolean(user.course && user.level)
+    });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during single sign-on'
+    });
+  }
+};
+
+// Find the user for verified OIDC claims: by linked identity, then by email (linking it),
+// otherwise create a new account. Returns null if the email is linked to another identity.
+const findOrCreateOidcUser = async (claims, req) => {
+  const issuer = claims.iss;
+  const subject = claims.sub;
+
+  let user = await User.findOne({ 'oidc.issuer': issuer, 'oidc.subject': subject });
+  if (user) {
+    return user;
+  }
+
+  user = await User.findOne({ email: claims.email.toLowerCase() });
+  if (user) {
+    if (user.oidc?.subject) {
+      return null;
+    }
+
+    user.oidc = { issuer, subject, linkedAt: new Date() };
+    if (!user.emailVerified) {
+      // Anyone could have registered the address before its owner signed in: drop the
+      // password, MFA and sessions set up with it so only the owner keeps access
+      const ipAddress = req.ip || req.connection.remoteAddress;
+      user.password = undefined;
+      user.mfa = { enabled: false };
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+
+      const [sessions, apiTokens] = await Promise.all([
+        RefreshToken.updateMany(
+          { userId: user._id, revokedAt: null },
+          { revokedAt: Date.now(), revokedByIp: ipAddress, revokedReason: 'unverified_account_linked' }
+        ),
+        ApiToken.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() })
+      ]);
+
+      await logSecurityEvent({
+        type: 'unverified_account_linked',
+        userId: user._id,
+        severity: 'warning',
+        req,
+        details: { issuer, revokedSessions: sessions.modifiedCount, revokedApiTokens: apiTokens.modifiedCount }
+      });
+      return user;
+    }
+
+    await user.save();
+    return user;
+  }
+
+  return User.create({
+    email: claims.email,
+    name: claims.name || claims.given_name || claims.email.split('@')[0],
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    oidc: { issuer, subject, linkedAt: new Date() }
+  });
+};
@@ -0,0 +1,345 @@
+import mongoose from 'mongoose';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import { canTeach, isCourseInstructor } from '../services/permissionService.js';
+import { loadCurrentUser } from '../middleware/auth.js';
+
+// Students enrolled per request
+const MAX_ENROL_EMAILS = 500;
+
+/**
+ * @desc    Create course (Instructor/Admin)
+ * @route   POST /api/v1/courses
+ * @access  Private (Instructor/Admin)
+ */
+export const createCourse = async (req, res) => {
+  try {
+    const { title, code, description, school } = req.body;
+
+    if (!title || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Title and code are required'
+      });
+    }
+
+    const existing = await Course.findOne({ code: code.toUpperCase().trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'A course with this code already exists'
+      });
+    }
+
+    const course = await Course.create({
+      title,
+      code,
+      description,
+      school,
+      owner: req.user.userId,
+      instructors: []
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      course
+    });
+  } catch (error) {
+    console.error('Create course error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create course'
+    });
+  }
+};
+
+/**
+ * @desc    Get courses the current user teaches
+ * @route   GET /api/v1/courses
+ * @access  Private (Instructor/Admin)
+ */
+export const getMyCourses = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const courses = await Course.find({
+      $or: [{ owner: userId }, { instructors: userId }]
+    })
+      .populate('owner', 'name email')
+      .populate('instructors', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: courses.length,
+      courses
+    });
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch courses'
+    });
+  }
+};
+
+/**
+ * @desc    Add co-instructor to course (Owner/Admin)
+ * @route   POST /api/v1/courses/:courseId/instructors
+ * @access  Private (Course owner/Admin)
+ */
+export const addCourseInstructor = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { userId } = req.body;
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid user ID is required'
+      });
+    }
+
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const currentUser = await loadCurrentUser(req);
+    if (currentUser.role !== 'admin' && course.owner.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the course owner can manage instructors'
+      });
+    }
+
+    const instructor = await User.findById(userId);
+    if (!canTeach(instructor)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Co-instructors must be existing instructor or admin accounts'
+      });
+    }
+
+    if (!course.hasInstructor(userId)) {
+      course.instructors.push(userId);
+      await course.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Instructor added successfully',
+      course
+    });
+  } catch (error) {
+    console.error('Add course instructor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add instructor'
+    });
+  }
+};
+
+/**
+ * @desc    Remove co-instructor from course (Owner/Admin)
+ * @route   DELETE /api/v1/courses/:courseId/instructors/:userId
+ * @access  Private (Course owner/Admin)
+ */
+export const removeCourseInstructor = async (req, res) => {
+  try {
+    const { courseId, userId } = req.params;
+
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const currentUser = await loadCurrentUser(req);
+    if (currentUser.role !== 'admin' && course.owner.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the course owner can manage instructors'
+      });
+    }
+
+    course.instructors = course.instructors.filter(id => id.toString() !== userId);
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Instructor removed successfully',
+      course
+    });
+  } catch (error) {
+    console.error('Remove course instructor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove instructor'
+    });
+  }
+};
+
+/**
+ * @desc    Enrol students in a course by email (Course instructors)
+ * @route   POST /api/v1/courses/:courseId/students
+ * @access  Private (Course instructors/Admin)
+ */
+export const addCourseStudents = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    const { emails } = req.body;
+
+    if (!Array.isArray(emails) || emails.length === 0 || emails.length > MAX_ENROL_EMAILS) {
+      return res.status(400).json({
+        success: false,
+        error: `Provide between 1 and ${MAX_ENROL_EMAILS} student emails`
+      });
+    }
+
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const currentUser = await loadCurrentUser(req);
+    if (!isCourseInstructor(currentUser, course)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not an instructor of this course'
+      });
+    }
+
+    const normalized = [...new Set(emails.map(email => String(email).toLowerCase().trim()))];
+    const users = await User.find({ email: { $in: normalized } }).select('email');
+    const found = new Set(users.map(user => user.email));
+
+    const added = users.filter(user => !course.hasStudent(user._id));
+    course.students.push(...added.map(user => user._id));
+    await course.save();
+
+    res.json({
+      success: true,
+      message: `${added.length} student(s) enrolled`,
+      enrolled: added.length,
+      alreadyEnrolled: users.length - added.length,
+      notFound: normalized.filter(email => !found.has(email))
+    });
+  } catch (error) {
+    console.error('Add course students error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enrol students'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a student from a course (Course instructors)
+ * @route   DELETE /api/v1/courses/:courseId/students/:userId
+ * @access  Private (Course instructors/Admin)
+ */
+export const removeCourseStudent = async (req, res) => {
+  try {
+    const { courseId, userId } = req.params;
+
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const currentUser = await loadCurrentUser(req);
+    if (!isCourseInstructor(currentUser, course)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not an instructor of this course'
+      });
+    }
+
+    course.students = course.students.filter(id => id.toString() !== userId);
+    await course.save();
+
+    res.json({
+      success: true,
+      message: 'Student removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove course student error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove student'
+    });
+  }
+};
+
+/**
+ * @desc    Get course by ID (Course instructors)
+ * @route   GET /api/v1/courses/:courseId
+ * @access  Private (Course instructors/Admin)
+ */
+export const getCourseById = async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const currentUser = await loadCurrentUser(req);
+    if (!isCourseInstructor(currentUser, course)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not an instructor of this course'
+      });
+    }
+
+    await course.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'instructors', select: 'name email' },
+      { path: 'students', select: 'name email' }
+    ]);
+
+    res.json({
+      success: true,
+      course
+    });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch course'
+    });
+  }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+// Find a course by ID (null for malformed IDs, which can't match a course)
+function findCourse(courseId) {
+  return mongoose.isValidObjectId(courseId) ? Course.findById(courseId) : null;
+}
+
+export default {
+  createCourse,
+  getMyCourses,
+  getCourseById,
+  addCourseInstructor,
+  removeCourseInstructor,
+  addCourseStudents,
+  removeCourseStudent
+};
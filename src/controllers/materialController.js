@@ -1,16 +1,43 @@
+import path from 'path';
+import mongoose from 'mongoose';
 import CourseMaterial from '../models/CourseMaterial.js';
-import { generateEmbeddings } from '../services/embeddingService.js';
-import { chunkText, countWords, isValidChunk } from '../utils/textChunker.js';
+import IngestionJob from '../models/IngestionJob.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+import MaterialShare from '../models/MaterialShare.js';
+import PendingChunk from '../models/PendingChunk.js';
+import { queueMaterialIngestion, getLatestJob, retryIngestion } from '../services/ingestionService.js';
+import { generateEmbedding, LEGACY_EMBEDDING_MODEL, LEGACY_EMBEDDING_PROVIDER } from '../services/embeddingService.js';
+import { detectFileType, extractText, addLocationMetadata } from '../services/documentExtractor.js';
+import {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_FOLDER_LENGTH,
+  MATERIAL_SORT_FIELDS,
+  normalizeFolder,
+  normalizeTags,
+  buildLibraryFilter,
+  parseMaterialSort,
+  searchLibrary,
+  getFolderSummary,
+  getTagSummary
+} from '../services/materialLibraryService.js';
+import { findShareForUser, describeShares } from '../services/materialShareService.js';
+import { relinkDuplicateChunks } from '../services/duplicateChunkService.js';
+import { chunkText, countWords, isValidChunk, CHUNKING_STRATEGIES } from '../utils/textChunker.js';
+
+// Chunk size for uploads, and the limits allowed when re-chunking
+const DEFAULT_MAX_TOKENS = 500;
+const DEFAULT_OVERLAP_WORDS = 50;
+const MAX_TOKENS_RANGE = [100, 2000];
 
 /**
- * @desc    Process course material (generate embeddings and store)
+ * @desc    Process course material (queues embedding in the background)
  * @route   POST /api/v1/study/materials/process
  * @access  Private
  */
 export const processMaterial = async (req, res) => {
   try {
     const { title, topic, subject, textChunks } = req.body;
-    const userId = req.user.userId;
 
     // Validate required fields
     if (!title || !topic) {
@@ -39,63 +66,122 @@ export const processMaterial = async (req, res) => {
       });
     }
 
-    // Create material document with processing status
-    const material = await CourseMaterial.create({
-      user: userId,
+    // Chunks are numbered on the server: sent orders only sort them (they can repeat or be missing)
+    const orderedChunks = validChunks
+      .map((chunk, index) => ({ chunk, sortKey: Number.isFinite(chunk.order) ? chunk.order : index }))
+      .sort((a, b) => a.sortKey - b.sortKey)
+      .map(({ chunk }) => ({ content: chunk.content, metadata: chunk.metadata }));
+
+    await queueMaterial(req, res, {
       title,
       topic,
-      subject: subject || 'General',
-      status: 'processing',
-      chunks: []
+      subject,
+      chunks: orderedChunks,
+      // Kept so the material can be re-chunked later
+      sourceText: orderedChunks.map(chunk => chunk.content.trim()).join('\n\n')
     });
+  } catch (error) {
+    console.error('Process material error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process material',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Upload a document (PDF, DOCX, PPTX, Markdown, TXT), extract its text and queue embedding
+ * @route   POST /api/v1/study/materials/upload
+ * @access  Private
+ */
+export const uploadMaterial = async (req, res) => {
+  try {
+    const { topic, subject, chunkingStrategy } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'A file is required (multipart field "file")'
+      });
+    }
+
+    if (!topic) {
+      return res.status(400).json({
+        success: false,
+        error: 'Topic is required'
+      });
+    }
+
+    if (chunkingStrategy && !CHUNKING_STRATEGIES.includes(chunkingStrategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid chunking strategy. Use one of: ${CHUNKING_STRATEGIES.join(', ')}`
+      });
+    }
 
-    // Generate embeddings for all chunks
+    const fileType = detectFileType(req.file.originalname, req.file.buffer);
+    if (!fileType) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported file type. Upload a PDF, DOCX, PPTX, Markdown or TXT file'
+      });
+    }
+
+    // Markdown notes have headings to chunk along; other files default to sentence chunking
+    const strategy = chunkingStrategy || (fileType === 'markdown' ? 'markdown' : 'sentence');
+
+    let extracted;
     try {
-      const chunkTexts = validChunks.map(chunk => chunk.content);
-      const embeddings = await generateEmbeddings(chunkTexts);
-
-      // Prepare chunks with embeddings
-      const chunksWithEmbeddings = validChunks.map((chunk, index) => ({
-        content: chunk.content,
-        order: chunk.order !== undefined ? chunk.order : index,
-        embedding: embeddings[index],
-        wordCount: countWords(chunk.content),
-        metadata: chunk.metadata || {}
-      }));
-
-      // Update material with chunks
-      material.chunks = chunksWithEmbeddings;
-      material.status = 'ready';
-      material.calculateStats();
-      await material.save();
-
-      res.status(201).json({
-        success: true,
-        message: 'Material processed successfully',
-        material: {
-          id: material._id,
-          title: material.title,
-          topic: material.topic,
-          subject: material.subject,
-          chunkCount: material.chunkCount,
-          wordCount: material.wordCount,
-          status: material.status,
-          createdAt: material.createdAt
-        }
-      });
-    } catch (embeddingError) {
-      // Update material status to failed
-      material.status = 'failed';
-      material.error = embeddingError.message;
-      await material.save();
-
-      throw embeddingError;
+      extracted = await extractText(req.file.buffer, fileType);
+    } catch (extractError) {
+      console.error('Text extraction error:', extractError);
+      return res.status(422).json({
+        success: false,
+        error: 'Could not read the file. It may be corrupted or password-protected',
+        details: extractError.message
+      });
+    }
+
+    // Chunk the whole document, then map each chunk back to its pages/slides
+    const chunks = addLocationMetadata(
+      chunkText(extracted.text, DEFAULT_MAX_TOKENS, DEFAULT_OVERLAP_WORDS, strategy),
+      extracted.sections
+    )
+      .filter(chunk => isValidChunk(chunk.content));
+
+    if (chunks.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: fileType === 'pdf'
+          ? 'Not enough text found in the file. Scanned PDFs need OCR before uploading'
+          : 'Not enough text found in the file'
+      });
     }
+
+    await queueMaterial(req, res, {
+      title: req.body.title || path.parse(req.file.originalname).name,
+      topic,
+      subject,
+      chunks,
+      chunkingStrategy: strategy,
+      chunkingOptions: { maxTokens: DEFAULT_MAX_TOKENS, overlapWords: DEFAULT_OVERLAP_WORDS },
+      sourceText: extracted.text,
+      sourceSections: extracted.sections,
+      sourceFile: {
+        fileName: req.file.originalname,
+        fileType,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        pageCount: extracted.pageCount,
+        slideCount: extracted.slideCount
+      }
+    });
   } catch (error) {
-    console.error('Process material error:', error);
+    console.error('Upload material error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to process material',
+      error: 'Failed to process uploaded file',
       details: error.message
     });
   }
@@ -109,34 +195,41 @@ export const processMaterial = async (req, res) => {
 export const getMaterials = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { topic, subject, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 100);
 
     // Build filter
-    const filter = { user: userId };
+    const { filter, error } = buildLibraryFilter(userId, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
 
-    if (topic) filter.topic = topic;
-    if (subject) filter.subject = subject;
-    if (status) filter.status = status;
+    const sort = parseMaterialSort(req.query.sort);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        error: `Sort must be one of: ${MATERIAL_SORT_FIELDS.join(', ')} (prefix with - for descending)`
+      });
+    }
 
-    const materials = await CourseMaterial.find(filter)
-      .select('-chunks.embedding') // Exclude embeddings from list view
-      .sort({ createdAt: -1 })
-      .limit(100);
+    const [materials, total] = await Promise.all([
+      CourseMaterial.find(filter)
+        .sort(sort)
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CourseMaterial.countDocuments(filter)
+    ]);
 
     res.json({
       success: true,
       count: materials.length,
-      materials: materials.map(m => ({
-        id: m._id,
-        title: m.title,
-        topic: m.topic,
-        subject: m.subject,
-        chunkCount: m.chunkCount,
-        wordCount: m.wordCount,
-        status: m.status,
-        createdAt: m.createdAt,
-        updatedAt: m.updatedAt
-      }))
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      materials: materials.map(toMaterialSummary)
     });
   } catch (error) {
     console.error('Get materials error:', error);
@@ -147,6 +240,111 @@ export const getMaterials = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Keyword search of the library (titles, tags, topics and material text)
+ * @route   GET /api/v1/study/materials/keyword-search
+ * @access  Private
+ */
+export const keywordSearchMaterials = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (!query) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query (q) is required'
+      });
+    }
+
+    const { filter, error } = buildLibraryFilter(req.user.userId, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const results = await searchLibrary(req.user.userId, query, filter);
+    const pageResults = results.slice((page - 1) * limit, page * limit);
+
+    res.json({
+      success: true,
+      query,
+      count: pageResults.length,
+      total: results.length,
+      page,
+      pages: Math.ceil(results.length / limit),
+      results: pageResults.map(result => ({
+        material: toMaterialSummary(result.material),
+        score: Number(result.score.toFixed(3)),
+        matchedIn: result.matchedIn,
+        matches: result.matches.map(match => ({
+          chunkId: match.chunkId,
+          order: match.order,
+          snippet: match.snippet,
+          headingPath: match.metadata?.headingPath,
+          pageStart: match.metadata?.pageStart,
+          slideStart: match.metadata?.slideStart
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Keyword search materials error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search materials'
+    });
+  }
+};
+
+/**
+ * @desc    List folders with the number of materials in each
+ * @route   GET /api/v1/study/materials/folders
+ * @access  Private
+ */
+export const getMaterialFolders = async (req, res) => {
+  try {
+    const folders = await getFolderSummary(req.user.userId);
+
+    res.json({
+      success: true,
+      count: folders.length,
+      folders
+    });
+  } catch (error) {
+    console.error('Get material folders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch folders'
+    });
+  }
+};
+
+/**
+ * @desc    List tags with the number of materials using each
+ * @route   GET /api/v1/study/materials/tags
+ * @access  Private
+ */
+export const getMaterialTags = async (req, res) => {
+  try {
+    const tags = await getTagSummary(req.user.userId);
+
+    res.json({
+      success: true,
+      count: tags.length,
+      tags
+    });
+  } catch (error) {
+    console.error('Get material tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tags'
+    });
+  }
+};
+
 /**
  * @desc    Get specific material by ID
  * @route   GET /api/v1/study/materials/:id
@@ -157,18 +355,24 @@ export const getMaterialById = async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
 
-    const material = await CourseMaterial.findOne({
-      _id: id,
-      user: userId
-    }).select('-chunks.embedding'); // Exclude embeddings for performance
+    const material = mongoose.Types.ObjectId.isValid(id) ? await CourseMaterial.findById(id) : null;
+    const isOwner = material?.user.toString() === userId;
 
-    if (!material) {
+    // Other users can read materials shared with them
+    const share = material && !isOwner ? await findShareForUser(userId, material._id) : null;
+
+    if (!material || (!isOwner && !share)) {
       return res.status(404).json({
         success: false,
         error: 'Material not found'
       });
     }
 
+    const chunks = await MaterialChunk.find({ material: material._id })
+      .select('-embedding') // Exclude embeddings for performance
+      .sort({ order: 1 })
+      .lean();
+
     res.json({
       success: true,
       material: {
@@ -176,14 +380,34 @@ export const getMaterialById = async (req, res) => {
         title: material.title,
         topic: material.topic,
         subject: material.subject,
+        // Library organisation is the owner's own
+        ...(isOwner ? {
+          folder: material.folder || '',
+          tags: material.tags,
+          starred: Boolean(material.starred),
+          archived: Boolean(material.archived)
+        } : {
+          shared: (await describeShares([share])).get(material._id.toString())
+        }),
+        sourceFile: material.sourceFile,
+        chunkingStrategy: material.chunkingStrategy,
+        chunkingOptions: material.chunkingOptions,
         chunkCount: material.chunkCount,
         wordCount: material.wordCount,
+        // Materials embedded before models were recorded used the legacy model
+        embeddingProvider: material.embeddingProvider || (material.chunkCount ? LEGACY_EMBEDDING_PROVIDER : null),
+        embeddingModel: material.embeddingModel || (material.chunkCount ? LEGACY_EMBEDDING_MODEL : null),
+        embeddingDimensions: material.embeddingDimensions || (material.chunkCount ? 768 : null),
         status: material.status,
-        chunks: material.chunks.map(c => ({
+        // Chunks repeating text from the owner's other materials (or earlier in this one)
+        duplicateChunkCount: chunks.filter(c => c.duplicateOf).length,
+        chunks: chunks.map(c => ({
           id: c._id,
           content: c.content,
           order: c.order,
-          wordCount: c.wordCount
+          wordCount: c.wordCount,
+          duplicateOf: c.duplicateOf,
+          metadata: c.metadata
         })),
         createdAt: material.createdAt,
         updatedAt: material.updatedAt
@@ -208,10 +432,9 @@ export const deleteMaterial = async (req, res) => {
     const { id } = req.params;
     const userId = req.user.userId;
 
-    const material = await CourseMaterial.findOneAndDelete({
-      _id: id,
-      user: userId
-    });
+    const material = mongoose.Types.ObjectId.isValid(id)
+      ? await CourseMaterial.findOneAndDelete({ _id: id, user: userId })
+      : null;
 
     if (!material) {
       return res.status(404).json({
@@ -220,6 +443,13 @@ export const deleteMaterial = async (req, res) => {
       });
     }
 
+    await Promise.all([
+      MaterialChunk.deleteMany({ material: material._id }),
+      IngestionJob.deleteMany({ material: material._id }),
+      PendingChunk.deleteMany({ material: material._id }),
+      MaterialShare.deleteMany({ material: material._id })
+    ]);
+
     res.json({
       success: true,
       message: 'Material deleted successfully'
@@ -242,25 +472,63 @@ export const updateMaterial = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.userId;
-    const { title, topic, subject } = req.body;
+    const { title, topic, subject, folder, tags, starred, archived } = req.body;
 
     const updateFields = {};
+    const unsetFields = {};
     if (title) updateFields.title = title;
     if (topic) updateFields.topic = topic;
     if (subject) updateFields.subject = subject;
 
-    if (Object.keys(updateFields).length === 0) {
+    if (folder !== undefined) {
+      const path = normalizeFolder(folder);
+      if (path.length > MAX_FOLDER_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Folder path must be at most ${MAX_FOLDER_LENGTH} characters`
+        });
+      }
+      // An empty folder moves the material to the top level
+      if (path) updateFields.folder = path;
+      else unsetFields.folder = 1;
+    }
+
+    if (tags !== undefined) {
+      const normalized = normalizeTags(tags);
+      if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return res.status(400).json({
+          success: false,
+          error: `Use at most ${MAX_TAGS} tags of up to ${MAX_TAG_LENGTH} characters`
+        });
+      }
+      updateFields.tags = normalized;
+    }
+
+    if (typeof starred === 'boolean') updateFields.starred = starred;
+
+    if (typeof archived === 'boolean') {
+      updateFields.archived = archived;
+      if (archived) updateFields.archivedAt = new Date();
+      else unsetFields.archivedAt = 1;
+    }
+
+    if (Object.keys(updateFields).length === 0 && Object.keys(unsetFields).length === 0) {
       return res.status(400).json({
         success: false,
         error: 'No fields to update'
       });
     }
 
-    const material = await CourseMaterial.findOneAndUpdate(
-      { _id: id, user: userId },
-      updateFields,
-      { new: true, select: '-chunks.embedding' }
-    );
+    const material = mongoose.Types.ObjectId.isValid(id)
+      ? await CourseMaterial.findOneAndUpdate(
+        { _id: id, user: userId },
+        {
+          $set: updateFields,
+          ...(Object.keys(unsetFields).length > 0 && { $unset: unsetFields })
+        },
+        { new: true }
+      )
+      : null;
 
     if (!material) {
       return res.status(404).json({
@@ -272,13 +540,7 @@ export const updateMaterial = async (req, res) => {
     res.json({
       success: true,
       message: 'Material updated successfully',
-      material: {
-        id: material._id,
-        title: material.title,
-        topic: material.topic,
-        subject: material.subject,
-        updatedAt: material.updatedAt
-      }
+      material: toMaterialSummary(material)
     });
   } catch (error) {
     console.error('Update material error:', error);
@@ -289,10 +551,623 @@ export const updateMaterial = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get processing status and progress of a material
+ * @route   GET /api/v1/study/materials/:id/status
+ * @access  Private
+ */
+export const getMaterialStatus = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req, 'status error chunkCount updatedAt');
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    const job = await getLatestJob(material._id);
+
+    res.json({
+      success: true,
+      status: material.status,
+      error: material.error,
+      chunkCount: material.chunkCount,
+      job: job ? {
+        status: job.status,
+        totalChunks: job.totalChunks,
+        embeddedChunks: job.embeddedChunks,
+        progress: job.getProgress(),
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' ? job.runAfter : undefined,
+        lastError: job.lastError,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+      } : null,
+      updatedAt: material.updatedAt
+    });
+  } catch (error) {
+    console.error('Get material status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch material status'
+    });
+  }
+};
+
+/**
+ * @desc    Retry processing a failed material (resumes from the last embedded chunk)
+ * @route   POST /api/v1/study/materials/:id/retry
+ * @access  Private
+ */
+export const retryMaterial = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req, 'status user');
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    if (material.status !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        error: `Only failed materials can be retried (status: ${material.status})`
+      });
+    }
+
+    const job = await retryIngestion(material);
+    if (!job) {
+      // Materials that failed before background processing have no stored text
+      return res.status(409).json({
+        success: false,
+        error: 'This material cannot be retried. Please upload it again'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Material queued for processing',
+      job: {
+        status: job.status,
+        totalChunks: job.totalChunks,
+        embeddedChunks: job.embeddedChunks,
+        progress: job.getProgress()
+      },
+      statusUrl: `/api/v1/study/materials/${material._id}/status`
+    });
+  } catch (error) {
+    console.error('Retry material error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry material'
+    });
+  }
+};
+
+
+/**
+ * @desc    List the chunks of a material (paginated, in reading order)
+ * @route   GET /api/v1/study/materials/:id/chunks
+ * @access  Private
+ */
+export const getMaterialChunks = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const material = await findReadableMaterial(req, 'status chunkCount');
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    const [chunks, total] = await Promise.all([
+      MaterialChunk.find({ material: material._id })
+        .select('-embedding')
+        .sort({ order: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      MaterialChunk.countDocuments({ material: material._id })
+    ]);
+
+    res.json({
+      success: true,
+      count: chunks.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      chunks: chunks.map(toChunkJSON)
+    });
+  } catch (error) {
+    console.error('Get material chunks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch chunks'
+    });
+  }
+};
+
+/**
+ * @desc    List the chunks of a material that repeat text from the user's other materials
+ * @route   GET /api/v1/study/materials/:id/duplicates
+ * @access  Private (Material owner)
+ */
+export const getMaterialDuplicates = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req, 'title');
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    const duplicates = await MaterialChunk.find({ material: material._id, duplicateOf: { $exists: true } })
+      .select('content order duplicateOf')
+      .sort({ order: 1 })
+      .lean();
+
+    const originals = await MaterialChunk.find({ _id: { $in: duplicates.map(chunk => chunk.duplicateOf) } })
+      .select('material order')
+      .populate('material', 'title')
+      .lean();
+    const originalsById = new Map(originals.map(chunk => [chunk._id.toString(), chunk]));
+
+    res.json({
+      success: true,
+      count: duplicates.length,
+      duplicates: duplicates.map(chunk => {
+        const original = originalsById.get(chunk.duplicateOf.toString());
+        return {
+          id: chunk._id,
+          order: chunk.order,
+          preview: chunk.content.substring(0, 150),
+          // null once the original chunk has been deleted
+          duplicateOf: original ? {
+            id: original._id,
+            order: original.order,
+            material: original.material && { id: original.material._id, title: original.material.title }
+          } : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get material duplicates error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch duplicate chunks'
+    });
+  }
+};
+
+/**
+ * @desc    Edit the text of a chunk (re-embedded straight away)
+ * @route   PATCH /api/v1/study/materials/:id/chunks/:chunkId
+ * @access  Private
+ */
+export const updateMaterialChunk = async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || !isValidChunk(content)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Content must be between 10 and 2000 words'
+      });
+    }
+
+    const material = await findOwnMaterial(req, 'status user embeddingProvider embeddingModel');
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    if (material.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'Material is still being processed. Try again once it is ready'
+      });
+    }
+
+    const chunk = await findMaterialChunk(material, req.params.chunkId);
+    if (!chunk) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chunk not found'
+      });
+    }
+
+    // Same model as the rest of the material, so its vectors stay comparable
+    const embeddingProvider = material.embeddingProvider || LEGACY_EMBEDDING_PROVIDER;
+    const embeddingModel = material.embeddingModel || LEGACY_EMBEDDING_MODEL;
+    const embedding = await generateEmbedding(content.trim(), embeddingModel, embeddingProvider);
+    const wordCount = countWords(content);
+
+    const updated = await MaterialChunk.findOneAndUpdate(
+      { _id: chunk._id },
+      { $set: { content: content.trim(), embedding, embeddingProvider, embeddingModel, wordCount } },
+      { new: true, projection: { embedding: 0 } }
+    ).lean();
+
+    const [, relinked] = await Promise.all([
+      CourseMaterial.updateOne(
+        { _id: material._id },
+        { $inc: { wordCount: wordCount - chunk.wordCount } }
+      ),
+      // The new text may (no longer) repeat other chunks
+      relinkDuplicateChunks(material.user, [chunk._id])
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Chunk updated and re-embedded',
+      chunk: toChunkJSON({
+        ...updated,
+        duplicateOf: relinked.find(({ _id }) => _id.toString() === chunk._id.toString())?.duplicateOf || undefined
+      })
+    });
+  } catch (error) {
+    console.error('Update chunk error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update chunk',
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a chunk from a material
+ * @route   DELETE /api/v1/study/materials/:id/chunks/:chunkId
+ * @access  Private
+ */
+export const deleteMaterialChunk = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req, 'status user');
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    if (material.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'Material is still being processed. Try again once it is ready'
+      });
+    }
+
+    // A retry resumes after the chunks already saved, so their number must not change
+    if (material.status === 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Material failed to process. Retry or re-chunk it first'
+      });
+    }
+
+    const chunk = await findMaterialChunk(material, req.params.chunkId);
+    if (!chunk) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chunk not found'
+      });
+    }
+
+    await MaterialChunk.deleteOne({ _id: chunk._id });
+    await Promise.all([
+      CourseMaterial.updateOne(
+        { _id: material._id },
+        { $inc: { chunkCount: -1, wordCount: -chunk.wordCount } }
+      ),
+      // Copies of the chunk point at the next copy instead
+      relinkDuplicateChunks(material.user, [chunk._id])
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Chunk deleted'
+    });
+  } catch (error) {
+    console.error('Delete chunk error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete chunk'
+    });
+  }
+};
+
+/**
+ * @desc    Split a material into chunks again with a different size or strategy
+ * @route   POST /api/v1/study/materials/:id/rechunk
+ * @access  Private
+ */
+export const rechunkMaterial = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req, '+sourceText +sourceSections');
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    if (material.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        error: 'Material is still being processed. Try again once it is ready'
+      });
+    }
+
+    const maxTokens = req.body.maxTokens !== undefined
+      ? Number(req.body.maxTokens)
+      : material.chunkingOptions?.maxTokens || DEFAULT_MAX_TOKENS;
+    const overlapWords = req.body.overlapWords !== undefined
+      ? Number(req.body.overlapWords)
+      : material.chunkingOptions?.overlapWords ?? DEFAULT_OVERLAP_WORDS;
+    const strategy = req.body.chunkingStrategy || material.chunkingStrategy || 'sentence';
+
+    if (!Number.isInteger(maxTokens) || maxTokens < MAX_TOKENS_RANGE[0] || maxTokens > MAX_TOKENS_RANGE[1]) {
+      return res.status(400).json({
+        success: false,
+        error: `maxTokens must be a whole number from ${MAX_TOKENS_RANGE[0]} to ${MAX_TOKENS_RANGE[1]}`
+      });
+    }
+
+    if (!Number.isInteger(overlapWords) || overlapWords < 0 || overlapWords >= maxTokens / 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'overlapWords must be a whole number from 0 to less than half of maxTokens'
+      });
+    }
+
+    if (!CHUNKING_STRATEGIES.includes(strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid chunking strategy. Use one of: ${CHUNKING_STRATEGIES.join(', ')}`
+      });
+    }
+
+    // Materials created before the text was kept are rebuilt from their chunks
+    const sourceText = material.sourceText || await rebuildTextFromChunks(material._id);
+    const chunks = addLocationMetadata(
+      chunkText(sourceText, maxTokens, overlapWords, strategy),
+      material.sourceSections || []
+    ).filter(chunk => isValidChunk(chunk.content));
+
+    if (chunks.length === 0) {
+      return res.status(422).json({
+        success: false,
+        error: 'Not enough text to re-chunk this material'
+      });
+    }
+
+    // Claim the material so a second request can't re-chunk it at the same time
+    const claimed = await CourseMaterial.updateOne(
+      { _id: material._id, status: material.status },
+      {
+        $set: {
+          status: 'processing',
+          chunkCount: 0,
+          wordCount: 0,
+          chunkingStrategy: strategy,
+          chunkingOptions: { maxTokens, overlapWords },
+          sourceText
+        },
+        $unset: { error: 1 }
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Material is already being processed'
+      });
+    }
+
+    let job;
+    try {
+      // The ingestion job resumes from the chunks already saved, so clear them first
+      await Promise.all([
+        MaterialChunk.deleteMany({ material: material._id }),
+        IngestionJob.deleteMany({ material: material._id }),
+        PendingChunk.deleteMany({ material: material._id })
+      ]);
+
+      job = await queueMaterialIngestion(material, chunks);
+    } catch (error) {
+      // Release the claim: no job will finish the material, and it can be re-chunked again
+      await CourseMaterial.updateOne(
+        { _id: material._id, status: 'processing' },
+        { status: 'failed', error: `Re-chunking could not be queued: ${error.message}` }
+      );
+      throw error;
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Material queued for re-chunking. It is left out of search until processing finishes',
+      chunking: { strategy, maxTokens, overlapWords },
+      job: {
+        status: job.status,
+        totalChunks: job.totalChunks,
+        embeddedChunks: job.embeddedChunks,
+        progress: job.getProgress()
+      },
+      statusUrl: `/api/v1/study/materials/${material._id}/status`
+    });
+  } catch (error) {
+    console.error('Re-chunk material error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to re-chunk material',
+      details: error.message
+    });
+  }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+// Material as shown in library lists
+const toMaterialSummary = (m) => ({
+  id: m._id,
+  title: m.title,
+  topic: m.topic,
+  subject: m.subject,
+  folder: m.folder || '',
+  tags: m.tags || [],
+  starred: Boolean(m.starred),
+  archived: Boolean(m.archived),
+  chunkCount: m.chunkCount,
+  wordCount: m.wordCount,
+  status: m.status,
+  createdAt: m.createdAt,
+  updatedAt: m.updatedAt
+});
+
+// Find a material owned by the current user (null for unknown or malformed ids)
+const findOwnMaterial = async (req, select) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  return CourseMaterial.findOne({ _id: req.params.id, user: req.user.userId }).select(select);
+};
+
+// Find a material owned by, or shared with, the current user
+const findReadableMaterial = async (req, select) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return null;
+  }
+  const material = await CourseMaterial.findById(req.params.id).select(`${select} user`);
+  if (!material || material.user.toString() === req.user.userId) {
+    return material;
+  }
+  return (await findShareForUser(req.user.userId, material._id)) ? material : null;
+};
+
+// Find a chunk of a material (without its embedding)
+const findMaterialChunk = async (material, chunkId) => {
+  if (!mongoose.Types.ObjectId.isValid(chunkId)) {
+    return null;
+  }
+  return MaterialChunk.findOne({ _id: chunkId, material: material._id }).select('-embedding').lean();
+};
+
+// Chunk as returned by the chunk endpoints
+const toChunkJSON = (chunk) => ({
+  id: chunk._id,
+  content: chunk.content,
+  order: chunk.order,
+  wordCount: chunk.wordCount,
+  embeddingProvider: chunk.embeddingProvider || LEGACY_EMBEDDING_PROVIDER,
+  embeddingModel: chunk.embeddingModel || LEGACY_EMBEDDING_MODEL,
+  // Earlier chunk of the owner's materials with the same or nearly the same text
+  duplicateOf: chunk.duplicateOf,
+  metadata: chunk.metadata,
+  updatedAt: chunk.updatedAt
+});
+
+// Join the chunks of a material back into one text, dropping the overlap between neighbours
+// Only used for materials saved before their full text was kept
+const rebuildTextFromChunks = async (materialId) => {
+  const chunks = await MaterialChunk.find({ material: materialId })
+    .select('content metadata.startChar metadata.endChar')
+    .sort({ order: 1 })
+    .lean();
+
+  let text = '';
+  let previousEnd = null;
+
+  for (const chunk of chunks) {
+    const startChar = chunk.metadata?.startChar;
+    let content = chunk.content;
+
+    if (previousEnd !== null && startChar >= 0 && startChar < previousEnd) {
+      content = content.slice(previousEnd - startChar).trim();
+    }
+    if (content) {
+      text += (text ? '\n\n' : '') + content;
+    }
+    previousEnd = chunk.metadata?.endChar >= 0 ? chunk.metadata.endChar : null;
+  }
+
+  return text;
+};
+
+// Create the material and queue its chunks for background embedding (202 response)
+// Clients poll GET /api/v1/study/materials/:id/status for progress
+const queueMaterial = async (req, res, { title, topic, subject, chunks, sourceFile, ...source }) => {
+  // Create material document with processing status
+  // source: sourceText, and for uploads sourceSections, chunkingStrategy and chunkingOptions
+  const material = await CourseMaterial.create({
+    user: req.user.userId,
+    title,
+    topic,
+    subject: subject || 'General',
+    sourceFile,
+    ...source,
+    status: 'processing'
+  });
+
+  let job;
+  try {
+    job = await queueMaterialIngestion(material, chunks);
+  } catch (error) {
+    // No job will finish the material: mark it failed so it can be re-chunked or deleted
+    await CourseMaterial.updateOne(
+      { _id: material._id },
+      { status: 'failed', error: `Material could not be queued: ${error.message}` }
+    );
+    throw error;
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Material queued for processing',
+    material: {
+      id: material._id,
+      title: material.title,
+      topic: material.topic,
+      subject: material.subject,
+      sourceFile: material.sourceFile,
+      chunkingStrategy: material.chunkingStrategy,
+      status: material.status,
+      createdAt: material.createdAt
+    },
+    job: {
+      status: job.status,
+      totalChunks: job.totalChunks,
+      embeddedChunks: job.embeddedChunks,
+      progress: job.getProgress()
+    },
+    statusUrl: `/api/v1/study/materials/${material._id}/status`
+  });
+};
+
 export default {
   processMaterial,
+  uploadMaterial,
   getMaterials,
+  keywordSearchMaterials,
+  getMaterialFolders,
+  getMaterialTags,
   getMaterialById,
   deleteMaterial,
-  updateMaterial
+  updateMaterial,
+  getMaterialStatus,
+  retryMaterial,
+  getMaterialChunks,
+  getMaterialDuplicates,
+  updateMaterialChunk,
+  deleteMaterialChunk,
+  rechunkMaterial
 };
@@ -0,0 +1,382 @@
+import mongoose from 'mongoose';
+import CourseMaterial from '../models/CourseMaterial.js';
+import MaterialShare from '../models/MaterialShare.js';
+import Course from '../models/Course.js';
+import User from '../models/User.js';
+import {
+  MAX_LINK_DAYS,
+  getSharedMaterialAccess,
+  getCourseLibraryShares,
+  describeShares,
+  shareWithUser,
+  createShareLink,
+  findShareLink,
+  joinShareLink,
+  publishToCourse,
+  revokeShare,
+  leaveShare
+} from '../services/materialShareService.js';
+import { isCourseInstructor } from '../services/permissionService.js';
+import { loadCurrentUser } from '../middleware/auth.js';
+
+/**
+ * @desc    List who a material is shared with
+ * @route   GET /api/v1/study/materials/:id/shares
+ * @access  Private (Material owner)
+ */
+export const getMaterialShares = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req);
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    const shares = await MaterialShare.find({ material: material._id })
+      .populate('sharedWith', 'name email')
+      .populate('course', 'code title')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: shares.length,
+      shares: shares.map(toShareJSON)
+    });
+  } catch (error) {
+    console.error('Get material shares error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shares'
+    });
+  }
+};
+
+/**
+ * @desc    Share a material with a user, create a share link, or publish it to a course library
+ * @route   POST /api/v1/study/materials/:id/shares
+ * @access  Private (Material owner; course instructors for course libraries)
+ */
+export const createMaterialShare = async (req, res) => {
+  try {
+    const { type, email, expiresInDays, courseId } = req.body;
+
+    if (!['user', 'link', 'course'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be one of: user, link, course'
+      });
+    }
+
+    const material = await findOwnMaterial(req);
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Material not found'
+      });
+    }
+
+    if (type === 'user') {
+      if (!email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email of the user to share with is required'
+        });
+      }
+
+      // Same response whether or not an account uses the email, so sharing can't be used
+      // to find out who has an account
+      const recipient = await User.findOne({ email: String(email).toLowerCase().trim() }).select('_id');
+
+      if (recipient?._id.toString() === req.user.userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot share a material with yourself'
+        });
+      }
+
+      if (recipient) {
+        await shareWithUser(material, recipient._id);
+      }
+
+      return res.json({
+        success: true,
+        message: 'If an account uses this email, the material is now shared with it'
+      });
+    }
+
+    if (type === 'link') {
+      const days = expiresInDays !== undefined ? Number(expiresInDays) : undefined;
+      if (days !== undefined && !(Number.isInteger(days) && days >= 1 && days <= MAX_LINK_DAYS)) {
+        return res.status(400).json({
+          success: false,
+          error: `expiresInDays must be a whole number between 1 and ${MAX_LINK_DAYS}`
+        });
+      }
+
+      const { share, token } = await createShareLink(material, days);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Share link created. Copy it now, it will not be shown again',
+        share: toShareJSON(share),
+        token,
+        url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/shared-materials/${token}`
+      });
+    }
+
+    // Course library
+    if (!courseId || !mongoose.isValidObjectId(courseId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid course ID is required'
+      });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        error: 'Course not found'
+      });
+    }
+
+    const currentUser = await loadCurrentUser(req);
+    if (!isCourseInstructor(currentUser, course)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only course instructors can publish to the course library'
+      });
+    }
+
+    const share = await publishToCourse(material, course._id);
+    share.course = course;
+
+    res.status(201).json({
+      success: true,
+      message: `Material published to the ${course.code} library`,
+      share: toShareJSON(share)
+    });
+  } catch (error) {
+    console.error('Create material share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to share material'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a share (revoking a link also removes access gained through it)
+ * @route   DELETE /api/v1/study/materials/:id/shares/:shareId
+ * @access  Private (Material owner)
+ */
+export const revokeMaterialShare = async (req, res) => {
+  try {
+    const material = await findOwnMaterial(req);
+    const share = material && mongoose.isValidObjectId(req.params.shareId)
+      ? await MaterialShare.findOne({ _id: req.params.shareId, material: material._id })
+      : null;
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share not found'
+      });
+    }
+
+    await revokeShare(share);
+
+    res.json({
+      success: true,
+      message: 'Share revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke material share error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke share'
+    });
+  }
+};
+
+/**
+ * @desc    List materials shared with the current user (directly, by link or in course libraries)
+ * @route   GET /api/v1/study/materials/shared
+ * @access  Private
+ */
+export const getSharedMaterials = async (req, res) => {
+  try {
+    const { course } = req.query;
+
+    if (course && !mongoose.isValidObjectId(course)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid course ID'
+      });
+    }
+
+    // A course library lists its materials even if they are also shared with the user directly
+    const shares = course
+      ? await getCourseLibraryShares(req.user.userId, course)
+      : [...(await getSharedMaterialAccess(req.user.userId)).values()];
+
+    const [materials, sources] = await Promise.all([
+      CourseMaterial.find({ _id: { $in: shares.map(share => share.material) } })
+        .select('title topic subject chunkCount wordCount status createdAt updatedAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      describeShares(shares)
+    ]);
+
+    res.json({
+      success: true,
+      count: materials.length,
+      materials: materials.map(m => ({
+        id: m._id,
+        title: m.title,
+        topic: m.topic,
+        subject: m.subject,
+        chunkCount: m.chunkCount,
+        wordCount: m.wordCount,
+        status: m.status,
+        ...sources.get(m._id.toString()),
+        createdAt: m.createdAt,
+        updatedAt: m.updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get shared materials error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch shared materials'
+    });
+  }
+};
+
+/**
+ * @desc    Add a material to your shared materials through a share link
+ * @route   POST /api/v1/study/materials/shared/links/:token
+ * @access  Private
+ */
+export const joinSharedMaterial = async (req, res) => {
+  try {
+    const link = await findShareLink(req.params.token);
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found or revoked'
+      });
+    }
+
+    if (link.isExpired()) {
+      return res.status(410).json({
+        success: false,
+        error: 'This share link has expired'
+      });
+    }
+
+    const material = await CourseMaterial.findById(link.material).select('title topic subject user');
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        error: 'Share link not found or revoked'
+      });
+    }
+
+    if (material.user.toString() === req.user.userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'This is your own material'
+      });
+    }
+
+    const { created } = await joinShareLink(link, req.user.userId);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Material added to your shared materials' : 'You already have access to this material',
+      material: {
+        id: material._id,
+        title: material.title,
+        topic: material.topic,
+        subject: material.subject
+      }
+    });
+  } catch (error) {
+    console.error('Join shared material error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open share link'
+    });
+  }
+};
+
+/**
+ * @desc    Remove a material shared with you (course library materials can't be removed)
+ * @route   DELETE /api/v1/study/materials/shared/:id
+ * @access  Private
+ */
+export const leaveSharedMaterial = async (req, res) => {
+  try {
+    const removed = mongoose.isValidObjectId(req.params.id)
+      ? await leaveShare(req.user.userId, req.params.id)
+      : 0;
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No material shared directly with you has this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shared material removed'
+    });
+  } catch (error) {
+    console.error('Leave shared material error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove shared material'
+    });
+  }
+};
+
+// ==================== HELPER FUNCTIONS ====================
+
+// Find a material owned by the current user
+const findOwnMaterial = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return null;
+  }
+  return CourseMaterial.findOne({ _id: req.params.id, user: req.user.userId }).select('user title');
+};
+
+// Share as returned to the material owner (link tokens are never returned again)
+const toShareJSON = (share) => ({
+  id: share._id,
+  type: share.type,
+  sharedWith: share.sharedWith?.email
+    ? { id: share.sharedWith._id, name: share.sharedWith.name, email: share.sharedWith.email }
+    : share.sharedWith,
+  viaLink: share.viaLink,
+  course: share.course?.code
+    ? { id: share.course._id, code: share.course.code, title: share.course.title }
+    : share.course,
+  expiresAt: share.expiresAt,
+  expired: share.type === 'link' ? share.isExpired() : undefined,
+  acceptCount: share.type === 'link' ? share.acceptCount : undefined,
+  createdAt: share.createdAt
+});
+
+export default {
+  getMaterialShares,
+  createMaterialShare,
+  revokeMaterialShare,
+  getSharedMaterials,
+  joinSharedMaterial,
+  leaveSharedMaterial
+};
@@ -0,0 +1,364 @@
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import MfaChallenge from '../models/MfaChallenge.js';
+import { encrypt, decrypt, isEncryptionConfigured } from '../utils/encryption.js';
+import {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes
+} from '../services/totpService.js';
+import { findActiveChallenge, verifyMfaInput } from '../services/mfaService.js';
+import { issueTokens, generateAccessToken } from '../services/tokenService.js';
+import { logSecurityEvent } from '../services/securityEventService.js';
+import {
+  claimLoginAttempt,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} from '../services/loginProtectionService.js';
+
+// @desc    Start TOTP enrollment (returns secret and otpauth URI for the QR code)
+// @route   POST /api/v1/auth/mfa/setup
+// @access  Private
+export const setupMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!isEncryptionConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Two-factor authentication is not available (ENCRYPTION_KEY is not set)'
+      });
+    }
+
+    // Secret stays pending until the user proves their app generates valid codes
+    const secret = generateSecret();
+    user.mfa.pendingSecret = encrypt(secret);
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri(user.email, secret),
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup'
+    });
+  }
+};
+
+// @desc    Confirm TOTP enrollment and get recovery codes
+// @route   POST /api/v1/auth/mfa/enable
+// @access  Private
+export const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required'
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+
+    if (!user || !user.mfa?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const secret = decrypt(user.mfa.pendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const recovery = generateRecoveryCodes();
+    user.mfa = {
+      enabled: true,
+      secret: encrypt(secret),
+      pendingSecret: undefined,
+      recoveryCodes: recovery.hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    await logSecurityEvent({
+      type: 'mfa_enabled',
+      userId: user._id,
+      req
+    });
+
+    // Upgrade the current session so role-gated routes work without logging in again
+    let accessToken;
+    if (req.user.sid) {
+      await RefreshToken.updateMany(
+        { family: req.user.sid, revokedAt: null },
+        { mfaVerified: true }
+      );
+      accessToken = generateAccessToken(user._id, req.user.sid, true);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes: recovery.codes,
+      accessToken
+    });
+
+  } catch (error) {
+    console.error('MFA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Complete login with TOTP or recovery code
+// @route   POST /api/v1/auth/mfa/verify
+// @access  Public
+export const verifyMfaLogin = async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'MFA token and a code or recovery code are required'
+      });
+    }
+
+    const challenge = await findActiveChallenge(mfaToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login session expired. Please log in again'
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been deactivated. Please contact an administrator',
+        code: 'ACCOUNT_DEACTIVATED'
+      });
+    }
+
+    // Wrong codes count towards the account lockout like wrong passwords
+    const attempt = await claimLoginAttempt(user);
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfterSeconds));
+      return res.status(attempt.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        error: 'Too many failed login attempts. Please try again later',
+        code: attempt.reason === 'locked' ? 'ACCOUNT_LOCKED' : 'LOGIN_DELAYED',
+        retryAfter: attempt.retryAfterSeconds
+      });
+    }
+
+    // Use up an attempt before checking the code
+    const claimed = await MfaChallenge.claimAttempt(challenge._id);
+    if (!claimed) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login session expired. Please log in again'
+      });
+    }
+
+    const method = verifyMfaInput(user, { code, recoveryCode });
+    if (!method) {
+      const { locked } = await recordFailedLogin(user, req);
+
+      return res.status(401).json({
+        success: false,
+        error: locked
+          ? 'Invalid verification code. Account temporarily locked after too many failed attempts'
+          : 'Invalid verification code',
+        remainingAttempts: claimed.remainingAttempts()
+      });
+    }
+
+    if (!(await MfaChallenge.markUsed(challenge._id))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login session expired. Please log in again'
+      });
+    }
+
+    // Failure counters are only cleared once both factors have passed
+    await recordSuccessfulLogin(user);
+    await user.save();
+
+    if (method === 'recovery_code') {
+      await logSecurityEvent({
+        type: 'mfa_recovery_code_used',
+        userId: user._id,
+        severity: 'warning',
+        req,
+        details: { remainingCodes: user.mfa.recoveryCodes.length }
+      });
+    }
+
+    const { accessToken, refreshToken } = await issueTokens(user._id, req, null, { mfaVerified: true });
+
+    res.json({
+      success: true,
+      user: user.toJSON(),
+      accessToken,
+      refreshToken,
+      remainingRecoveryCodes: user.mfa.recoveryCodes.length
+    });
+
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during two-factor verification'
+    });
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/mfa/disable
+// @access  Private
+export const disableMfa = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (user.isMfaRequired()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    // SSO-only accounts have no password to confirm
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Incorrect password'
+      });
+    }
+
+    if (!verifyMfaInput(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    user.mfa = { enabled: false };
+    await user.save();
+
+    await logSecurityEvent({
+      type: 'mfa_disabled',
+      userId: user._id,
+      severity: 'warning',
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace recovery codes (invalidates the old ones)
+// @route   POST /api/v1/auth/mfa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user || !user.mfa?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Only a fresh TOTP code (not a recovery code) can mint new recovery codes
+    if (!verifyMfaInput(user, { code })) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+
+    const recovery = generateRecoveryCodes();
+    user.mfa.recoveryCodes = recovery.hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      recoveryCodes: recovery.codes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes'
+    });
+  }
+};
+
+export default {
+  setupMfa,
+  enableMfa,
+  verifyMfaLogin,
+  disableMfa,
+  regenerateRecoveryCodes
+};
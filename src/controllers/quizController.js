@@ -1,7 +1,11 @@
+import mongoose from 'mongoose';
 import Quiz from '../models/Quiz.js';
 import QuizAttempt from '../models/QuizAttempt.js';
 import User from '../models/User.js';
+import Course from '../models/Course.js';
 import { generateValidatedQuiz } from '../services/generatequiz.js';
+import { canTeach, isCourseInstructor } from '../services/permissionService.js';
+import { loadCurrentUser } from '../middleware/auth.js';
 
 // ========== LIVE QUIZ ENDPOINTS ==========
 
@@ -118,13 +122,13 @@ export const generateQuestions = async (req, res) => {
 };
 
 /**
- * @desc    Create live quiz and generate code for users to join (Admin)
+ * @desc    Create live quiz and generate code for users to join (Instructor/Admin)
  * @route   POST /api/v1/quiz/live/create
- * @access  Private (Admin)
+ * @access  Private (Instructor/Admin)
  */
 export const createLiveQuiz = async (req, res) => {
   try {
-    const { title, topic, subject, difficulty, questions, timeLimit } = req.body;
+    const { title, topic, subject, difficulty, questions, timeLimit, courseId, coInstructors } = req.body;
 
     if (!title || !topic || !questions || questions.length === 0) {
       return res.status(400).json({
@@ -133,6 +137,34 @@ export const createLiveQuiz = async (req, res) => {
       });
     }
 
+    // Quizzes can only be attached to courses the creator teaches
+    if (courseId) {
+      const course = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+      const user = await loadCurrentUser(req);
+
+      if (!course) {
+        return res.status(404).json({
+          success: false,
+          error: 'Course not found'
+        });
+      }
+
+      if (!isCourseInstructor(user, course)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You are not an instructor of this course'
+        });
+      }
+    }
+
+    const coInstructorIds = await findTeachingUserIds(coInstructors || []);
+    if (!coInstructorIds) {
+      return res.status(400).json({
+        success: false,
+        error: 'Co-instructors must be existing instructor or admin accounts'
+      });
+    }
+
     // Create quiz with live type
     const quiz = await Quiz.create({
       title,
@@ -140,6 +172,8 @@ export const createLiveQuiz = async (req, res) => {
       subject,
       type: 'live',
       createdBy: req.user.userId,
+      courseId,
+      coInstructors: coInstructorIds,
       questions,
       difficulty: difficulty || 'medium',
       questionCount: questions.length,
@@ -264,30 +298,14 @@ export const joinQuiz = async (req, res) => {
 };
 
 /**
- * @desc    Start live quiz (Admin)
+ * @desc    Start live quiz (Creator, co-instructor or course instructor)
  * @route   POST /api/v1/quiz/live/start/:quizId
- * @access  Private (Admin)
+ * @access  Private (Quiz instructors)
  */
 export const startQuiz = async (req, res) => {
   try {
-    const { quizId } = req.params;
-
-    const quiz = await Quiz.findById(quizId);
-
-    if (!quiz) {
-      return res.status(404).json({
-        success: false,
-        error: 'Quiz not found'
-      });
-    }
-
-    // Check if user is the creator
-    if (quiz.createdBy.toString() !== req.user.userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'You are not authorized to start this quiz'
-      });
-    }
+    // Quiz is loaded and permission-checked by authorizeQuiz middleware
+    const quiz = req.quiz;
 
     if (quiz.isLive) {
       return res.status(400).json({
@@ -324,30 +342,14 @@ export const startQuiz = async (req, res) => {
 };
 
 /**
- * @desc    End live quiz (Admin)
+ * @desc    End live quiz (Creator, co-instructor or course instructor)
  * @route   POST /api/v1/quiz/live/end/:quizId
- * @access  Private (Admin)
+ * @access  Private (Quiz instructors)
  */
 export const endQuiz = async (req, res) => {
   try {
-    const { quizId } = req.params;
-
-    const quiz = await Quiz.findById(quizId);
-
-    if (!quiz) {
-      return res.status(404).json({
-        success: false,
-        error: 'Quiz not found'
-      });
-    }
-
-    // Check if user is the creator
-    if (quiz.createdBy.toString() !== req.user.userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'You are not authorized to end this quiz'
-      });
-    }
+    // Quiz is loaded and permission-checked by authorizeQuiz middleware
+    const quiz = req.quiz;
 
     // End quiz
     quiz.isLive = false;
@@ -376,6 +378,77 @@ export const endQuiz = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Add co-instructor to live quiz (Creator/Admin)
+ * @route   POST /api/v1/quiz/live/:quizId/co-instructors
+ * @access  Private (Quiz owner)
+ */
+export const addCoInstructor = async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const quiz = req.quiz;
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User ID is required'
+      });
+    }
+
+    const coInstructorIds = await findTeachingUserIds([userId]);
+    if (!coInstructorIds) {
+      return res.status(400).json({
+        success: false,
+        error: 'Co-instructors must be existing instructor or admin accounts'
+      });
+    }
+
+    if (!quiz.coInstructors.some(id => id.toString() === userId)) {
+      quiz.coInstructors.push(userId);
+      await quiz.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Co-instructor added successfully',
+      coInstructors: quiz.coInstructors
+    });
+  } catch (error) {
+    console.error('Add co-instructor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add co-instructor'
+    });
+  }
+};
+
+/**
+ * @desc    Remove co-instructor from live quiz (Creator/Admin)
+ * @route   DELETE /api/v1/quiz/live/:quizId/co-instructors/:userId
+ * @access  Private (Quiz owner)
+ */
+export const removeCoInstructor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const quiz = req.quiz;
+
+    quiz.coInstructors = quiz.coInstructors.filter(id => id.toString() !== userId);
+    await quiz.save();
+
+    res.json({
+      success: true,
+      message: 'Co-instructor removed successfully',
+      coInstructors: quiz.coInstructors
+    });
+  } catch (error) {
+    console.error('Remove co-instructor error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove co-instructor'
+    });
+  }
+};
+
 // ========== PERSONAL QUIZ ENDPOINTS ==========
 
 /**
@@ -634,34 +707,19 @@ export const getPersonalQuizzes = async (req, res) => {
 };
 
 /**
- * @desc    Get live quiz by ID (for admin dashboard)
+ * @desc    Get live quiz by ID (for instructor dashboard)
  * @route   GET /api/v1/quiz/live/:quizId
- * @access  Private
+ * @access  Private (Quiz instructors)
  */
 export const getLiveQuiz = async (req, res) => {
   try {
-    const { quizId } = req.params;
-
-    const quiz = await Quiz.findById(quizId);
-
-    if (!quiz) {
-      return res.status(404).json({
-        success: false,
-        error: 'Quiz not found'
-      });
-    }
-
-    // Check if user is the creator
-    if (quiz.createdBy.toString() !== req.user.userId) {
-      return res.status(403).json({
-        success: false,
-        error: 'You are not authorized to view this quiz'
-      });
-    }
+    // Quiz is loaded and permission-checked by authorizeQuiz middleware
+    const quiz = req.quiz;
 
     res.json({
       success: true,
-      quiz
+      quiz,
+      access: req.quizAccess
     });
   } catch (error) {
     console.error('Get live quiz error:', error);
@@ -740,6 +798,21 @@ export const createPersonalQuiz = async (req, res) => {
 
 // ========== HELPER FUNCTIONS ==========
 
+// Resolve user IDs that may co-instruct (instructor/admin accounts)
+// Returns null if any ID is not a teaching account
+async function findTeachingUserIds(userIds) {
+  if (!Array.isArray(userIds)) return null;
+  if (userIds.length === 0) return [];
+  if (!userIds.every(id => mongoose.isValidObjectId(id))) return null;
+
+  const users = await User.find({ _id: { $in: userIds } }).select('role');
+  if (users.length !== new Set(userIds.map(String)).size || !users.every(canTeach)) {
+    return null;
+  }
+
+  return users.map(u => u._id);
+}
+
 function generateSampleQuestions(topic, count, difficulty) {
   const questions = [];
 
@@ -1,7 +1,7 @@
 import StudyChat from '../models/StudyChat.js';
 import axios from 'axios';
 import { generateEmbedding, generateChatResponse } from '../services/embeddingService.js';
-import { searchSimilarChunks, formatContextFromChunks, rerankChunks } from '../services/vectorSearchService.js';
+import { searchSimilarChunks, formatContextFromChunks, DEFAULT_SEARCH_WEIGHTS } from '../services/vectorSearchService.js';
 import StudyChatService from '../services/studychatRecomendationService.js';
 // import {  } from "module";
 // import StudyChatService from '../services/studyChatService.js';
@@ -214,7 +214,7 @@ export const addMessageToChat = async (req, res) => {
  */
 export const chatWithContext = async (req, res) => {
   try {
-    const { message, materialIds, topic, course } = req.body;
+    const { message, materialIds, topic, course, subject } = req.body;
     const userId = req.user.userId;
 
     // Validate inputs
@@ -225,23 +225,30 @@ export const chatWithContext = async (req, res) => {
       });
     }
 
+    const weights = parseSearchWeights(req.body);
+    if (!weights) {
+      return res.status(400).json({
+        success: false,
+        error: SEARCH_WEIGHTS_ERROR
+      });
+    }
+
     // Generate embedding for user's question
     const queryEmbedding = await generateEmbedding(message);
 
-    // Search for relevant chunks from course materials
+    // Search for relevant chunks from the student's own and shared course materials
+    // (hybrid vector + keyword search, best first)
     const relevantChunks = await searchSimilarChunks(
       queryEmbedding,
       userId,
       materialIds || [],
       5, // Top 5 chunks
-      0.5 // Minimum similarity threshold
+      0.5, // Minimum similarity threshold
+      { queryText: message, includeShared: true, subject, weights }
     );
 
-    // Re-rank chunks for better results
-    const rerankedChunks = rerankChunks(relevantChunks, message);
-
     // Build context from chunks
-    const context = formatContextFromChunks(rerankedChunks, 5);
+    const context = formatContextFromChunks(relevantChunks, 5);
 
     // Construct enhanced prompt for Gemini
     const prompt = `You are an AI study assistant helping a university student understand their course material.
@@ -251,7 +258,7 @@ ${context}
 
 ` : ''}STUDENT'S QUESTION: ${message}
 
-${context ? 'Please provide a clear, educational answer based primarily on the context provided above. If the context contains relevant information, use it to answer. If the context does not contain enough information, acknowledge this and provide a general answer.' : 'Please provide a helpful, educational answer to assist the student.'}
+${context ? 'Please provide a clear, educational answer based primarily on the context provided above. If the context contains relevant information, use it to answer. If the context does not contain enough information, acknowledge this and provide a general answer. Some context may come from materials shared by classmates or published by instructors; when you rely on it, say which material it came from.' : 'Please provide a helpful, educational answer to assist the student.'}
 
 Make your answer:
 1. Clear and easy to understand
@@ -274,7 +281,7 @@ Make your answer:
         user: userId,
         topic: topic || 'General',
         course: course || 'General',
-        attachedMaterials: rerankedChunks.map(chunk => ({
+        attachedMaterials: relevantChunks.map(chunk => ({
           materialId: chunk.materialId,
           materialTitle: chunk.materialTitle,
           attachedAt: new Date()
@@ -294,9 +301,14 @@ Make your answer:
         chatId: chat._id,
         aiResponse,
         contextUsed: context.length > 0,
-        chunksUsed: rerankedChunks.slice(0, 3).map(chunk => ({
+        chunksUsed: relevantChunks.slice(0, 3).map(chunk => ({
           materialTitle: chunk.materialTitle,
           materialTopic: chunk.materialTopic,
+          headingPath: chunk.headingPath,
+          // Where the material comes from (own material: source 'own')
+          source: chunk.sharedVia || 'own',
+          sharedBy: chunk.sharedBy,
+          course: chunk.course,
           similarity: (chunk.similarity * 100).toFixed(1) + '%',
           preview: chunk.content.substring(0, 150) + '...'
         })),
@@ -353,7 +365,7 @@ export const simpleQuery = async (req, res) => {
 
 export const searchMaterials = async (req, res) => {
   try {
-    const { query, materialIds, limit } = req.body;
+    const { query, materialIds, subject, limit } = req.body;
     const userId = req.user.userId;
 
     if (!query) {
@@ -363,28 +375,48 @@ export const searchMaterials = async (req, res) => {
       });
     }
 
+    const weights = parseSearchWeights(req.body);
+    if (!weights) {
+      return res.status(400).json({
+        success: false,
+        error: SEARCH_WEIGHTS_ERROR
+      });
+    }
+
     // Generate embedding for search query
     const queryEmbedding = await generateEmbedding(query);
 
-    // Search for similar chunks
+    // Search for similar chunks (own and shared materials)
     const results = await searchSimilarChunks(
       queryEmbedding,
       userId,
       materialIds || [],
       limit || 10,
-      0.4 // Lower threshold for search
+      0.4, // Lower threshold for search
+      { queryText: query, includeShared: true, subject, weights }
     );
 
     res.json({
       success: true,
       query,
+      weights,
       count: results.length,
       results: results.map(chunk => ({
         materialId: chunk.materialId,
         materialTitle: chunk.materialTitle,
         materialTopic: chunk.materialTopic,
+        headingPath: chunk.headingPath,
+        source: chunk.sharedVia || 'own',
+        sharedBy: chunk.sharedBy,
+        course: chunk.course,
         content: chunk.content,
         similarity: (chunk.similarity * 100).toFixed(1) + '%',
+        // Fused hybrid score and rank in the vector and keyword rankings (absent if not ranked there)
+        score: chunk.score,
+        vectorRank: chunk.vectorRank,
+        lexicalRank: chunk.lexicalRank,
+        // Copies of this text in other chunks, left out of the results
+        duplicates: chunk.duplicates,
         order: chunk.order,
         wordCount: chunk.wordCount
       }))
@@ -401,6 +433,23 @@ export const searchMaterials = async (req, res) => {
 
 // ========== HELPER FUNCTIONS ==========
 
+const SEARCH_WEIGHTS_ERROR = 'vectorWeight and lexicalWeight must be numbers between 0 and 10, and not both 0';
+
+/**
+ * Read the hybrid search weights of a request (vectorWeight, lexicalWeight)
+ * @param {Object} body - Request body
+ * @returns {{vector: number, lexical: number}|null} - null if invalid
+ */
+function parseSearchWeights(body) {
+  const weights = {
+    vector: body.vectorWeight ?? DEFAULT_SEARCH_WEIGHTS.vector,
+    lexical: body.lexicalWeight ?? DEFAULT_SEARCH_WEIGHTS.lexical
+  };
+
+  const valid = Object.values(weights).every(weight => typeof weight === 'number' && weight >= 0 && weight <= 10);
+  return valid && (weights.vector > 0 || weights.lexical > 0) ? weights : null;
+}
+
 /**
  * Generate AI response (mock implementation)
  * TODO: Replace with actual AI API integration (OpenAI, Gemini, etc.)
@@ -1,4 +1,55 @@
-import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import Quiz from '../models/Quiz.js';
+import { getQuizAccess } from '../services/permissionService.js';
+import { isApiToken, findActiveApiToken } from '../services/apiTokenService.js';
+import { verifyAccessToken } from '../services/tokenService.js';
+
+// Load the authenticated user once per request (shared by role/permission checks)
+export const loadCurrentUser = async (req) => {
+  if (!req.currentUser) {
+    req.currentUser = await User.findById(req.user.userId);
+  }
+  return req.currentUser;
+};
+
+// Opt a route in to personal access tokens carrying `scope`
+// Must run before `protect`; routes without it only accept login JWTs
+export const allowApiToken = (scope) => {
+  return (req, res, next) => {
+    req.apiTokenScope = scope;
+    next();
+  };
+};
+
+// Authenticate a personal access token (see allowApiToken)
+const protectWithApiToken = async (token, req, res, next) => {
+  const apiToken = await findActiveApiToken(token, req.ip || req.connection.remoteAddress);
+
+  if (!apiToken) {
+    return res.status(401).json({
+      success: false,
+      error: 'API token is invalid, expired or revoked'
+    });
+  }
+
+  if (!req.apiTokenScope || !apiToken.hasScope(req.apiTokenScope)) {
+    return res.status(403).json({
+      success: false,
+      error: req.apiTokenScope
+        ? `API token is missing the ${req.apiTokenScope} scope`
+        : 'API tokens cannot be used for this route',
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  }
+
+  req.user = {
+    userId: apiToken.userId.toString(),
+    apiTokenId: apiToken._id.toString(),
+    scopes: apiToken.scopes
+  };
+  next();
+};
 
 export const protect = async (req, res, next) => {
   try {
@@ -16,11 +67,14 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    if (isApiToken(token)) {
+      return protectWithApiToken(token, req, res, next);
+    }
+
+    let decoded;
     try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = decoded;
-      next();
+      // Verify token (signature checked against the key named by its kid)
+      decoded = verifyAccessToken(token);
     } catch (error) {
       return res.status(401).json({
         success: false,
@@ -28,6 +82,25 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Reject access tokens whose session was revoked (logout, revoked device, token theft)
+    if (decoded.sid) {
+      const sessionActive = await RefreshToken.exists({
+        family: decoded.sid,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      });
+
+      if (!sessionActive) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has been revoked. Please log in again'
+        });
+      }
+    }
+
+    req.user = decoded;
+    next();
+
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(500).json({
@@ -37,19 +110,115 @@ export const protect = async (req, res, next) => {
   }
 };
 
-// Admin authorization
+// Roles listed in MFA_REQUIRED_ROLES must have completed two-factor login
+// (mfa claim on the access token) before using role-gated routes
+const mfaRequirementMet = (req, user) => {
+  return !user.isMfaRequired() || req.user.mfa === true;
+};
+
+const mfaRequiredResponse = (res) => {
+  return res.status(403).json({
+    success: false,
+    error: 'Two-factor authentication is required for your role. Enable it and log in again',
+    code: 'MFA_REQUIRED'
+  });
+};
+
+// Role authorization
 export const authorize = (...roles) => {
   return async (req, res, next) => {
-    const User = (await import('../models/User.js')).default;
-    const user = await User.findById(req.user.userId);
+    try {
+      const user = await loadCurrentUser(req);
+
+      if (!user || !roles.includes(user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to access this route'
+        });
+      }
+
+      if (!mfaRequirementMet(req, user)) {
+        return mfaRequiredResponse(res);
+      }
 
-    if (!user || !roles.includes(user.role)) {
+      next();
+    } catch (error) {
+      console.error('Authorize middleware error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error'
+      });
+    }
+  };
+};
+
+// Quiz-scoped authorization (creator, co-instructor, course instructor or admin)
+// level 'manage' allows any of them; 'owner' only the creator or an admin
+// Loads the quiz from req.params.quizId into req.quiz
+export const authorizeQuiz = (level = 'manage') => {
+  return async (req, res, next) => {
+    try {
+      const quiz = await Quiz.findById(req.params.quizId);
+
+      if (!quiz) {
+        return res.status(404).json({
+          success: false,
+          error: 'Quiz not found'
+        });
+      }
+
+      const user = await loadCurrentUser(req);
+      if (user && !mfaRequirementMet(req, user)) {
+        return mfaRequiredResponse(res);
+      }
+
+      const access = await getQuizAccess(user, quiz);
+
+      if (!access || (level === 'owner' && access !== 'owner')) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to manage this quiz'
+        });
+      }
+
+      req.quiz = quiz;
+      req.quizAccess = access;
+      next();
+    } catch (error) {
+      console.error('Authorize quiz middleware error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error'
+      });
+    }
+  };
+};
+
+// Email verification gate for AI endpoints
+// REQUIRE_VERIFIED_EMAIL: off (default) | ai | login
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const mode = process.env.REQUIRE_VERIFIED_EMAIL || 'off';
+    if (mode !== 'ai' && mode !== 'login') {
+      return next();
+    }
+
+    const user = await loadCurrentUser(req);
+
+    if (!user || !user.emailVerified) {
       return res.status(403).json({
         success: false,
-        error: 'You do not have permission to access this route'
+        error: 'Please verify your email address to use this feature',
+        code: 'EMAIL_NOT_VERIFIED'
       });
     }
 
     next();
-  };
+  } catch (error) {
+    console.error('Email verification middleware error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
 };
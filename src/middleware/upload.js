@@ -0,0 +1,30 @@
+import multer from 'multer';
+
+// Single file upload kept in memory (files are parsed, not stored)
+// MAX_UPLOAD_MB limits the file size (default: 20)
+export const uploadSingleFile = (field = 'file') => {
+  return (req, res, next) => {
+    const maxMb = parseInt(process.env.MAX_UPLOAD_MB) || 20;
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxMb * 1024 * 1024, files: 1 }
+    }).single(field);
+
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+          success: false,
+          error: error.code === 'LIMIT_FILE_SIZE'
+            ? `File is too large (max ${maxMb} MB)`
+            : `Upload error: ${error.message}`
+        });
+      }
+
+      next(error);
+    });
+  };
+};
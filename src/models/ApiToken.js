@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Scopes an API token can be granted
+export const API_TOKEN_SCOPES = ['materials:read', 'materials:write', 'analytics:read'];
+
+const apiTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  // SHA-256 of the token (plain token is only shown once, at creation)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  // First characters of the token so users can tell their tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: API_TOKEN_SCOPES
+  }],
+  // Optional; tokens without an expiry stay valid until revoked
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Check if token is expired
+apiTokenSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt) && Date.now() >= this.expiresAt.getTime();
+};
+
+// Check if token can still be used (not expired and not revoked)
+apiTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && !this.isExpired();
+};
+
+// Check if token grants a scope
+apiTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Never expose the hash
+apiTokenSchema.methods.toJSON = function() {
+  const token = this.toObject();
+  delete token.tokenHash;
+  return token;
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+export default ApiToken;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+const courseSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Course title is required'],
+    trim: true
+  },
+  // Short course code, e.g. CSC201
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: String,
+  school: {
+    type: String,
+    trim: true
+  },
+  // Instructor who created the course
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Co-instructors with the same permissions on course quizzes
+  instructors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Enrolled students (can use materials published to the course library)
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true
+});
+
+// Check if user owns or co-teaches this course
+courseSchema.methods.hasInstructor = function(userId) {
+  if (!userId) return false;
+  const id = userId.toString();
+  return this.owner.toString() === id || this.instructors.some(i => i.toString() === id);
+};
+
+// Check if user is enrolled as a student
+courseSchema.methods.hasStudent = function(userId) {
+  if (!userId) return false;
+  const id = userId.toString();
+  return this.students.some(s => s.toString() === id);
+};
+
+// Indexes for performance
+courseSchema.index({ owner: 1 });
+courseSchema.index({ instructors: 1 });
+courseSchema.index({ students: 1 });
+
+export default mongoose.model('Course', courseSchema);
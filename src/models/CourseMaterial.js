@@ -1,28 +1,5 @@
 import mongoose from 'mongoose';
 
-const chunkSchema = new mongoose.Schema({
-  content: {
-    type: String,
-    required: true
-  },
-  order: {
-    type: Number,
-    required: true
-  },
-  embedding: {
-    type: [Number],
-    required: true
-  },
-  wordCount: {
-    type: Number,
-    default: 0
-  },
-  metadata: {
-    startChar: Number,
-    endChar: Number
-  }
-});
-
 const courseMaterialSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -43,7 +20,64 @@ const courseMaterialSchema = new mongoose.Schema({
     type: String,
     default: 'General'
   },
-  // Metadata
+  // Library organisation
+  // Folder path like "Year 2/CS201" (unset: top level)
+  folder: {
+    type: String,
+    trim: true
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  starred: {
+    type: Boolean,
+    default: false
+  },
+  // Archived materials are hidden from the library list but stay searchable
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date,
+  // Original file for uploaded materials (not set for pre-chunked text)
+  sourceFile: {
+    fileName: String,
+    fileType: {
+      type: String,
+      enum: ['pdf', 'docx', 'pptx', 'markdown', 'text']
+    },
+    mimeType: String,
+    size: Number,
+    pageCount: Number,
+    slideCount: Number
+  },
+  // How the text was split (not set for pre-chunked text)
+  chunkingStrategy: {
+    type: String,
+    enum: ['sentence', 'markdown', 'paragraph', 'code', 'fixed']
+  },
+  chunkingOptions: {
+    maxTokens: Number,
+    overlapWords: Number
+  },
+  // Full text, kept so the material can be re-chunked (not loaded unless selected)
+  sourceText: {
+    type: String,
+    select: false
+  },
+  // Page/slide ranges of sourceText for uploaded documents
+  sourceSections: {
+    type: [{
+      _id: false,
+      page: Number,
+      slide: Number,
+      startChar: Number,
+      endChar: Number
+    }],
+    select: false
+  },
+  // Metadata (text chunks and their embeddings live in MaterialChunk)
   wordCount: {
     type: Number,
     default: 0
@@ -52,8 +86,16 @@ const courseMaterialSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  // Text chunks with embeddings (768 dimensions for Gemini)
-  chunks: [chunkSchema],
+  // Provider and model that produced the chunk embeddings
+  // (unset: gemini, text-embedding-004, 768 dimensions)
+  embeddingProvider: String,
+  embeddingModel: {
+    type: String,
+    index: true
+  },
+  embeddingDimensions: {
+    type: Number
+  },
   // Status
   status: {
     type: String,
@@ -70,12 +112,14 @@ const courseMaterialSchema = new mongoose.Schema({
 // Indexes for performance
 courseMaterialSchema.index({ user: 1, createdAt: -1 });
 courseMaterialSchema.index({ user: 1, topic: 1 });
-courseMaterialSchema.index({ user: 1, status: 1 });
+courseMaterialSchema.index({ user: 1, status: 1, updatedAt: -1 });
+courseMaterialSchema.index({ user: 1, tags: 1 });
+courseMaterialSchema.index({ user: 1, folder: 1 });
 
-// Method to calculate statistics
-courseMaterialSchema.methods.calculateStats = function() {
-  this.chunkCount = this.chunks.length;
-  this.wordCount = this.chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0);
-};
+// Keyword search over the library (chunk text has its own index on MaterialChunk)
+courseMaterialSchema.index(
+  { title: 'text', tags: 'text', topic: 'text', subject: 'text' },
+  { name: 'library_text', weights: { title: 10, tags: 5, topic: 3, subject: 1 } }
+);
 
 export default mongoose.model('CourseMaterial', courseMaterialSchema);
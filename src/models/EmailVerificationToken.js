@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const emailVerificationTokenSchema = new mongoose.Schema({
+  // SHA-256 of the token sent by email (plain token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdByIp: {
+    type: String
+  },
+  usedAt: {
+    type: Date
+  },
+  usedByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index to automatically delete expired tokens
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if token is expired
+emailVerificationTokenSchema.methods.isExpired = function() {
+  return Date.now() >= this.expiresAt.getTime();
+};
+
+// Check if token can still be used (not expired and not used)
+emailVerificationTokenSchema.methods.isActive = function() {
+  return !this.usedAt && !this.isExpired();
+};
+
+const EmailVerificationToken = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
+
+export default EmailVerificationToken;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Embedding of a text by one provider and model, keyed by the hash of the normalized text
+// so identical text (e.g. the same slides uploaded again) is never embedded twice.
+// Holds no text; entries expire once unused for a while.
+const embeddingCacheSchema = new mongoose.Schema({
+  // SHA-256 of the normalized text (see utils/textFingerprint.js)
+  contentHash: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  // Pushed back on every hit
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+embeddingCacheSchema.index({ provider: 1, model: 1, contentHash: 1 }, { unique: true });
+embeddingCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const EmbeddingCache = mongoose.model('EmbeddingCache', embeddingCacheSchema);
+
+export default EmbeddingCache;
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// Text waiting to be embedded, stored on jobs queued before it moved to PendingChunk
+const pendingChunkSchema = new mongoose.Schema({
+  content: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  wordCount: Number,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+const ingestionJobSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseMaterial',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // queued -> running -> completed, or back to queued (retry) / failed
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // Legacy: jobs queued now keep their chunk text in PendingChunk
+  chunks: [pendingChunkSchema],
+  // Chunks already embedded and saved on the material (a retry resumes from here)
+  embeddedChunks: {
+    type: Number,
+    default: 0
+  },
+  totalChunks: {
+    type: Number,
+    required: true
+  },
+  // Fixed when queued, so a job resumed after a model switch stays consistent
+  // (jobs queued before providers were recorded used Gemini)
+  embeddingProvider: {
+    type: String,
+    default: 'gemini'
+  },
+  embeddingModel: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // Earliest time the job may run (pushed back between retries)
+  runAfter: {
+    type: Date,
+    default: Date.now
+  },
+  // Worker lease; a running job whose lease is stale was abandoned (e.g. server restart)
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Workers look for the next runnable job
+ingestionJobSchema.index({ status: 1, runAfter: 1 });
+
+// Progress as a percentage
+ingestionJobSchema.methods.getProgress = function() {
+  return this.totalChunks === 0 ? 100 : Math.round((this.embeddedChunks / this.totalChunks) * 100);
+};
+
+const IngestionJob = mongoose.model('IngestionJob', ingestionJobSchema);
+
+export default IngestionJob;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// A chunk of course material text with its embedding
+// Kept out of the CourseMaterial document so large materials stay under MongoDB's
+// 16MB document limit and material lists never load vectors
+const materialChunkSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseMaterial',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // Provider and model that produced the embedding (unset: gemini, text-embedding-004)
+  embeddingProvider: String,
+  embeddingModel: String,
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  // Fingerprints of the content (see utils/textFingerprint.js)
+  contentHash: String,
+  simhash: String,
+  simhashBands: [String],
+  // Earlier chunk of the same user's materials with the same or nearly the same text
+  // (copies all point at the first one, which may since have been deleted)
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaterialChunk'
+  },
+  metadata: {
+    startChar: Number,
+    endChar: Number,
+    // Location in uploaded documents (PDF/DOCX pages, PPTX slides)
+    pageStart: Number,
+    pageEnd: Number,
+    slideStart: Number,
+    slideEnd: Number,
+    // Headings the chunk sits under, e.g. "Week 3 > Recursion > Base cases"
+    headingPath: String
+  }
+}, {
+  timestamps: true
+});
+
+// Chunks of a material in reading order
+// Unique so a batch saved twice (two workers on one job) is rejected. Orders saved before they
+// were numbered on the server can repeat: npm run migrate:chunks numbers them again
+materialChunkSchema.index({ material: 1, order: 1 }, { unique: true });
+materialChunkSchema.index({ user: 1, material: 1 });
+materialChunkSchema.index({ user: 1, updatedAt: -1 });
+// Near-duplicate lookup
+materialChunkSchema.index({ user: 1, simhashBands: 1 });
+materialChunkSchema.index({ duplicateOf: 1 }, { sparse: true });
+// Keyword search of a user's chunk text (searches must match user, so only their chunks are scanned)
+materialChunkSchema.index({ user: 1, content: 'text' }, { name: 'user_content_text' });
+
+const MaterialChunk = mongoose.model('MaterialChunk', materialChunkSchema);
+
+export default MaterialChunk;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+
+// Read-only access to a material for someone other than its owner
+// - user: shared with one user (directly, or by opening a share link)
+// - link: share link; anyone signed in who opens it gets a user share
+// - course: published to a course library (students and instructors of the course)
+const materialShareSchema = new mongoose.Schema({
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseMaterial',
+    required: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['user', 'link', 'course'],
+    required: true
+  },
+  // User shares
+  sharedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Link the user share was created from (revoking the link removes it)
+  viaLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MaterialShare'
+  },
+  // Course shares
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Link shares: SHA-256 of the link token (plain token is only shown once)
+  tokenHash: String,
+  // Link shares stop accepting new users after this date (unset: never)
+  expiresAt: Date,
+  // Link shares: users who joined through the link
+  acceptCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+materialShareSchema.index({ sharedWith: 1 });
+materialShareSchema.index({ course: 1 });
+materialShareSchema.index({ viaLink: 1 });
+materialShareSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+// A material is shared once with each user and each course
+materialShareSchema.index(
+  { material: 1, sharedWith: 1 },
+  { unique: true, partialFilterExpression: { type: 'user' } }
+);
+materialShareSchema.index(
+  { material: 1, course: 1 },
+  { unique: true, partialFilterExpression: { type: 'course' } }
+);
+
+// Check if a share link can no longer be used
+materialShareSchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt && Date.now() >= this.expiresAt.getTime());
+};
+
+const MaterialShare = mongoose.model('MaterialShare', materialShareSchema);
+
+export default MaterialShare;
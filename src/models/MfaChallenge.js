@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Wrong codes allowed per challenge before the user must log in again
+const MAX_ATTEMPTS = 5;
+
+// Pending second login step, created after a correct password when MFA is enabled
+const mfaChallengeSchema = new mongoose.Schema({
+  // SHA-256 of the challenge token returned by login (plain token is never stored)
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  createdByIp: {
+    type: String
+  },
+  usedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index to automatically delete expired challenges
+mfaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if challenge is expired
+mfaChallengeSchema.methods.isExpired = function() {
+  return Date.now() >= this.expiresAt.getTime();
+};
+
+// Check if challenge can still be answered
+mfaChallengeSchema.methods.isActive = function() {
+  return !this.usedAt && !this.isExpired() && this.attempts < MAX_ATTEMPTS;
+};
+
+// Wrong codes left before the challenge is locked
+mfaChallengeSchema.methods.remainingAttempts = function() {
+  return Math.max(0, MAX_ATTEMPTS - this.attempts);
+};
+
+// Count an attempt before its code is checked, atomically so parallel guesses each use one up
+// Resolves null when the challenge is used, expired or out of attempts
+mfaChallengeSchema.statics.claimAttempt = function(id) {
+  return this.findOneAndUpdate(
+    { _id: id, usedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Mark a challenge used; resolves false if a parallel request already used it
+mfaChallengeSchema.statics.markUsed = async function(id) {
+  const result = await this.updateOne({ _id: id, usedAt: null }, { usedAt: Date.now() });
+  return result.modifiedCount === 1;
+};
+
+const MfaChallenge = mongoose.model('MfaChallenge', mfaChallengeSchema);
+
+export default MfaChallenge;
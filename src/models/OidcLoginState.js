@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Pending OIDC login (one per authorization request, deleted when used)
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE code verifier (never leaves the server)
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index to automatically delete abandoned logins
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Text of a chunk waiting to be embedded by an ingestion job
+// Kept out of the job document so large materials don't hit MongoDB's 16MB document limit;
+// deleted once the job completes.
+const pendingChunkSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob',
+    required: true
+  },
+  material: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CourseMaterial',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Place in the job (0, 1, 2, ...): chunks are embedded in this order
+  position: {
+    type: Number,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  wordCount: Number,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+pendingChunkSchema.index({ job: 1, position: 1 }, { unique: true });
+
+const PendingChunk = mongoose.model('PendingChunk', pendingChunkSchema);
+
+export default PendingChunk;
@@ -56,12 +56,22 @@ const quizSchema = new mongoose.Schema({
     type: Number, // in minutes
     default: 30
   },
-  // Quiz creator (admin for live, user for personal)
+  // Quiz creator (instructor/admin for live, user for personal)
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Course the quiz belongs to (its instructors can manage the quiz)
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  // Instructors who can run the quiz alongside the creator
+  coInstructors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   // Questions
   questions: [questionSchema],
   // Settings
@@ -125,6 +135,8 @@ quizSchema.methods.isExpired = function() {
 // Indexes for performance
 quizSchema.index({ code: 1 });
 quizSchema.index({ createdBy: 1 });
+quizSchema.index({ courseId: 1 });
+quizSchema.index({ coInstructors: 1 });
 quizSchema.index({ type: 1, status: 1 });
 quizSchema.index({ createdAt: -1 });
 
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+const reembeddingJobSchema = new mongoose.Schema({
+  // One user's materials, or every material
+  scope: {
+    type: String,
+    enum: ['user', 'all'],
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Provider and model to migrate to (jobs created before providers were recorded used Gemini)
+  targetProvider: {
+    type: String,
+    default: 'gemini'
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  // queued -> running -> completed / failed, or cancelled by an admin
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued',
+    index: true
+  },
+  // Materials still on another model when the job started
+  totalMaterials: Number,
+  migratedMaterials: {
+    type: Number,
+    default: 0
+  },
+  failedMaterials: {
+    type: Number,
+    default: 0
+  },
+  // Most recent failures (capped), so one bad material doesn't stop the job
+  failures: [{
+    _id: false,
+    material: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourseMaterial'
+    },
+    error: String
+  }],
+  // Last material handled; materials are processed in _id order, so a job resumes after it
+  cursor: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Worker lease; a running job whose lease is stale was abandoned (e.g. server restart)
+  lockedAt: Date,
+  lockedBy: String,
+  lastError: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Progress as a percentage
+reembeddingJobSchema.methods.getProgress = function() {
+  if (!this.totalMaterials) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.round(((this.migratedMaterials + this.failedMaterials) / this.totalMaterials) * 100);
+};
+
+const ReembeddingJob = mongoose.model('ReembeddingJob', reembeddingJobSchema);
+
+export default ReembeddingJob;
@@ -13,6 +13,20 @@ const refreshTokenSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Every token issued by rotating from the same login shares a family id
+  // (the family is the user's session/device)
+  family: {
+    type: String,
+    index: true
+  },
+  sessionStartedAt: {
+    type: Date
+  },
+  // Session completed two-factor authentication
+  mfaVerified: {
+    type: Boolean,
+    default: false
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -21,6 +35,9 @@ const refreshTokenSchema = new mongoose.Schema({
   createdByIp: {
     type: String
   },
+  userAgent: {
+    type: String
+  },
   revokedAt: {
     type: Date
   },
@@ -29,6 +46,10 @@ const refreshTokenSchema = new mongoose.Schema({
   },
   replacedByToken: {
     type: String
+  },
+  // Why the token was revoked: rotated | logout | reuse_detected | password_reset | password_change | session_revoked | account_deactivated
+  revokedReason: {
+    type: String
   }
 }, {
   timestamps: true
@@ -47,6 +68,19 @@ refreshTokenSchema.methods.isActive = function() {
   return !this.revokedAt && !this.isExpired();
 };
 
+// Check if token was rotated out (presenting it again means it was stolen)
+refreshTokenSchema.methods.wasRotated = function() {
+  return Boolean(this.revokedAt && this.replacedByToken);
+};
+
+// Revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = function(family, ipAddress, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: Date.now(), revokedByIp: ipAddress, revokedReason: reason }
+  );
+};
+
 const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
 
 export default RefreshToken;
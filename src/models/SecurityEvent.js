@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const securityEventSchema = new mongoose.Schema({
+  // Event type, e.g. 'refresh_token_reuse'
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  severity: {
+    type: String,
+    enum: ['info', 'warning', 'critical'],
+    default: 'info'
+  },
+  ipAddress: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // Free-form context (token family, attempt counts, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+export default mongoose.model('SecurityEvent', securityEventSchema);
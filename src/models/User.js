@@ -10,9 +10,10 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
   },
+  // Not required for accounts created through single sign-on
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.isSsoAccount(); }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
   name: {
@@ -24,27 +25,96 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // SSO accounts complete course/level after their first login
   course: {
     type: String,
-    required: [true, 'Course is required'],
+    required: [function() { return !this.isSsoAccount(); }, 'Course is required'],
     trim: true
   },
   level: {
     type: String,
-    required: [true, 'Level is required']
+    required: [function() { return !this.isSsoAccount(); }, 'Level is required']
   },
   role: {
     type: String,
-    enum: ['student', 'admin'],
+    enum: ['student', 'instructor', 'admin'],
     default: 'student'
+  },
+  // Deactivated accounts can't log in (set by admins)
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email verification
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  // Linked OpenID Connect identity (single sign-on)
+  oidc: {
+    issuer: String,
+    subject: String,
+    linkedAt: Date
+  },
+  // TOTP two-factor authentication (secrets are encrypted, recovery codes hashed)
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
+  // Per-account brute-force protection
+  loginSecurity: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lockedUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0
+    }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ 'oidc.issuer': 1, 'oidc.subject': 1 }, { unique: true, sparse: true });
+
+// Check if the user's role must use two-factor authentication
+// MFA_REQUIRED_ROLES: comma-separated roles, e.g. "admin,instructor"
+userSchema.methods.isMfaRequired = function() {
+  const roles = (process.env.MFA_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+  return roles.includes(this.role);
+};
+
+// Check if account was created or linked through single sign-on
+userSchema.methods.isSsoAccount = function() {
+  return Boolean(this.oidc && this.oidc.subject);
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
+  if (!this.isModified('password') || !this.password) return next();
   
   try {
     const salt = await bcrypt.genSalt(10);
@@ -55,15 +125,21 @@ userSchema.pre('save', async function(next) {
   }
 });
 
-// Method to compare password
+// Method to compare password (SSO-only accounts have no password)
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Don't return password in JSON
+// Don't return password or MFA secrets in JSON
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  user.mfa = {
+    enabled: Boolean(user.mfa && user.mfa.enabled),
+    enabledAt: user.mfa ? user.mfa.enabledAt : undefined
+  };
+  delete user.loginSecurity;
   return user;
 };
 
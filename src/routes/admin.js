@@ -0,0 +1,462 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  getEmbeddingModels,
+  startReembedding,
+  getReembeddingJobs,
+  getReembeddingJob,
+  cancelReembeddingJob,
+  getVectorIndex,
+  rebuildVectorIndex
+} from '../controllers/adminController.js';
+
+const router = express.Router();
+
+// Every admin route requires an admin account
+router.use(protect, authorize('admin'));
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List users (Admin)
+ *     description: Search, filter and paginate users. Each user includes usage counts for materials, chats and quiz attempts.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, email, school or course (case-insensitive)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [student, instructor, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, deactivated]
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *         description: createdAt, name, email or role. Prefix with - for descending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       403:
+ *         description: Not an admin
+ */
+router.get('/users', getUsers);
+
+/**
+ * @swagger
+ * /admin/users/{userId}:
+ *   get:
+ *     summary: Get a user with usage counts, sessions and lockout status (Admin)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId', getUserById);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role:
+ *   patch:
+ *     summary: Change a user's role (Admin)
+ *     description: Admins cannot change their own role.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [student, instructor, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Invalid role or own account
+ *       404:
+ *         description: User not found
+ */
+router.patch('/users/:userId/role', updateUserRole);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/deactivate:
+ *   post:
+ *     summary: Deactivate an account (Admin)
+ *     description: Blocks login and revokes all of the user's sessions (refresh tokens) and API tokens. Data is kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account deactivated
+ *       400:
+ *         description: Already deactivated or own account
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/deactivate', deactivateUser);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/reactivate:
+ *   post:
+ *     summary: Reactivate a deactivated account (Admin)
+ *     description: The user can log in again. Revoked sessions and API tokens are not restored.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account reactivated
+ *       400:
+ *         description: Already active
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/reactivate', reactivateUser);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock an account locked by failed login attempts (Admin)
+ *     description: Clears the lockout and the failed attempt counter. Recorded as an account_unlocked security event.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/unlock', unlockUser);
+
+/**
+ * @swagger
+ * /admin/embeddings/models:
+ *   get:
+ *     summary: Count materials and chunks per embedding model (Admin)
+ *     description: Shows which providers and models the stored vectors come from, e.g. to follow a migration. Materials without a recorded model count as gemini text-embedding-004.
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Only count this user's materials
+ *     responses:
+ *       200:
+ *         description: Usage per model
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 activeProvider:
+ *                   type: string
+ *                   description: Provider used for new material and queries (EMBEDDING_PROVIDER)
+ *                 activeModel:
+ *                   type: string
+ *                   description: Model used for new material and queries (EMBEDDING_MODEL)
+ *                 models:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       provider:
+ *                         type: string
+ *                         enum: [gemini, local, hashing]
+ *                       model:
+ *                         type: string
+ *                       materials:
+ *                         type: integer
+ *                       chunks:
+ *                         type: integer
+ *                       dimensions:
+ *                         type: array
+ *                         items:
+ *                           type: integer
+ *                       active:
+ *                         type: boolean
+ *                 cache:
+ *                   type: object
+ *                   description: Embedding cache (EMBEDDING_CACHE); hits and misses count since the server started
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     entries:
+ *                       type: integer
+ *                     hits:
+ *                       type: integer
+ *                     misses:
+ *                       type: integer
+ *                     hitRate:
+ *                       type: number
+ *                       nullable: true
+ *                     errors:
+ *                       type: integer
+ *                     ttlDays:
+ *                       type: integer
+ */
+router.get('/embeddings/models', getEmbeddingModels);
+
+/**
+ * @swagger
+ * /admin/embeddings/reembed:
+ *   post:
+ *     summary: Re-embed one user's or all materials with another model (Admin)
+ *     description: |
+ *       Queues a background job that embeds each material with the target model and swaps its vectors in one update.
+ *       Search keeps working throughout: materials not yet migrated are searched with their old model.
+ *       Set EMBEDDING_PROVIDER and EMBEDDING_MODEL to the target first so new uploads use it too.
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Only migrate this user's materials (omit for all materials)
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, local, hashing]
+ *                 description: Target provider (default the active provider)
+ *               model:
+ *                 type: string
+ *                 description: Target model (default the provider's default model, or the active model when no provider is given)
+ *                 example: gemini-embedding-001
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *       400:
+ *         description: Invalid user ID or provider, or model not available
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The same migration is already queued or running
+ */
+router.post('/embeddings/reembed', startReembedding);
+
+/**
+ * @swagger
+ * /admin/embeddings/jobs:
+ *   get:
+ *     summary: List re-embedding jobs (Admin)
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Jobs, newest first
+ */
+router.get('/embeddings/jobs', getReembeddingJobs);
+
+/**
+ * @swagger
+ * /admin/embeddings/jobs/{jobId}:
+ *   get:
+ *     summary: Get a re-embedding job's progress (Admin)
+ *     description: Includes migrated and failed material counts and the most recent failures.
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job details
+ *       404:
+ *         description: Job not found
+ */
+router.get('/embeddings/jobs/:jobId', getReembeddingJob);
+
+/**
+ * @swagger
+ * /admin/embeddings/jobs/{jobId}/cancel:
+ *   post:
+ *     summary: Cancel a re-embedding job (Admin)
+ *     description: Stops after the current material. Materials already migrated keep their new vectors.
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       400:
+ *         description: Job has already finished
+ *       404:
+ *         description: Job not found
+ */
+router.post('/embeddings/jobs/:jobId/cancel', cancelReembeddingJob);
+
+/**
+ * @swagger
+ * /admin/embeddings/index:
+ *   get:
+ *     summary: Get vector search backend and ANN index statistics (Admin)
+ *     description: |
+ *       `backend` shows the configured search backend (VECTOR_SEARCH_BACKEND) and whether the Atlas
+ *       vector search index is available, with Atlas search and fallback counts.
+ *       `index` shows the size and memory of the in-memory HNSW indexes used by the local backend, search latency percentiles,
+ *       recall measured on a sample of searches (VECTOR_INDEX_RECALL_SAMPLE) against an exact search,
+ *       and how many searches fell back to scanning chunks because an index wasn't up to date in time.
+ *       Statistics are per server process.
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Index statistics
+ */
+router.get('/embeddings/index', getVectorIndex);
+
+/**
+ * @swagger
+ * /admin/embeddings/index/rebuild:
+ *   post:
+ *     summary: Rebuild ANN indexes (Admin)
+ *     description: Drops one user's or all saved indexes. Each is rebuilt from the stored chunks on its user's next search; searches scan chunks meanwhile.
+ *     tags: [Admin - Embeddings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Only rebuild this user's index (omit for all indexes)
+ *     responses:
+ *       200:
+ *         description: Indexes dropped
+ *       400:
+ *         description: Invalid user ID
+ */
+router.post('/embeddings/index/rebuild', rebuildVectorIndex);
+
+export default router;
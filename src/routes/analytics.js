@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiToken } from '../middleware/auth.js';
 import {
   getPerformanceAnalytics,
   getQuizAnalysis,
@@ -53,7 +53,7 @@ const router = express.Router();
  *                           items:
  *                             type: string
  */
-router.get('/performance', protect, getPerformanceAnalytics);
+router.get('/performance', allowApiToken('analytics:read'), protect, getPerformanceAnalytics);
 
 /**
  * @swagger
@@ -73,7 +73,7 @@ router.get('/performance', protect, getPerformanceAnalytics);
  *       200:
  *         description: AI analysis for quiz attempt
  */
-router.get('/quiz/:attemptId/analysis', protect, getQuizAnalysis);
+router.get('/quiz/:attemptId/analysis', allowApiToken('analytics:read'), protect, getQuizAnalysis);
 
 /**
  * @swagger
@@ -96,6 +96,6 @@ router.get('/quiz/:attemptId/analysis', protect, getQuizAnalysis);
  *                 studyMetrics:
  *                   type: object
  */
-router.get('/study-progress', protect, getStudyProgress);
+router.get('/study-progress', allowApiToken('analytics:read'), protect, getStudyProgress);
 
 export default router;
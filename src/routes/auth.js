@@ -1,5 +1,35 @@
 import express from 'express';
-import { register, login, getMe, logout, refreshAccessToken } from '../controllers/authController.js';
+import {
+  register,
+  login,
+  getMe,
+  updateMe,
+  changePassword,
+  deleteMe,
+  logout,
+  refreshAccessToken,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  oidcAuthorize,
+  oidcCallback
+} from '../controllers/authController.js';
+import {
+  setupMfa,
+  enableMfa,
+  verifyMfaLogin,
+  disableMfa,
+  regenerateRecoveryCodes
+} from '../controllers/mfaController.js';
+import {
+  createToken,
+  getTokens,
+  revokeToken
+} from '../controllers/apiTokenController.js';
 import { protect } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -75,6 +105,7 @@ router.post('/register', register);
  * /auth/login:
  *   post:
  *     summary: Login user
+ *     description: If two-factor authentication is enabled, responds with `mfaRequired` and an `mfaToken` instead of tokens; finish with /auth/mfa/verify.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -115,9 +146,101 @@ router.post('/register', register);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Email not verified (when REQUIRE_VERIFIED_EMAIL=login)
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see Retry-After header)
+ *       429:
+ *         description: Progressive delay after repeated failed attempts (see Retry-After header)
  */
 router.post('/login', login);
 
+/**
+ * @swagger
+ * /auth/oidc/authorize:
+ *   get:
+ *     summary: Start single sign-on with the university identity provider
+ *     description: Returns the provider URL to send the browser to (authorization code flow with PKCE). After login the provider redirects to OIDC_REDIRECT_URI with `code` and `state`, which the frontend posts to /auth/oidc/callback.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: loginHint
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: Optional email to prefill at the provider
+ *     responses:
+ *       200:
+ *         description: Authorization URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 authorizationUrl:
+ *                   type: string
+ *                 state:
+ *                   type: string
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/oidc/authorize', oidcAuthorize);
+
+/**
+ * @swagger
+ * /auth/oidc/callback:
+ *   post:
+ *     summary: Complete single sign-on
+ *     description: Exchanges the authorization code, verifies the ID token and logs in the user. Accounts are linked or created by verified email; linking an account whose email was never verified removes its password and MFA and signs out its sessions and API tokens. Returns the same tokens as /auth/login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 profileComplete:
+ *                   type: boolean
+ *                   description: False when course/level still need to be filled in
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Invalid or expired login state
+ *       401:
+ *         description: Code exchange or ID token verification failed
+ *       403:
+ *         description: Email not verified by the identity provider
+ *       409:
+ *         description: Email linked to a different identity
+ */
+router.post('/oidc/callback', oidcCallback);
+
 /**
  * @swagger
  * /auth/me:
@@ -148,6 +271,118 @@ router.post('/login', login);
  */
 router.get('/me', protect, getMe);
 
+/**
+ * @swagger
+ * /auth/me:
+ *   patch:
+ *     summary: Update profile
+ *     description: Only name, school, course and level can be changed. Other fields are ignored.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: John Doe
+ *               school:
+ *                 type: string
+ *                 example: University of Lagos
+ *               course:
+ *                 type: string
+ *                 example: Computer Science
+ *               level:
+ *                 type: string
+ *                 example: "300"
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: No updatable fields or validation failed
+ */
+router.patch('/me', protect, updateMe);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   delete:
+ *     summary: Delete account
+ *     description: Permanently deletes the account with its study materials, chats, quiz attempts, personal quizzes and sessions. Live quizzes and courses you created are kept for their students.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required for accounts with a password
+ *               confirmEmail:
+ *                 type: string
+ *                 description: Required for single sign-on accounts without a password
+ *     responses:
+ *       200:
+ *         description: Account deleted (includes per-collection deletion counts)
+ *       401:
+ *         description: Confirmation failed
+ */
+router.delete('/me', protect, deleteMe);
+
+/**
+ * @swagger
+ * /auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: Keeps the current session and signs out all other sessions. Wrong current passwords count towards the account lockout.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Missing fields, password too short or single sign-on account
+ *       401:
+ *         description: Current password is incorrect
+ *       423:
+ *         description: Account temporarily locked
+ */
+router.post('/change-password', protect, changePassword);
+
 /**
  * @swagger
  * /auth/logout:
@@ -192,6 +427,7 @@ router.post('/logout', protect, logout);
  * /auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: Rotates the refresh token on every call. Presenting an already rotated token revokes every token from the same login.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -223,8 +459,487 @@ router.post('/logout', protect, logout);
  *       400:
  *         description: Refresh token required
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Invalid or expired refresh token, or reuse of a rotated token (whole token family is revoked)
  */
 router.post('/refresh', refreshAccessToken);
 
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: Emails a single-use reset link. Always responds with success so accounts can't be enumerated.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: student@studyspark.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email required
+ */
+router.post('/forgot-password', forgotPassword);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password with token
+ *     description: Sets a new password and signs the user out of all sessions
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 9f8e7d6c5b4a...
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *                 example: newpassword123
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', resetPassword);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3c2b1a0f9e8d...
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', verifyEmail);
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend email verification link
+ *     description: Always responds with success so accounts can't be enumerated
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: student@studyspark.com
+ *     responses:
+ *       200:
+ *         description: Verification link sent if the account is unverified
+ *       400:
+ *         description: Email required
+ */
+router.post('/resend-verification', resendVerification);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions (devices)
+ *     description: One entry per logged-in device, with browser/OS parsed from the user agent and the last known IP
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       current:
+ *                         type: boolean
+ *                       device:
+ *                         type: object
+ *                         properties:
+ *                           browser:
+ *                             type: string
+ *                             example: Chrome 120
+ *                           os:
+ *                             type: string
+ *                             example: Windows
+ *                           type:
+ *                             type: string
+ *                             example: desktop
+ *                           label:
+ *                             type: string
+ *                             example: Chrome 120 on Windows
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       startedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastRefreshedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Not authorized
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/revoke-others:
+ *   post:
+ *     summary: Log out of every other session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Only needed for access tokens issued before session tracking
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       400:
+ *         description: Current session could not be identified
+ */
+router.post('/sessions/revoke-others', protect, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs the device out immediately; its access and refresh tokens stop working
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, revokeSession);
+
+/**
+ * @swagger
+ * /auth/mfa/verify:
+ *   post:
+ *     summary: Complete login with a two-factor code
+ *     description: Second login step. Provide the authenticator `code` or one of the single-use `recoveryCode`s. A challenge allows 5 wrong codes.
+ *     tags: [Authentication - MFA]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: Returned by /auth/login or /auth/oidc/callback
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 4e363-4eb3f
+ *     responses:
+ *       200:
+ *         description: Login successful (same tokens as /auth/login)
+ *       401:
+ *         description: Invalid code or expired challenge (wrong codes count towards the account lockout)
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts, wait before trying again
+ */
+router.post('/mfa/verify', verifyMfaLogin);
+
+/**
+ * @swagger
+ * /auth/mfa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a TOTP secret and an otpauth:// URI to render as a QR code for authenticator apps
+ *     tags: [Authentication - MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 secret:
+ *                   type: string
+ *                   example: JBSWY3DPEHPK3PXP
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: otpauth://totp/StudySpark:student%40studyspark.com?secret=JBSWY3DPEHPK3PXP&issuer=StudySpark
+ *       400:
+ *         description: Already enabled
+ *       503:
+ *         description: ENCRYPTION_KEY is not set on the server
+ */
+router.post('/mfa/setup', protect, setupMfa);
+
+/**
+ * @swagger
+ * /auth/mfa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Verifies a code from the authenticator app, enables MFA and returns 10 single-use recovery codes (shown only once) plus an upgraded access token for the current session
+ *     tags: [Authentication - MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: MFA enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post('/mfa/enable', protect, enableMfa);
+
+/**
+ * @swagger
+ * /auth/mfa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed for roles listed in MFA_REQUIRED_ROLES
+ *     tags: [Authentication - MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: MFA disabled
+ *       401:
+ *         description: Incorrect password or code
+ *       403:
+ *         description: MFA is required for the user's role
+ */
+router.post('/mfa/disable', protect, disableMfa);
+
+/**
+ * @swagger
+ * /auth/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes. Requires a current authenticator code.
+ *     tags: [Authentication - MFA]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ */
+router.post('/mfa/recovery-codes', protect, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   post:
+ *     summary: Create a personal access token for scripts and integrations
+ *     description: |
+ *       Returns the token once; only its hash is stored. Send it as `Authorization: Bearer ssp_...`.
+ *       Tokens only work on routes that accept their scope:
+ *       - `materials:read` - list, view and search study materials
+ *       - `materials:write` - process, update and delete study materials
+ *       - `analytics:read` - analytics endpoints
+ *     tags: [Authentication - API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Bulk upload script
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [materials:read, materials:write, analytics:read]
+ *                 example: [materials:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Omit for a token that stays valid until revoked
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                   example: ssp_9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08
+ *                 apiToken:
+ *                   type: object
+ *       400:
+ *         description: Missing name, unknown scope or too many active tokens
+ */
+router.post('/tokens', protect, createToken);
+
+/**
+ * @swagger
+ * /auth/tokens:
+ *   get:
+ *     summary: List personal access tokens
+ *     description: Shows name, prefix, scopes, expiry and last use. The token itself is never returned again.
+ *     tags: [Authentication - API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active (not revoked) tokens
+ */
+router.get('/tokens', protect, getTokens);
+
+/**
+ * @swagger
+ * /auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Authentication - API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/tokens/:id', protect, revokeToken);
+
 export default router;
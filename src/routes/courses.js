@@ -0,0 +1,225 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  createCourse,
+  getMyCourses,
+  getCourseById,
+  addCourseInstructor,
+  removeCourseInstructor,
+  addCourseStudents,
+  removeCourseStudent
+} from '../controllers/courseController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /courses:
+ *   post:
+ *     summary: Create a course (Instructor/Admin)
+ *     description: The creator becomes the course owner. Course instructors can manage live quizzes attached to the course.
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - code
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Data Structures and Algorithms
+ *               code:
+ *                 type: string
+ *                 example: CSC201
+ *               description:
+ *                 type: string
+ *               school:
+ *                 type: string
+ *                 example: University of Lagos
+ *     responses:
+ *       201:
+ *         description: Course created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 course:
+ *                   $ref: '#/components/schemas/Course'
+ *       409:
+ *         description: Course code already exists
+ */
+router.post('/', protect, authorize('instructor', 'admin'), createCourse);
+
+/**
+ * @swagger
+ * /courses:
+ *   get:
+ *     summary: Get courses the current user teaches
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of courses
+ */
+router.get('/', protect, authorize('instructor', 'admin'), getMyCourses);
+
+/**
+ * @swagger
+ * /courses/{courseId}:
+ *   get:
+ *     summary: Get course details (Course instructors)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course details
+ *       403:
+ *         description: Not an instructor of this course
+ */
+router.get('/:courseId', protect, authorize('instructor', 'admin'), getCourseById);
+
+/**
+ * @swagger
+ * /courses/{courseId}/instructors:
+ *   post:
+ *     summary: Add a co-instructor to a course (Owner/Admin)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Instructor added
+ *       400:
+ *         description: User is not an instructor or admin
+ *       403:
+ *         description: Only the course owner can manage instructors
+ */
+router.post('/:courseId/instructors', protect, authorize('instructor', 'admin'), addCourseInstructor);
+
+/**
+ * @swagger
+ * /courses/{courseId}/instructors/{userId}:
+ *   delete:
+ *     summary: Remove a co-instructor from a course (Owner/Admin)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Instructor removed
+ */
+router.delete('/:courseId/instructors/:userId', protect, authorize('instructor', 'admin'), removeCourseInstructor);
+
+/**
+ * @swagger
+ * /courses/{courseId}/students:
+ *   post:
+ *     summary: Enrol students in a course (Course instructors)
+ *     description: Enrolled students can use the materials published to the course library (see /study/materials/{id}/shares).
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - emails
+ *             properties:
+ *               emails:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Students enrolled (emails without an account are listed in notFound)
+ *       400:
+ *         description: No emails, or more than 500
+ *       403:
+ *         description: Not an instructor of this course
+ */
+router.post('/:courseId/students', protect, authorize('instructor', 'admin'), addCourseStudents);
+
+/**
+ * @swagger
+ * /courses/{courseId}/students/{userId}:
+ *   delete:
+ *     summary: Remove a student from a course (Course instructors)
+ *     tags: [Courses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student removed
+ *       403:
+ *         description: Not an instructor of this course
+ */
+router.delete('/:courseId/students/:userId', protect, authorize('instructor', 'admin'), removeCourseStudent);
+
+export default router;
@@ -1,12 +1,32 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiToken, requireVerifiedEmail } from '../middleware/auth.js';
+import { uploadSingleFile } from '../middleware/upload.js';
 import {
   processMaterial,
+  uploadMaterial,
   getMaterials,
+  keywordSearchMaterials,
+  getMaterialFolders,
+  getMaterialTags,
   getMaterialById,
   deleteMaterial,
-  updateMaterial
+  updateMaterial,
+  getMaterialStatus,
+  retryMaterial,
+  getMaterialChunks,
+  getMaterialDuplicates,
+  updateMaterialChunk,
+  deleteMaterialChunk,
+  rechunkMaterial
 } from '../controllers/materialController.js';
+import {
+  getMaterialShares,
+  createMaterialShare,
+  revokeMaterialShare,
+  getSharedMaterials,
+  joinSharedMaterial,
+  leaveSharedMaterial
+} from '../controllers/materialShareController.js';
 
 const router = express.Router();
 
@@ -15,7 +35,7 @@ const router = express.Router();
  * /study/materials/process:
  *   post:
  *     summary: Process course material and generate embeddings
- *     description: Upload course material text chunks and generate vector embeddings for RAG
+ *     description: Upload course material text chunks. Embeddings are generated by a background job; the material is `processing` until it becomes `ready` or `failed`.
  *     tags: [Course Materials]
  *     security:
  *       - bearerAuth: []
@@ -48,13 +68,75 @@ const router = express.Router();
  *                       type: string
  *                     order:
  *                       type: integer
+ *                       description: Sorts the chunks (array order if missing); chunks are numbered 0, 1, 2, ... when saved
  *                     metadata:
  *                       type: object
  *     responses:
- *       201:
- *         description: Material processed successfully
+ *       202:
+ *         description: Material queued for background processing (poll statusUrl for progress)
  */
-router.post('/process', protect, processMaterial);
+router.post('/process', allowApiToken('materials:write'), protect, requireVerifiedEmail, processMaterial);
+
+/**
+ * @swagger
+ * /study/materials/upload:
+ *   post:
+ *     summary: Upload a document and generate embeddings
+ *     description: |
+ *       Extracts text server-side (no external parsing service) from PDF, DOCX, PPTX, Markdown or TXT files,
+ *       chunks it and generates embeddings for RAG. Chunks record the pages (PDF, DOCX) or slides (PPTX)
+ *       they come from in `metadata.pageStart`/`pageEnd` or `metadata.slideStart`/`slideEnd`.
+ *       DOCX page numbers rely on page breaks saved by Word. Scanned PDFs without a text layer are rejected.
+ *       Chunks under markdown headings record them in `metadata.headingPath` (e.g. "Week 3 > Recursion > Base cases").
+ *       Embeddings are generated by a background job (see /study/materials/{id}/status).
+ *       Maximum size is MAX_UPLOAD_MB (default 20 MB).
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *               - topic
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the file name
+ *                 example: Data Structures Chapter 3
+ *               topic:
+ *                 type: string
+ *                 example: Binary Trees
+ *               subject:
+ *                 type: string
+ *                 example: Computer Science
+ *               chunkingStrategy:
+ *                 type: string
+ *                 enum: [sentence, markdown, paragraph, code, fixed]
+ *                 description: |
+ *                   How to split the text (default markdown for Markdown files, sentence otherwise).
+ *                   sentence packs paragraphs with overlap; markdown never crosses a heading;
+ *                   paragraph keeps paragraphs, lists, tables and code blocks whole; code also keeps code
+ *                   with the text introducing it; fixed uses fixed-size windows.
+ *     responses:
+ *       202:
+ *         description: Material queued for background processing (poll statusUrl for progress)
+ *       400:
+ *         description: Missing file or topic, or invalid chunking strategy
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: Unsupported file type
+ *       422:
+ *         description: File could not be read or contains too little text
+ */
+router.post('/upload', allowApiToken('materials:write'), protect, requireVerifiedEmail, uploadSingleFile('file'), uploadMaterial);
 
 /**
  * @swagger
@@ -78,17 +160,243 @@ router.post('/process', protect, processMaterial);
  *         schema:
  *           type: string
  *           enum: [processing, ready, failed]
+ *       - in: query
+ *         name: tag
+ *         description: Comma-separated tags; materials must have all of them
+ *         schema:
+ *           type: string
+ *           example: exam,week-3
+ *       - in: query
+ *         name: folder
+ *         description: Folder path such as "Year 2/CS201" (empty for materials outside any folder)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeSubfolders
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: starred
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: archived
+ *         description: Archived materials are hidden by default; true lists only archived materials, all lists both
+ *         schema:
+ *           type: string
+ *           enum: ['false', 'true', all]
+ *       - in: query
+ *         name: sort
+ *         description: Prefix with - for descending
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, updatedAt, -updatedAt, title, -title, topic, -topic, subject, -subject, wordCount, -wordCount, chunkCount, -chunkCount]
+ *           default: -createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 100
  *     responses:
  *       200:
  *         description: List of course materials
+ *       400:
+ *         description: Invalid status or sort
+ */
+router.get('/', allowApiToken('materials:read'), protect, getMaterials);
+
+/**
+ * @swagger
+ * /study/materials/keyword-search:
+ *   get:
+ *     summary: Keyword search of the material library
+ *     description: |
+ *       Full-text search of material titles, tags, topics and subjects and of the material text itself.
+ *       Words match on their stems ("recursive" finds "recursion"); "quoted phrases" and -excluded words are supported.
+ *       Each result lists up to 3 matching passages with a snippet and their location in the material.
+ *       Accepts the same filters as the material list. Use /study/search for semantic search.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: binary tree traversal
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeSubfolders
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: starred
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: ['false', 'true', all]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Matching materials, most relevant first
+ *       400:
+ *         description: Missing search query or invalid filter
+ */
+router.get('/keyword-search', allowApiToken('materials:read'), protect, keywordSearchMaterials);
+
+/**
+ * @swagger
+ * /study/materials/folders:
+ *   get:
+ *     summary: List material folders
+ *     description: Folders in use with the number of (non-archived) materials in each. An empty folder name is the top level.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Folders and material counts
+ */
+router.get('/folders', allowApiToken('materials:read'), protect, getMaterialFolders);
+
+/**
+ * @swagger
+ * /study/materials/tags:
+ *   get:
+ *     summary: List material tags
+ *     description: Tags in use with the number of (non-archived) materials using each, most used first.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags and material counts
+ */
+router.get('/tags', allowApiToken('materials:read'), protect, getMaterialTags);
+
+/**
+ * @swagger
+ * /study/materials/shared:
+ *   get:
+ *     summary: List materials shared with you
+ *     description: |
+ *       Materials other users shared with you directly or through a share link, and materials published
+ *       to the libraries of courses you study or teach. Shared materials are read-only and are used by
+ *       /study/chat-with-context and /study/materials/search alongside your own materials.
+ *       Each material says how it was shared (`sharedVia`: user, link or course), by whom (`sharedBy`) and,
+ *       for course libraries, which `course`.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: course
+ *         description: Only materials from this course's library
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shared materials with attribution
+ *       400:
+ *         description: Invalid course ID
+ */
+router.get('/shared', allowApiToken('materials:read'), protect, getSharedMaterials);
+
+/**
+ * @swagger
+ * /study/materials/shared/links/{token}:
+ *   post:
+ *     summary: Open a share link
+ *     description: Adds the linked material to your shared materials. Expired links return 410.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: You already had access to the material
+ *       201:
+ *         description: Material added to your shared materials
+ *       400:
+ *         description: The link is for your own material
+ *       404:
+ *         description: Link not found or revoked
+ *       410:
+ *         description: Link expired
  */
-router.get('/', protect, getMaterials);
+router.post('/shared/links/:token', protect, joinSharedMaterial);
+
+/**
+ * @swagger
+ * /study/materials/shared/{id}:
+ *   delete:
+ *     summary: Remove a material shared with you
+ *     description: Removes a material shared with you directly or through a link. Course library materials stay available while you are in the course.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Material ID
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shared material removed
+ *       404:
+ *         description: No material with this ID is shared directly with you
+ */
+router.delete('/shared/:id', protect, leaveSharedMaterial);
 
 /**
  * @swagger
  * /study/materials/{id}:
  *   get:
  *     summary: Get specific course material
+ *     description: Works for your own materials and materials shared with you (shared materials include `shared` attribution instead of your folder, tags, starred and archived)
  *     tags: [Course Materials]
  *     security:
  *       - bearerAuth: []
@@ -102,7 +410,422 @@ router.get('/', protect, getMaterials);
  *       200:
  *         description: Course material details
  */
-router.get('/:id', protect, getMaterialById);
+router.get('/:id', allowApiToken('materials:read'), protect, getMaterialById);
+
+/**
+ * @swagger
+ * /study/materials/{id}/status:
+ *   get:
+ *     summary: Get processing status and progress of a material
+ *     description: Poll this while the material is `processing`. `job.progress` is the percentage of chunks embedded so far.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Material status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 status:
+ *                   type: string
+ *                   enum: [processing, ready, failed]
+ *                 error:
+ *                   type: string
+ *                 chunkCount:
+ *                   type: integer
+ *                 job:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [queued, running, completed, failed]
+ *                     totalChunks:
+ *                       type: integer
+ *                     embeddedChunks:
+ *                       type: integer
+ *                     progress:
+ *                       type: integer
+ *                       example: 40
+ *                     attempts:
+ *                       type: integer
+ *                     maxAttempts:
+ *                       type: integer
+ *                     nextAttemptAt:
+ *                       type: string
+ *                       format: date-time
+ *                     lastError:
+ *                       type: string
+ *       404:
+ *         description: Material not found
+ */
+router.get('/:id/status', allowApiToken('materials:read'), protect, getMaterialStatus);
+
+/**
+ * @swagger
+ * /study/materials/{id}/retry:
+ *   post:
+ *     summary: Retry a failed material
+ *     description: Re-queues the background job. Chunks embedded before the failure are kept, so processing resumes where it stopped.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Material queued for processing
+ *       400:
+ *         description: Material is not in the failed state
+ *       409:
+ *         description: Nothing to retry (material failed before background processing existed)
+ */
+router.post('/:id/retry', allowApiToken('materials:write'), protect, requireVerifiedEmail, retryMaterial);
+
+/**
+ * @swagger
+ * /study/materials/{id}/chunks:
+ *   get:
+ *     summary: List the chunks of a material
+ *     description: Chunks in reading order, without their embeddings.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of chunks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 chunks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       content:
+ *                         type: string
+ *                       order:
+ *                         type: integer
+ *                       wordCount:
+ *                         type: integer
+ *                       embeddingProvider:
+ *                         type: string
+ *                         enum: [gemini, local, hashing]
+ *                       embeddingModel:
+ *                         type: string
+ *                       duplicateOf:
+ *                         type: string
+ *                         description: Earlier chunk of the owner's materials with the same or nearly the same text
+ *                       metadata:
+ *                         type: object
+ *       404:
+ *         description: Material not found
+ */
+router.get('/:id/chunks', allowApiToken('materials:read'), protect, getMaterialChunks);
+
+/**
+ * @swagger
+ * /study/materials/{id}/duplicates:
+ *   get:
+ *     summary: List chunks repeating your other materials
+ *     description: |
+ *       Chunks of the material with the same or nearly the same text as an earlier chunk of your materials
+ *       (e.g. slides uploaded again), with the material the original is in. Search shows only one of a set of copies.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Duplicate chunks in reading order
+ *       404:
+ *         description: Material not found
+ */
+router.get('/:id/duplicates', allowApiToken('materials:read'), protect, getMaterialDuplicates);
+
+/**
+ * @swagger
+ * /study/materials/{id}/chunks/{chunkId}:
+ *   patch:
+ *     summary: Edit the text of a chunk
+ *     description: The chunk is re-embedded straight away with the material's embedding model, so search uses the new text immediately.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: chunkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: 10 to 2000 words
+ *     responses:
+ *       200:
+ *         description: Chunk updated and re-embedded
+ *       400:
+ *         description: Content too short or too long
+ *       404:
+ *         description: Material or chunk not found
+ *       409:
+ *         description: Material is still being processed
+ */
+router.patch('/:id/chunks/:chunkId', allowApiToken('materials:write'), protect, requireVerifiedEmail, updateMaterialChunk);
+
+/**
+ * @swagger
+ * /study/materials/{id}/chunks/{chunkId}:
+ *   delete:
+ *     summary: Delete a chunk from a material
+ *     description: Removes a bad chunk (e.g. a garbled table of contents) so it no longer turns up in search.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: chunkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chunk deleted
+ *       404:
+ *         description: Material or chunk not found
+ *       409:
+ *         description: Material is still being processed, or failed (retry or re-chunk it first)
+ */
+router.delete('/:id/chunks/:chunkId', allowApiToken('materials:write'), protect, deleteMaterialChunk);
+
+/**
+ * @swagger
+ * /study/materials/{id}/rechunk:
+ *   post:
+ *     summary: Re-chunk a material with a different chunk size or strategy
+ *     description: |
+ *       Splits the material's text again and re-embeds every chunk in the background (poll statusUrl).
+ *       Edits and deletions made to individual chunks are lost. The material is left out of search until it is `ready` again.
+ *       Settings that are not given keep their current values.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               maxTokens:
+ *                 type: integer
+ *                 minimum: 100
+ *                 maximum: 2000
+ *                 example: 300
+ *               overlapWords:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Must be less than half of maxTokens
+ *                 example: 30
+ *               chunkingStrategy:
+ *                 type: string
+ *                 enum: [sentence, markdown, paragraph, code, fixed]
+ *     responses:
+ *       202:
+ *         description: Material queued for re-chunking
+ *       400:
+ *         description: Invalid maxTokens, overlapWords or strategy
+ *       404:
+ *         description: Material not found
+ *       409:
+ *         description: Material is still being processed
+ *       422:
+ *         description: Not enough text to re-chunk
+ */
+router.post('/:id/rechunk', allowApiToken('materials:write'), protect, requireVerifiedEmail, rechunkMaterial);
+
+/**
+ * @swagger
+ * /study/materials/{id}/shares:
+ *   get:
+ *     summary: List who a material is shared with (Owner)
+ *     description: User shares, share links (with how many people joined through them) and course libraries.
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Shares of the material
+ *       404:
+ *         description: Material not found
+ */
+router.get('/:id/shares', protect, getMaterialShares);
+
+/**
+ * @swagger
+ * /study/materials/{id}/shares:
+ *   post:
+ *     summary: Share a material (Owner)
+ *     description: |
+ *       Gives read-only access to the material:
+ *       - `user`: with the user who has `email`. The response is the same whether or not an
+ *         account uses the email; the share shows up in the material's shares if it does.
+ *       - `link`: creates a share link; anyone signed in who opens it gets access. The token is only returned once.
+ *         Revoking the link also removes the access people gained through it.
+ *       - `course`: publishes the material to the library of `courseId` (course instructors only);
+ *         the course's students and instructors get access
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [user, link, course]
+ *               email:
+ *                 type: string
+ *                 description: Recipient (type user)
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Link lifetime (type link; default never expires)
+ *               courseId:
+ *                 type: string
+ *                 description: Course to publish to (type course)
+ *     responses:
+ *       200:
+ *         description: Shared with the user, if an account uses the email (type user)
+ *       201:
+ *         description: Share link created (with `token` and `url`) or material published to the course library
+ *       400:
+ *         description: Invalid type or missing email/courseId
+ *       403:
+ *         description: Not an instructor of the course
+ *       404:
+ *         description: Material or course not found
+ */
+router.post('/:id/shares', protect, requireVerifiedEmail, createMaterialShare);
+
+/**
+ * @swagger
+ * /study/materials/{id}/shares/{shareId}:
+ *   delete:
+ *     summary: Revoke a share (Owner)
+ *     tags: [Course Materials]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shareId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Share revoked
+ *       404:
+ *         description: Share not found
+ */
+router.delete('/:id/shares/:shareId', protect, revokeMaterialShare);
 
 /**
  * @swagger
@@ -130,11 +853,28 @@ router.get('/:id', protect, getMaterialById);
  *                 type: string
  *               subject:
  *                 type: string
+ *               folder:
+ *                 type: string
+ *                 description: Folder path with / between levels (empty or null moves the material to the top level)
+ *                 example: Year 2/CS201
+ *               tags:
+ *                 type: array
+ *                 description: Replaces the material's tags (stored lowercase; at most 20 tags of 40 characters)
+ *                 items:
+ *                   type: string
+ *                 example: [exam, week-3]
+ *               starred:
+ *                 type: boolean
+ *               archived:
+ *                 type: boolean
+ *                 description: Archived materials are hidden from lists unless requested
  *     responses:
  *       200:
  *         description: Material updated successfully
+ *       400:
+ *         description: No fields to update, or invalid folder or tags
  */
-router.patch('/:id', protect, updateMaterial);
+router.patch('/:id', allowApiToken('materials:write'), protect, updateMaterial);
 
 /**
  * @swagger
@@ -154,6 +894,6 @@ router.patch('/:id', protect, updateMaterial);
  *       200:
  *         description: Material deleted successfully
  */
-router.delete('/:id', protect, deleteMaterial);
+router.delete('/:id', allowApiToken('materials:write'), protect, deleteMaterial);
 
 export default router;
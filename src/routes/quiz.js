@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, authorize, authorizeQuiz, requireVerifiedEmail } from '../middleware/auth.js';
 import {
   generateQuiz,
   generateQuestions,
@@ -13,7 +13,9 @@ import {
   submitQuiz,
   getQuizAttempts,
   getPersonalQuizzes,
-  getLiveQuiz
+  getLiveQuiz,
+  addCoInstructor,
+  removeCoInstructor
 } from '../controllers/quizController.js';
 
 const router = express.Router();
@@ -124,7 +126,7 @@ const router = express.Router();
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/generate', protect, generateQuiz);
+router.post('/generate', protect, requireVerifiedEmail, generateQuiz);
 
 /**
  * @swagger
@@ -229,7 +231,7 @@ router.post('/generate', protect, generateQuiz);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/questions/generate', protect, generateQuestions);
+router.post('/questions/generate', protect, requireVerifiedEmail, generateQuestions);
 
 // ========== LIVE QUIZ ENDPOINTS ==========
 
@@ -281,6 +283,14 @@ router.post('/questions/generate', protect, generateQuestions);
  *                 description: Time limit in minutes
  *                 default: 30
  *                 example: 30
+ *               courseId:
+ *                 type: string
+ *                 description: Course the quiz belongs to (its instructors can manage the quiz)
+ *               coInstructors:
+ *                 type: array
+ *                 description: User IDs of instructors who can run the quiz
+ *                 items:
+ *                   type: string
  *     responses:
  *       201:
  *         description: Live quiz created successfully with join code
@@ -339,7 +349,7 @@ router.post('/questions/generate', protect, generateQuestions);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/live/create', protect, createLiveQuiz);
+router.post('/live/create', protect, authorize('instructor', 'admin'), createLiveQuiz);
 
 /**
  * @swagger
@@ -431,7 +441,7 @@ router.post('/live/join', protect, joinQuiz);
  * @swagger
  * /quiz/live/start/{quizId}:
  *   post:
- *     summary: Start live quiz (Admin)
+ *     summary: Start live quiz (Creator, co-instructor, course instructor or admin)
  *     tags: [Quiz - Live]
  *     security:
  *       - bearerAuth: []
@@ -445,13 +455,13 @@ router.post('/live/join', protect, joinQuiz);
  *       200:
  *         description: Quiz started successfully
  */
-router.post('/live/start/:quizId', protect, startQuiz);
+router.post('/live/start/:quizId', protect, authorizeQuiz(), startQuiz);
 
 /**
  * @swagger
  * /quiz/live/end/{quizId}:
  *   post:
- *     summary: End live quiz (Admin)
+ *     summary: End live quiz (Creator, co-instructor, course instructor or admin)
  *     tags: [Quiz - Live]
  *     security:
  *       - bearerAuth: []
@@ -465,13 +475,13 @@ router.post('/live/start/:quizId', protect, startQuiz);
  *       200:
  *         description: Quiz ended successfully
  */
-router.post('/live/end/:quizId', protect, endQuiz);
+router.post('/live/end/:quizId', protect, authorizeQuiz(), endQuiz);
 
 /**
  * @swagger
  * /quiz/live/{quizId}:
  *   get:
- *     summary: Get live quiz details (Admin dashboard)
+ *     summary: Get live quiz details (Instructor dashboard)
  *     tags: [Quiz - Live]
  *     security:
  *       - bearerAuth: []
@@ -485,7 +495,69 @@ router.post('/live/end/:quizId', protect, endQuiz);
  *       200:
  *         description: Live quiz details with participants
  */
-router.get('/live/:quizId', protect, getLiveQuiz);
+router.get('/live/:quizId', protect, authorizeQuiz(), getLiveQuiz);
+
+/**
+ * @swagger
+ * /quiz/live/{quizId}/co-instructors:
+ *   post:
+ *     summary: Add a co-instructor to a live quiz (Creator/Admin)
+ *     description: Co-instructors can start, end and view the quiz. They must have the instructor or admin role.
+ *     tags: [Quiz - Live]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 example: 507f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Co-instructor added
+ *       400:
+ *         description: User is not an instructor or admin
+ *       403:
+ *         description: Only the quiz creator or an admin can manage co-instructors
+ */
+router.post('/live/:quizId/co-instructors', protect, authorizeQuiz('owner'), addCoInstructor);
+
+/**
+ * @swagger
+ * /quiz/live/{quizId}/co-instructors/{userId}:
+ *   delete:
+ *     summary: Remove a co-instructor from a live quiz (Creator/Admin)
+ *     tags: [Quiz - Live]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Co-instructor removed
+ */
+router.delete('/live/:quizId/co-instructors/:userId', protect, authorizeQuiz('owner'), removeCoInstructor);
 
 // ========== PERSONAL QUIZ ENDPOINTS ==========
 
@@ -557,7 +629,7 @@ router.get('/live/:quizId', protect, getLiveQuiz);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/personal/create', protect, createPersonalQuiz);
+router.post('/personal/create', protect, requireVerifiedEmail, createPersonalQuiz);
 
 /**
  * @swagger
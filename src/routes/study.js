@@ -1,5 +1,5 @@
 import express from 'express';
-import { protect } from '../middleware/auth.js';
+import { protect, allowApiToken, requireVerifiedEmail } from '../middleware/auth.js';
 import {
   createStudyChat,
   getRecommendations,
@@ -66,7 +66,7 @@ router.use('/materials', materialsRouter);
  *                       items:
  *                         type: object
  */
-router.post('/chat', protect, createStudyChat);
+router.post('/chat', protect, requireVerifiedEmail, createStudyChat);
 
 /**
  * @swagger
@@ -95,7 +95,7 @@ router.post('/chat', protect, createStudyChat);
  *       200:
  *         description: AI response
  */
-router.post('/query', protect, simpleQuery);
+router.post('/query', protect, requireVerifiedEmail, simpleQuery);
 
 /**
  * @swagger
@@ -161,7 +161,7 @@ router.get('/chat/:chatId', protect, getStudyChatById);
  *       200:
  *         description: AI response added to chat
  */
-router.post('/chat/:chatId/message', protect, addMessageToChat);
+router.post('/chat/:chatId/message', protect, requireVerifiedEmail, addMessageToChat);
 
 /**
  * @swagger
@@ -216,7 +216,11 @@ router.get('/recommendations', protect, getRecommendations);
  * /study/chat-with-context:
  *   post:
  *     summary: Chat with AI using course material context (RAG)
- *     description: Get AI responses enhanced with relevant context from uploaded course materials
+ *     description: |
+ *       Get AI responses enhanced with relevant context from the student's own course materials and
+ *       materials shared with them (by classmates, share links or course libraries).
+ *       Each entry of `chunksUsed` has a `source` (own, user, link or course) and, for shared
+ *       materials, `sharedBy` and `course` so answers can be attributed.
  *     tags: [Study AI - RAG]
  *     security:
  *       - bearerAuth: []
@@ -243,9 +247,24 @@ router.get('/recommendations', protect, getRecommendations);
  *               subject:
  *                 type: string
  *                 example: Computer Science
+ *                 description: Only search materials of this subject
+ *               vectorWeight:
+ *                 type: number
+ *                 default: 1
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 description: Weight of the vector (semantic) ranking in hybrid search; 0 turns it off
+ *               lexicalWeight:
+ *                 type: number
+ *                 default: 1
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 description: Weight of the keyword (BM25) ranking, which finds exact terms like formula names and course codes; 0 turns it off
  *     responses:
  *       200:
  *         description: AI response with context from course materials
+ *       400:
+ *         description: Missing message or invalid weights
  *         content:
  *           application/json:
  *             schema:
@@ -267,14 +286,17 @@ router.get('/recommendations', protect, getRecommendations);
  *                       items:
  *                         type: object
  */
-router.post('/chat-with-context', protect, chatWithContext);
+router.post('/chat-with-context', protect, requireVerifiedEmail, chatWithContext);
 
 /**
  * @swagger
  * /study/materials/search:
  *   post:
  *     summary: Search for similar content in course materials
- *     description: Semantic search using vector embeddings to find relevant content
+ *     description: |
+ *       Hybrid search of your own materials and materials shared with you: a vector (semantic) ranking
+ *       and a keyword (BM25) ranking are fused with reciprocal rank fusion, tuned with vectorWeight and
+ *       lexicalWeight. Results from shared materials include `sharedBy` and `course`.
  *     tags: [Study AI - RAG]
  *     security:
  *       - bearerAuth: []
@@ -295,14 +317,32 @@ router.post('/chat-with-context', protect, chatWithContext);
  *                 items:
  *                   type: string
  *                 description: Optional array of material IDs to search within
+ *               subject:
+ *                 type: string
+ *                 example: Computer Science
+ *                 description: Only search materials of this subject
  *               limit:
  *                 type: integer
  *                 default: 10
  *                 description: Maximum number of results
+ *               vectorWeight:
+ *                 type: number
+ *                 default: 1
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 description: Weight of the vector (semantic) ranking in hybrid search; 0 turns it off
+ *               lexicalWeight:
+ *                 type: number
+ *                 default: 1
+ *                 minimum: 0
+ *                 maximum: 10
+ *                 description: Weight of the keyword (BM25) ranking, which finds exact terms like formula names and course codes; 0 turns it off
  *     responses:
  *       200:
- *         description: Search results with similarity scores
+ *         description: Search results, best first, with similarity, fused score, vectorRank/lexicalRank and the number of copies of the text left out (duplicates)
+ *       400:
+ *         description: Missing query or invalid weights
  */
-router.post('/materials/search', protect, searchMaterials);
+router.post('/materials/search', allowApiToken('materials:read'), protect, requireVerifiedEmail, searchMaterials);
 
 export default router;
@@ -0,0 +1,46 @@
+import express from 'express';
+import { getJwks } from '../controllers/authController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying StudySpark access tokens
+ *     description: |
+ *       JSON Web Key Set with every active verification key. Access tokens carry a `kid` header naming the key
+ *       that signed them and an `iss` claim (JWT_ISSUER). During key rotation the set contains both the old and
+ *       the new key. Empty when the deployment still signs with JWT_SECRET (HS256).
+ *     tags: [Authentication]
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       kid:
+ *                         type: string
+ *                         example: 2026-10-a1b2c3
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ */
+router.get('/jwks.json', getJwks);
+
+export default router;
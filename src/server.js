@@ -11,20 +11,41 @@ import authRoutes from './routes/auth.js';
 import studyRoutes from './routes/study.js';
 import quizRoutes from './routes/quiz.js';
 import analyticsRoutes from './routes/analytics.js';
+import courseRoutes from './routes/courses.js';
+import adminRoutes from './routes/admin.js';
+import wellKnownRoutes from './routes/wellKnown.js';
 
 // Import config
 import connectDB from './config/database.js';
 import swaggerSpec from './config/swagger.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { startIngestionWorker } from './services/ingestionService.js';
+import { startReembeddingWorker } from './services/reembeddingService.js';
+import { checkMailConfig } from './services/mailService.js';
+import { checkEncryptionConfig } from './utils/encryption.js';
+import { checkSigningKeys } from './services/signingKeyService.js';
 
 // Load environment variables
 dotenv.config();
 
+// Refuse to start with settings that would leak secrets or fail on every request
+try {
+  checkMailConfig();
+  checkEncryptionConfig();
+  checkSigningKeys();
+} catch (error) {
+  console.error(`❌ Configuration Error: ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start processing queued material uploads and re-embedding jobs
+connectDB().then(() => {
+  startIngestionWorker();
+  startReembeddingWorker();
+});
 
 // Middleware
 app.use(helmet());
@@ -93,7 +114,8 @@ app.get('/', (req, res) => {
       },
       study: {
         query: `${baseUrl}/api/v1/study/query`,
-        recommendations: `${baseUrl}/api/v1/study/recommendations`
+        recommendations: `${baseUrl}/api/v1/study/recommendations`,
+        materials: `${baseUrl}/api/v1/study/materials`
       },
       quiz: {
         generate: `${baseUrl}/api/v1/quiz/personal/generate`,
@@ -132,11 +154,16 @@ app.get('/docs', (req, res) => {
   res.redirect('/api-docs');
 });
 
+// Public keys for other services verifying our access tokens
+app.use('/.well-known', wellKnownRoutes);
+
 // API Routes
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/study', studyRoutes);
 app.use('/api/v1/quiz', quizRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/courses', courseRoutes);
+app.use('/api/v1/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import CourseMaterial from '../models/CourseMaterial.js';
+import StudyChat from '../models/StudyChat.js';
+import QuizAttempt from '../models/QuizAttempt.js';
+import Quiz from '../models/Quiz.js';
+import Course from '../models/Course.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import EmailVerificationToken from '../models/EmailVerificationToken.js';
+import MfaChallenge from '../models/MfaChallenge.js';
+import ApiToken from '../models/ApiToken.js';
+import IngestionJob from '../models/IngestionJob.js';
+import PendingChunk from '../models/PendingChunk.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+import MaterialShare from '../models/MaterialShare.js';
+import { dropVectorIndexes } from './vectorIndexService.js';
+
+/**
+ * Delete a user account and everything that belongs to it
+ *
+ * Personal data (materials, chats, attempts, personal quizzes, tokens) is removed.
+ * Live quizzes and courses the user created are kept for their students; the user
+ * is only removed from co-instructor and student lists. Security events are kept for auditing.
+ * The user document is deleted last so a failed run can simply be retried.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>} - Number of deleted documents per collection
+ */
+export async function deleteUserAccount(userId) {
+  // Sign out everywhere first so no new data is created mid-deletion
+  const [refreshTokens, apiTokens] = await Promise.all([
+    RefreshToken.deleteMany({ userId }),
+    ApiToken.deleteMany({ userId })
+  ]);
+
+  const [materials, chats, attempts, quizzes] = await Promise.all([
+    CourseMaterial.deleteMany({ user: userId }),
+    StudyChat.deleteMany({ user: userId }),
+    QuizAttempt.deleteMany({ user: userId }),
+    Quiz.deleteMany({ createdBy: userId, type: 'personal' })
+  ]);
+
+  await Promise.all([
+    IngestionJob.deleteMany({ user: userId }),
+    PendingChunk.deleteMany({ user: userId }),
+    MaterialChunk.deleteMany({ user: userId }),
+    MaterialShare.deleteMany({ $or: [{ owner: userId }, { sharedWith: userId }] }),
+    PasswordResetToken.deleteMany({ userId }),
+    EmailVerificationToken.deleteMany({ userId }),
+    MfaChallenge.deleteMany({ userId }),
+    Quiz.updateMany({ coInstructors: userId }, { $pull: { coInstructors: userId } }),
+    Course.updateMany({ instructors: userId }, { $pull: { instructors: userId } }),
+    Course.updateMany({ students: userId }, { $pull: { students: userId } }),
+    dropVectorIndexes(userId)
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    materials: materials.deletedCount,
+    chats: chats.deletedCount,
+    quizAttempts: attempts.deletedCount,
+    personalQuizzes: quizzes.deletedCount,
+    refreshTokens: refreshTokens.deletedCount,
+    apiTokens: apiTokens.deletedCount
+  };
+}
+
+/**
+ * Count materials, chats and quiz attempts per user
+ * @param {Array<string>} userIds
+ * @returns {Promise<Map<string, Object>>} - userId -> { materials, chats, quizAttempts }
+ */
+export async function getUsageCounts(userIds) {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(id));
+  const countByUser = (Model) => Model.aggregate([
+    { $match: { user: { $in: ids } } },
+    { $group: { _id: '$user', count: { $sum: 1 } } }
+  ]);
+
+  const [materials, chats, attempts] = await Promise.all([
+    countByUser(CourseMaterial),
+    countByUser(StudyChat),
+    countByUser(QuizAttempt)
+  ]);
+
+  const usage = new Map(ids.map(id => [id.toString(), { materials: 0, chats: 0, quizAttempts: 0 }]));
+  materials.forEach(row => { usage.get(row._id.toString()).materials = row.count; });
+  chats.forEach(row => { usage.get(row._id.toString()).chats = row.count; });
+  attempts.forEach(row => { usage.get(row._id.toString()).quizAttempts = row.count; });
+
+  return usage;
+}
+
+export default {
+  deleteUserAccount,
+  getUsageCounts
+};
@@ -0,0 +1,70 @@
+import ApiToken from '../models/ApiToken.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+// Personal access tokens are recognisable by prefix, so `protect` can tell them from JWTs
+export const API_TOKEN_PREFIX = 'ssp_';
+
+// Avoid a database write on every request from busy scripts
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Check if a bearer credential is a personal access token
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function isApiToken(token) {
+  return typeof token === 'string' && token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Create a personal access token
+ * @param {string} userId
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Promise<{token: string, apiToken: Object}>} - Plain token (shown once) and stored document
+ */
+export async function createApiToken(userId, { name, scopes, expiresInDays }) {
+  const token = `${API_TOKEN_PREFIX}${generateToken(32)}`;
+
+  const apiToken = await ApiToken.create({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, API_TOKEN_PREFIX.length + 8),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : undefined
+  });
+
+  return { token, apiToken };
+}
+
+/**
+ * Look up an active personal access token and record its use
+ * @param {string} token - Plain token from the Authorization header
+ * @param {string} ipAddress
+ * @returns {Promise<Object|null>} - Token document, or null if unknown, revoked or expired
+ */
+export async function findActiveApiToken(token, ipAddress) {
+  const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+  if (!apiToken || !apiToken.isActive()) {
+    return null;
+  }
+
+  const lastUsed = apiToken.lastUsedAt ? apiToken.lastUsedAt.getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_UPDATE_INTERVAL_MS) {
+    await ApiToken.updateOne(
+      { _id: apiToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+    );
+  }
+
+  return apiToken;
+}
+
+export default {
+  API_TOKEN_PREFIX,
+  isApiToken,
+  createApiToken,
+  findActiveApiToken
+};
@@ -0,0 +1,314 @@
+import path from 'path';
+import { createRequire } from 'module';
+import JSZip from 'jszip';
+import { getDocument, VerbosityLevel } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Text extraction for uploaded study materials
+// Everything runs locally (no cloud parsing service), so uploads work offline
+
+// Font metrics bundled with pdfjs-dist, used for PDFs that rely on the standard 14 fonts
+const require = createRequire(import.meta.url);
+const STANDARD_FONT_DATA_PATH = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts/');
+
+// Supported file types by extension
+export const SUPPORTED_FILE_TYPES = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.pptx': 'pptx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text'
+};
+
+/**
+ * Work out the file type from the file name, checking the content matches
+ * @param {string} fileName - Original file name
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} - pdf | docx | pptx | markdown | text, or null if unsupported
+ */
+export function detectFileType(fileName, buffer) {
+  const fileType = SUPPORTED_FILE_TYPES[path.extname(fileName || '').toLowerCase()];
+  if (!fileType) return null;
+
+  // Reject renamed files early instead of failing deep inside a parser
+  const signature = buffer.subarray(0, 4).toString('latin1');
+  if (fileType === 'pdf' && signature !== '%PDF') return null;
+  if ((fileType === 'docx' || fileType === 'pptx') && signature !== 'PK\u0003\u0004') return null;
+
+  return fileType;
+}
+
+/**
+ * Decode the XML entities used in Office documents
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Normalize extracted text the same way chunkText does, so character offsets line up
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract text from a PDF, one section per page
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{text: string, page: number}>>}
+ */
+async function extractPdf(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: STANDARD_FONT_DATA_PATH,
+    isEvalSupported: false,
+    disableFontFace: true,
+    useSystemFonts: false,
+    verbosity: VerbosityLevel.ERRORS
+  }).promise;
+
+  const sections = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+
+      const text = content.items
+        .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+        .join('');
+
+      sections.push({ text, page: pageNumber });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return sections;
+}
+
+/**
+ * Extract text from a Word document
+ * Page numbers come from the page breaks Word records when it saves
+ * (w:lastRenderedPageBreak) and from manual page breaks; documents written by
+ * other tools may have neither, in which case everything is page 1
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{text: string, page: number}>>}
+ */
+async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = await zip.file('word/document.xml')?.async('string');
+  if (!documentXml) {
+    throw new Error('Not a valid Word document');
+  }
+
+  const tokenPattern = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:br\s[^>]*w:type="page"[^>]*\/>|<w:lastRenderedPageBreak\/>|<w:tab\/>|<w:br(?:\s[^>]*)?\/>|<\/w:p>/g;
+
+  const pages = [[]];
+  let paragraph = '';
+  let textSinceBreak = false;
+
+  const endParagraph = () => {
+    if (paragraph.trim()) pages[pages.length - 1].push(paragraph);
+    paragraph = '';
+  };
+
+  for (const match of documentXml.matchAll(tokenPattern)) {
+    const [token, text] = match;
+
+    if (text !== undefined) {
+      paragraph += decodeXmlEntities(text);
+      textSinceBreak = textSinceBreak || text.trim().length > 0;
+    } else if (token.includes('type="page"') || token === '<w:lastRenderedPageBreak/>') {
+      // Word also records a rendered break right after a manual one; count it once
+      if (textSinceBreak) {
+        endParagraph();
+        pages.push([]);
+        textSinceBreak = false;
+      }
+    } else if (token === '<w:tab/>') {
+      paragraph += '\t';
+    } else if (token.startsWith('<w:br')) {
+      paragraph += '\n';
+    } else {
+      endParagraph();
+    }
+  }
+  endParagraph();
+
+  return pages.map((paragraphs, index) => ({ text: paragraphs.join('\n\n'), page: index + 1 }));
+}
+
+/**
+ * Extract the paragraphs of a PowerPoint slide
+ * @param {string} xml - Slide XML
+ * @returns {Array<string>} - Paragraph texts
+ */
+function extractSlideParagraphs(xml) {
+  return (xml.match(/<a:p[\s>][\s\S]*?<\/a:p>/g) || []).map(paragraph => {
+    let text = '';
+    for (const [, run] of paragraph.matchAll(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>|<a:br(?:\s[^>]*)?\/>/g)) {
+      text += run !== undefined ? decodeXmlEntities(run) : '\n';
+    }
+    return text;
+  });
+}
+
+/**
+ * Extract text from a PowerPoint deck, one section per slide (in presentation order)
+ * @param {Buffer} buffer
+ * @returns {Promise<Array<{text: string, slide: number}>>}
+ */
+async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  // Slide order lives in presentation.xml (sldIdLst), resolved through its relationships
+  let slidePaths = [];
+  const presentationXml = await zip.file('ppt/presentation.xml')?.async('string');
+  const relsXml = await zip.file('ppt/_rels/presentation.xml.rels')?.async('string');
+
+  if (presentationXml && relsXml) {
+    const targets = new Map(
+      [...relsXml.matchAll(/<Relationship\s[^>]*Id="([^"]+)"[^>]*Target="([^"]+)"/g)]
+        .map(([, id, target]) => [id, path.posix.join('ppt', target.replace(/^\//, ''))])
+    );
+    slidePaths = [...presentationXml.matchAll(/<p:sldId\s[^>]*r:id="([^"]+)"/g)]
+      .map(([, id]) => targets.get(id))
+      .filter(slidePath => slidePath && zip.file(slidePath));
+  }
+
+  // Fall back to file names (slide1.xml, slide2.xml, ...)
+  if (slidePaths.length === 0) {
+    slidePaths = Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1]) - parseInt(b.match(/(\d+)\.xml$/)[1]));
+  }
+
+  if (slidePaths.length === 0) {
+    throw new Error('Not a valid PowerPoint presentation');
+  }
+
+  const sections = [];
+  for (let index = 0; index < slidePaths.length; index++) {
+    const xml = await zip.file(slidePaths[index]).async('string');
+    const paragraphs = extractSlideParagraphs(xml).filter(text => text.trim());
+    sections.push({ text: paragraphs.join('\n'), slide: index + 1 });
+  }
+
+  return sections;
+}
+
+/**
+ * Extract text from an uploaded file
+ *
+ * Sections are joined with blank lines into one text; each section records the
+ * character range it occupies so chunks can be mapped back to pages or slides
+ *
+ * @param {Buffer} buffer - File content
+ * @param {string} fileType - Result of detectFileType
+ * @returns {Promise<{text: string, sections: Array<{page?: number, slide?: number, startChar: number, endChar: number}>, pageCount?: number, slideCount?: number}>}
+ */
+export async function extractText(buffer, fileType) {
+  let rawSections;
+
+  switch (fileType) {
+    case 'pdf':
+      rawSections = await extractPdf(buffer);
+      break;
+    case 'docx':
+      rawSections = await extractDocx(buffer);
+      break;
+    case 'pptx':
+      rawSections = await extractPptx(buffer);
+      break;
+    case 'markdown':
+    case 'text':
+      // Strip a UTF-8 byte order mark if present
+      rawSections = [{ text: buffer.toString('utf8').replace(/^\uFEFF/, '') }];
+      break;
+    default:
+      throw new Error(`Unsupported file type: ${fileType}`);
+  }
+
+  let text = '';
+  const sections = [];
+
+  for (const { text: sectionText, ...location } of rawSections) {
+    const normalized = normalizeText(sectionText);
+    if (!normalized) continue;
+
+    if (text) text += '\n\n';
+    sections.push({ ...location, startChar: text.length, endChar: text.length + normalized.length });
+    text += normalized;
+  }
+
+  const result = { text, sections };
+  if (fileType === 'pdf' || fileType === 'docx') {
+    result.pageCount = rawSections.length ? rawSections[rawSections.length - 1].page : 0;
+  }
+  if (fileType === 'pptx') {
+    result.slideCount = rawSections.length;
+  }
+
+  return result;
+}
+
+/**
+ * Add page/slide numbers to chunks from chunkText, using their character offsets
+ * Chunks whose offset couldn't be found continue from the previous chunk
+ *
+ * @param {Array<Object>} chunks - Output of chunkText
+ * @param {Array<Object>} sections - Sections from extractText
+ * @returns {Array<Object>} - Chunks with metadata.pageStart/pageEnd or slideStart/slideEnd
+ */
+export function addLocationMetadata(chunks, sections) {
+  const located = sections.filter(section => section.page || section.slide);
+  if (located.length === 0) {
+    return chunks;
+  }
+
+  const unit = located[0].slide ? 'slide' : 'page';
+  const sectionAt = (offset) => {
+    const index = located.findIndex(section => offset < section.endChar);
+    return located[index === -1 ? located.length - 1 : index];
+  };
+
+  let previousEnd = 0;
+  return chunks.map(chunk => {
+    const startChar = chunk.metadata?.startChar >= 0 ? chunk.metadata.startChar : previousEnd;
+    const endChar = Math.max(startChar, startChar + chunk.content.length - 1);
+    previousEnd = endChar;
+
+    return {
+      ...chunk,
+      metadata: {
+        ...chunk.metadata,
+        [`${unit}Start`]: sectionAt(startChar)[unit],
+        [`${unit}End`]: sectionAt(endChar)[unit]
+      }
+    };
+  });
+}
+
+export default {
+  SUPPORTED_FILE_TYPES,
+  detectFileType,
+  extractText,
+  addLocationMetadata
+};
@@ -0,0 +1,154 @@
+import MaterialChunk from '../models/MaterialChunk.js';
+import {
+  fingerprintText,
+  hammingDistance,
+  simhashProbes,
+  NEAR_DUPLICATE_DISTANCE
+} from '../utils/textFingerprint.js';
+
+// Duplicate chunk detection
+// Students upload the same slides again and again, so many chunks repeat text from
+// their earlier materials. Each chunk is fingerprinted, and a chunk with the same or
+// nearly the same text as an earlier chunk of the same user is flagged with duplicateOf
+// (all copies point at the first). Search shows one of a set of copies (see
+// collapseDuplicates).
+
+/**
+ * Fingerprint chunks and flag those duplicating an earlier chunk of the user
+ * Chunks are compared with the user's saved chunks and with the chunks before them
+ * in the list.
+ *
+ * @param {string} userId
+ * @param {Array<Object>} chunks - { _id, content }, in order; updated in place with
+ *        contentHash, simhash, simhashBands and duplicateOf (null if not a duplicate)
+ * @returns {Promise<Array<Object>>} - The same chunks
+ */
+export async function markDuplicateChunks(userId, chunks) {
+  for (const chunk of chunks) {
+    Object.assign(chunk, fingerprintText(chunk.content));
+  }
+
+  // Saved chunks with a band at most one bit from a band of these (every chunk close enough to
+  // be a near-duplicate has one); oldest first, so copies point at the original
+  const known = await MaterialChunk.find({
+    user: userId,
+    _id: { $nin: chunks.map(chunk => chunk._id) },
+    simhashBands: { $in: [...new Set(chunks.flatMap(chunk => simhashProbes(chunk.simhash)))] }
+  })
+    .select('_id contentHash simhash duplicateOf')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  for (const chunk of chunks) {
+    const original = findDuplicate(chunk, known);
+    chunk.duplicateOf = original ? (original.duplicateOf || original._id) : null;
+    known.push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Check the duplicate flags of saved chunks again after their text changed
+ * (chunks flagged as copies of them are checked too)
+ * @param {string} userId
+ * @param {Array<string>} chunkIds
+ * @returns {Promise<Array<Object>>} - Chunks checked, with their new duplicateOf (null if not a duplicate)
+ */
+export async function relinkDuplicateChunks(userId, chunkIds) {
+  const chunks = await MaterialChunk.find({
+    user: userId,
+    $or: [{ _id: { $in: chunkIds } }, { duplicateOf: { $in: chunkIds } }]
+  })
+    .select('_id content')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  if (chunks.length === 0) return chunks;
+
+  await markDuplicateChunks(userId, chunks);
+  await MaterialChunk.bulkWrite(chunks.map(chunk => ({
+    updateOne: {
+      filter: { _id: chunk._id },
+      update: chunk.duplicateOf
+        ? { $set: { ...fingerprintFields(chunk), duplicateOf: chunk.duplicateOf } }
+        : { $set: fingerprintFields(chunk), $unset: { duplicateOf: 1 } }
+    }
+  })));
+
+  return chunks;
+}
+
+/**
+ * Keep the best of each set of duplicate search results
+ * Results are copies if they are flagged as copies of the same chunk, have the same
+ * text, or nearly the same text (this also catches copies in other users' shared materials)
+ *
+ * @param {Array<Object>} results - { chunk, ... }, best first
+ * @returns {Array<Object>} - Kept results, each with duplicates: number of copies left out
+ */
+export function collapseDuplicates(results) {
+  const kept = [];
+
+  for (const result of results) {
+    const original = kept.find(candidate => isCopy(candidate.chunk, result.chunk));
+    if (original) {
+      original.duplicates++;
+    } else {
+      kept.push({ ...result, duplicates: 0 });
+    }
+  }
+
+  return kept;
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+const fingerprintFields = (chunk) => ({
+  contentHash: chunk.contentHash,
+  simhash: chunk.simhash,
+  simhashBands: chunk.simhashBands
+});
+
+/**
+ * Find the chunk a chunk duplicates: same text first, else the nearest simhash
+ * @param {Object} chunk - Fingerprinted chunk
+ * @param {Array<Object>} candidates
+ * @returns {Object|null}
+ */
+function findDuplicate(chunk, candidates) {
+  const exact = candidates.find(candidate => candidate.contentHash === chunk.contentHash);
+  if (exact) return exact;
+
+  let nearest = null;
+  let nearestDistance = NEAR_DUPLICATE_DISTANCE + 1;
+  for (const candidate of candidates) {
+    if (!candidate.simhash) continue;
+    const distance = hammingDistance(chunk.simhash, candidate.simhash);
+    if (distance < nearestDistance) {
+      nearest = candidate;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Check if two chunks are copies of each other
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isCopy(a, b) {
+  const rootA = (a.duplicateOf || a._id).toString();
+  const rootB = (b.duplicateOf || b._id).toString();
+  if (rootA === rootB) return true;
+  if (a.contentHash && a.contentHash === b.contentHash) return true;
+  return Boolean(a.simhash && b.simhash && hammingDistance(a.simhash, b.simhash) <= NEAR_DUPLICATE_DISTANCE);
+}
+
+export default {
+  markDuplicateChunks,
+  relinkDuplicateChunks,
+  collapseDuplicates
+};
@@ -0,0 +1,155 @@
+import EmbeddingCache from '../models/EmbeddingCache.js';
+import { contentHash } from '../utils/textFingerprint.js';
+
+// Embedding cache
+// Embeddings are stored by provider, model and hash of the normalized text, so
+// re-uploaded material and repeated questions reuse vectors instead of calling the
+// provider again. The cache is shared by all users: it holds vectors, not text.
+// A cache that can't be reached is skipped, never failing embedding.
+//
+// Environment (read when used):
+// - EMBEDDING_CACHE: set to "off" to always call the provider
+// - EMBEDDING_CACHE_TTL_DAYS: entries unused for this long are removed (default: 90)
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  errors: 0
+};
+
+/**
+ * Check if embeddings of a provider are cached
+ * @param {Object} provider - From getEmbeddingProvider
+ * @returns {boolean}
+ */
+export function isEmbeddingCacheEnabled(provider) {
+  // Providers computing vectors locally and instantly (hashing) aren't worth a lookup
+  return process.env.EMBEDDING_CACHE !== 'off' && provider.cache !== false;
+}
+
+/**
+ * Embed texts, reusing cached embeddings and caching new ones
+ * Identical texts in one call are embedded once
+ *
+ * @param {string[]} texts
+ * @param {string} model
+ * @param {Object} provider - From getEmbeddingProvider
+ * @returns {Promise<number[][]>} - One embedding per text
+ */
+export async function embedWithCache(texts, model, provider) {
+  if (!isEmbeddingCacheEnabled(provider)) {
+    return provider.embed(texts, model);
+  }
+
+  const hashes = texts.map(contentHash);
+  const embeddings = await lookupEmbeddings(hashes, model, provider);
+
+  // Texts to embed, one per distinct hash
+  const missing = new Map();
+  hashes.forEach((hash, index) => {
+    if (!embeddings.has(hash) && !missing.has(hash)) missing.set(hash, texts[index]);
+  });
+
+  stats.hits += hashes.filter(hash => embeddings.has(hash)).length;
+  stats.misses += missing.size;
+
+  if (missing.size > 0) {
+    const fresh = await provider.embed([...missing.values()], model);
+    const freshHashes = [...missing.keys()];
+    freshHashes.forEach((hash, index) => embeddings.set(hash, fresh[index]));
+
+    if (fresh.length === freshHashes.length) {
+      await storeEmbeddings(freshHashes, fresh, model, provider);
+    }
+  }
+
+  return hashes.map(hash => embeddings.get(hash));
+}
+
+/**
+ * Cache size and hit rate
+ * @returns {Promise<Object>}
+ */
+export async function getEmbeddingCacheStats() {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    enabled: process.env.EMBEDDING_CACHE !== 'off',
+    entries: await EmbeddingCache.estimatedDocumentCount(),
+    // Since this process started
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups ? Number((stats.hits / lookups).toFixed(4)) : null,
+    errors: stats.errors,
+    ttlDays: ttlDays()
+  };
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+const ttlDays = () => parseInt(process.env.EMBEDDING_CACHE_TTL_DAYS) || 90;
+const expiry = () => new Date(Date.now() + ttlDays() * 24 * 60 * 60 * 1000);
+
+/**
+ * Find cached embeddings and push back their expiry
+ * @param {string[]} hashes
+ * @param {string} model
+ * @param {Object} provider
+ * @returns {Promise<Map<string, number[]>>} - hash -> embedding
+ */
+async function lookupEmbeddings(hashes, model, provider) {
+  try {
+    const entries = await EmbeddingCache.find({
+      provider: provider.name,
+      model,
+      contentHash: { $in: [...new Set(hashes)] }
+    }).select('contentHash embedding').lean();
+
+    if (entries.length > 0) {
+      await EmbeddingCache.updateMany(
+        { _id: { $in: entries.map(entry => entry._id) } },
+        { $inc: { hits: 1 }, $set: { expiresAt: expiry() } }
+      );
+    }
+
+    return new Map(entries.map(entry => [entry.contentHash, entry.embedding]));
+  } catch (error) {
+    stats.errors++;
+    console.error('Embedding cache lookup failed:', error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Cache new embeddings
+ * @param {string[]} hashes
+ * @param {number[][]} embeddings
+ * @param {string} model
+ * @param {Object} provider
+ */
+async function storeEmbeddings(hashes, embeddings, model, provider) {
+  const operations = hashes
+    .map((hash, index) => ({ hash, embedding: embeddings[index] }))
+    .filter(({ embedding }) => Array.isArray(embedding) && embedding.length > 0)
+    .map(({ hash, embedding }) => ({
+      updateOne: {
+        filter: { provider: provider.name, model, contentHash: hash },
+        update: { $setOnInsert: { embedding }, $set: { expiresAt: expiry() } },
+        upsert: true
+      }
+    }));
+  if (operations.length === 0) return;
+
+  try {
+    await EmbeddingCache.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    stats.errors++;
+    console.error('Embedding cache write failed:', error.message);
+  }
+}
+
+export default {
+  isEmbeddingCacheEnabled,
+  embedWithCache,
+  getEmbeddingCacheStats
+};
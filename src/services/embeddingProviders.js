@@ -0,0 +1,162 @@
+import crypto from 'crypto';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Embedding providers
+// A provider turns texts into vectors with one of its models:
+//   { name, defaultModel, cache?, embed(texts, model) -> Promise<number[][]> }
+// (cache: false skips the embedding cache, for providers that are instant anyway)
+//
+// - gemini: Google Gemini API (GEMINI_API_KEY)
+// - local: sentence-transformer run on the CPU with ONNX Runtime, through the
+//   @huggingface/transformers package (not a dependency, as it brings native ONNX Runtime
+//   binaries most deployments don't need: npm i @huggingface/transformers). Models are downloaded from the Hugging Face hub on
+//   first use, unless LOCAL_EMBEDDING_MODEL_PATH points at a directory of downloaded
+//   models; then nothing is fetched, so it works offline.
+// - hashing: feature hashing of words and word pairs. Needs no model, network or quota
+//   and always gives the same vector for the same text, for tests and CI. Texts sharing
+//   words get similar vectors, but it knows nothing about meaning.
+
+// ==================== GEMINI ====================
+
+let genAI = null;
+
+const gemini = {
+  name: 'gemini',
+  defaultModel: 'text-embedding-004',
+
+  async embed(texts, model) {
+    genAI ||= new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    const embeddingModel = genAI.getGenerativeModel({ model });
+
+    // Process in batches to avoid rate limits
+    const batchSize = 10;
+    const embeddings = [];
+
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const batch = texts.slice(i, i + batchSize);
+
+      // Gemini returns embedding in result.embedding.values
+      const results = await Promise.all(batch.map(text => embeddingModel.embedContent(text)));
+      embeddings.push(...results.map(result => result.embedding.values));
+
+      // Small delay to respect rate limits (60 requests/minute)
+      if (i + batchSize < texts.length) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+
+    return embeddings;
+  }
+};
+
+// ==================== LOCAL (ONNX) ====================
+
+// Loaded pipelines by model (loading a model takes seconds, so each is loaded once)
+const pipelines = new Map();
+
+const local = {
+  name: 'local',
+  defaultModel: 'Xenova/all-MiniLM-L6-v2',
+
+  async embed(texts, model) {
+    const extractor = await loadPipeline(model);
+
+    // Mean pooling of the token vectors, normalized, as sentence-transformers does
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+};
+
+/**
+ * Load a feature-extraction pipeline for a local model
+ * @param {string} model - Hugging Face model ID with ONNX weights, e.g. Xenova/all-MiniLM-L6-v2
+ * @returns {Promise<Function>}
+ */
+function loadPipeline(model) {
+  if (!pipelines.has(model)) {
+    const loading = (async () => {
+      let transformers;
+      try {
+        transformers = await import('@huggingface/transformers');
+      } catch (error) {
+        throw new Error('The local embedding provider needs the @huggingface/transformers package (npm install @huggingface/transformers)');
+      }
+
+      if (process.env.LOCAL_EMBEDDING_MODEL_PATH) {
+        transformers.env.localModelPath = process.env.LOCAL_EMBEDDING_MODEL_PATH;
+        transformers.env.allowRemoteModels = false;
+      }
+
+      return transformers.pipeline('feature-extraction', model, { dtype: 'fp32' });
+    })();
+
+    // Let a failed load (missing model, no network) be retried
+    pipelines.set(model, loading.catch(error => {
+      pipelines.delete(model);
+      throw error;
+    }));
+  }
+
+  return pipelines.get(model);
+}
+
+// ==================== HASHING ====================
+
+const hashing = {
+  name: 'hashing',
+  // Models are named hashing-<dimensions>
+  defaultModel: 'hashing-384',
+  cache: false,
+
+  async embed(texts, model) {
+    const dimensions = Number(/^hashing-(\d+)$/.exec(model)?.[1]);
+    if (!(dimensions >= 16 && dimensions <= 4096)) {
+      throw new Error(`Unknown hashing model "${model}" (use hashing-<dimensions>, e.g. hashing-384)`);
+    }
+
+    return texts.map(text => hashText(text, dimensions));
+  }
+};
+
+/**
+ * Hash the words and word pairs of a text into a fixed-size, normalized vector
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]}
+ */
+function hashText(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const features = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+  for (const feature of features) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    // A hashed sign keeps colliding features from only ever adding up
+    vector[digest.readUInt32LE(0) % dimensions] += digest[4] & 1 ? 1 : -1;
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+// ==================== REGISTRY ====================
+
+export const EMBEDDING_PROVIDERS = { gemini, local, hashing };
+
+/**
+ * Get an embedding provider by name
+ * @param {string} name - gemini, local or hashing
+ * @returns {Object} - Provider
+ */
+export function getEmbeddingProvider(name) {
+  const provider = Object.hasOwn(EMBEDDING_PROVIDERS, name) ? EMBEDDING_PROVIDERS[name] : null;
+  if (!provider) {
+    throw new Error(`Unknown embedding provider "${name}" (use one of: ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  getEmbeddingProvider
+};
@@ -1,32 +1,51 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { getEmbeddingProvider } from './embeddingProviders.js';
+import { embedWithCache } from './embeddingCacheService.js';
 
-// Initialize Gemini AI
+// Initialize Gemini AI (chat; embeddings go through the configured provider)
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+// Provider and model used for materials embedded before they were recorded
+export const LEGACY_EMBEDDING_PROVIDER = 'gemini';
+export const LEGACY_EMBEDDING_MODEL = 'text-embedding-004';
+
+/**
+ * Get the embedding provider for new material and queries
+ * Set EMBEDDING_PROVIDER to gemini (default), local or hashing (see embeddingProviders.js)
+ * @returns {string}
+ */
+export function getActiveEmbeddingProvider() {
+  return process.env.EMBEDDING_PROVIDER || LEGACY_EMBEDDING_PROVIDER;
+}
+
+/**
+ * Get the embedding model for new material and queries
+ * Set EMBEDDING_MODEL to switch models (default: the provider's default model); existing
+ * material keeps working and can be migrated with a re-embedding job
+ * @returns {string}
+ */
+export function getActiveEmbeddingModel() {
+  return process.env.EMBEDDING_MODEL || getEmbeddingProvider(getActiveEmbeddingProvider()).defaultModel;
+}
+
 /**
- * Generate embedding for a single text using Gemini
+ * Generate embedding for a single text
  * @param {string} text - Text to generate embedding for
- * @returns {Promise<number[]>} - 768-dimensional embedding vector
+ * @param {string} modelName - Embedding model (default: active model)
+ * @param {string} providerName - Provider of the model (default: active provider)
+ * @returns {Promise<number[]>} - Embedding vector (dimensions depend on the model)
  */
-export async function generateEmbedding(text) {
+export async function generateEmbedding(text, modelName = getActiveEmbeddingModel(), providerName = getActiveEmbeddingProvider()) {
   try {
     if (!text || text.trim().length === 0) {
       throw new Error('Text cannot be empty');
     }
 
-    // Use Gemini's text-embedding-004 model (768 dimensions)
-    const model = genAI.getGenerativeModel({
-      model: 'text-embedding-004'
-    });
-
-    const result = await model.embedContent(text);
-
-    // Gemini returns embedding in result.embedding.values
-    const embedding = result.embedding.values;
+    const [embedding] = await embedWithCache([text], modelName, getEmbeddingProvider(providerName));
 
     // Validate embedding
-    if (!Array.isArray(embedding) || embedding.length !== 768) {
-      throw new Error(`Invalid embedding dimensions: expected 768, got ${embedding?.length}`);
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+      throw new Error(`Invalid embedding returned by ${modelName}`);
     }
 
     return embedding;
@@ -39,32 +58,29 @@ export async function generateEmbedding(text) {
 /**
  * Generate embeddings for multiple texts in batch
  * @param {string[]} texts - Array of texts to generate embeddings for
- * @returns {Promise<number[][]>} - Array of 768-dimensional embedding vectors
+ * @param {string} modelName - Embedding model (default: active model)
+ * @param {string} providerName - Provider of the model (default: active provider)
+ * @returns {Promise<number[][]>} - Array of embedding vectors (all the same size)
  */
-export async function generateEmbeddings(texts) {
+export async function generateEmbeddings(texts, modelName = getActiveEmbeddingModel(), providerName = getActiveEmbeddingProvider()) {
   try {
     if (!Array.isArray(texts) || texts.length === 0) {
       throw new Error('Texts must be a non-empty array');
     }
 
-    // Process in batches to avoid rate limits
-    const batchSize = 10;
-    const embeddings = [];
-
-    for (let i = 0; i < texts.length; i += batchSize) {
-      const batch = texts.slice(i, i + batchSize);
+    if (texts.some(text => !text || text.trim().length === 0)) {
+      throw new Error('Text cannot be empty');
+    }
 
-      // Generate embeddings for batch in parallel
-      const batchEmbeddings = await Promise.all(
-        batch.map(text => generateEmbedding(text))
-      );
+    // Identical text embedded before with this model comes from the cache
+    const embeddings = await embedWithCache(texts, modelName, getEmbeddingProvider(providerName));
 
-      embeddings.push(...batchEmbeddings);
+    if (embeddings.length !== texts.length || !Array.isArray(embeddings[0]) || embeddings[0].length === 0) {
+      throw new Error(`Invalid embeddings returned by ${modelName}`);
+    }
 
-      // Small delay to respect rate limits (60 requests/minute)
-      if (i + batchSize < texts.length) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
+    if (embeddings.some(embedding => embedding.length !== embeddings[0].length)) {
+      throw new Error(`${modelName} returned embeddings of different sizes`);
     }
 
     return embeddings;
@@ -131,6 +147,10 @@ export async function generateChatResponse(prompt) {
 }
 
 export default {
+  LEGACY_EMBEDDING_PROVIDER,
+  LEGACY_EMBEDDING_MODEL,
+  getActiveEmbeddingProvider,
+  getActiveEmbeddingModel,
   generateEmbedding,
   generateEmbeddings,
   cosineSimilarity,
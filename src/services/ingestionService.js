@@ -0,0 +1,414 @@
+import os from 'os';
+import mongoose from 'mongoose';
+import CourseMaterial from '../models/CourseMaterial.js';
+import IngestionJob from '../models/IngestionJob.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+import PendingChunk from '../models/PendingChunk.js';
+import { generateEmbeddings, getActiveEmbeddingModel, getActiveEmbeddingProvider } from './embeddingService.js';
+import { markDuplicateChunks } from './duplicateChunkService.js';
+import { countWords } from '../utils/textChunker.js';
+
+// Background embedding of uploaded material
+// Jobs live in MongoDB, so queued work survives restarts. Each batch of embedded
+// chunks is saved straight away, so a retry resumes where the last attempt
+// stopped instead of starting over. The text to embed is kept in PendingChunk
+// until the job completes.
+//
+// A worker holds a lease on its job, renewed before every batch is saved; a job
+// whose lease ran out (e.g. a very slow batch) can be taken over by another worker,
+// and the first one stops at its next save.
+//
+// Environment (read when the worker starts):
+// - INGESTION_WORKER: set to "off" to run no worker in this process
+// - INGESTION_POLL_MS: how often to look for queued jobs (default: 2000)
+// - INGESTION_CONCURRENCY: jobs processed at once (default: 1)
+
+const BATCH_SIZE = 10;
+const BATCH_RETRIES = 3;
+const PENDING_WRITE_BATCH = 500;
+// runAfter of a job whose chunks are still being stored
+const FAR_FUTURE = new Date('9999-12-31T00:00:00Z');
+const LEASE_MS = 5 * 60 * 1000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let workerTimer = null;
+let polling = false;
+let activeJobs = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Queue chunks of a material for embedding
+ * @param {Object} material - CourseMaterial document (status: processing)
+ * @param {Array<Object>} chunks - { content, metadata? } in reading order (their order is their position)
+ * @returns {Promise<Object>} - Ingestion job
+ */
+export async function queueMaterialIngestion(material, chunks) {
+  // Not runnable until its chunks are stored
+  const job = await IngestionJob.create({
+    material: material._id,
+    user: material.user,
+    totalChunks: chunks.length,
+    embeddingProvider: getActiveEmbeddingProvider(),
+    embeddingModel: getActiveEmbeddingModel(),
+    runAfter: FAR_FUTURE
+  });
+
+  try {
+    for (let i = 0; i < chunks.length; i += PENDING_WRITE_BATCH) {
+      await PendingChunk.insertMany(chunks.slice(i, i + PENDING_WRITE_BATCH).map((chunk, offset) => ({
+        job: job._id,
+        material: material._id,
+        user: material.user,
+        position: i + offset,
+        content: chunk.content,
+        wordCount: countWords(chunk.content),
+        metadata: chunk.metadata || {}
+      })));
+    }
+  } catch (error) {
+    await Promise.all([
+      IngestionJob.deleteOne({ _id: job._id }),
+      PendingChunk.deleteMany({ job: job._id })
+    ]);
+    throw error;
+  }
+
+  job.runAfter = new Date();
+  await job.save();
+
+  wakeWorker();
+  return job;
+}
+
+/**
+ * Get the latest ingestion job for a material
+ * @param {string} materialId
+ * @returns {Promise<Object|null>}
+ */
+export async function getLatestJob(materialId) {
+  return IngestionJob.findOne({ material: materialId })
+    .select('-chunks')
+    .sort({ createdAt: -1 });
+}
+
+/**
+ * Re-queue the failed job of a material (keeps the chunks already embedded)
+ * @param {Object} material - CourseMaterial document (status: failed)
+ * @returns {Promise<Object|null>} - Re-queued job, or null if there is nothing to retry
+ */
+export async function retryIngestion(material) {
+  const job = await IngestionJob.findOneAndUpdate(
+    { material: material._id, status: 'failed' },
+    {
+      $set: { status: 'queued', attempts: 0, runAfter: new Date() },
+      $unset: { lastError: 1, finishedAt: 1 }
+    },
+    { new: true, sort: { createdAt: -1 }, projection: { chunks: 0 } }
+  );
+
+  if (!job) {
+    return null;
+  }
+
+  await CourseMaterial.updateOne(
+    { _id: material._id },
+    { $set: { status: 'processing' }, $unset: { error: 1 } }
+  );
+
+  wakeWorker();
+  return job;
+}
+
+/**
+ * Claim the next runnable job: a queued job that is due, or a running job
+ * whose worker stopped renewing its lease
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextJob() {
+  const now = new Date();
+
+  return IngestionJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAfter: { $lte: now } },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LEASE_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $min: { startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAfter: 1 } }
+  );
+}
+
+/**
+ * Embed a batch, retrying transient failures (rate limits, network) with backoff
+ * @param {string[]} texts
+ * @param {string} model - Embedding model
+ * @param {string} provider - Provider of the model
+ * @returns {Promise<number[][]>}
+ */
+export async function embedBatchWithRetry(texts, model, provider) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await generateEmbeddings(texts, model, provider);
+    } catch (error) {
+      if (attempt >= BATCH_RETRIES) throw error;
+      await sleep(1000 * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Embed the remaining chunks of a job, saving progress after every batch
+ * @param {Object} job - Claimed ingestion job
+ */
+async function runJob(job) {
+  const material = await CourseMaterial.findById(job.material).select('_id');
+
+  // Material was deleted while queued
+  if (!material) {
+    await deleteJob(job);
+    return;
+  }
+
+  try {
+    // Saved chunks are the source of truth for what was already embedded
+    // (they are inserted in order, so they are always a prefix of the job's chunks)
+    let embedded = await MaterialChunk.countDocuments({ material: material._id });
+
+    while (embedded < job.totalChunks) {
+      const batch = await loadPendingChunks(job, embedded);
+      if (batch.length === 0) {
+        throw new Error(`Chunk text of job ${job._id} is missing`);
+      }
+
+      const embeddings = await embedBatchWithRetry(
+        batch.map(chunk => chunk.content),
+        job.embeddingModel,
+        job.embeddingProvider
+      );
+
+      // Flag chunks repeating text from the user's earlier materials
+      const fingerprints = await markDuplicateChunks(
+        job.user,
+        batch.map(chunk => ({ _id: new mongoose.Types.ObjectId(), content: chunk.content }))
+      );
+
+      // Embedding can outlast the lease: stop if another worker took the job over meanwhile
+      if (!(await renewLease(job))) {
+        return;
+      }
+
+      try {
+        await MaterialChunk.insertMany(batch.map((chunk, index) => ({
+          _id: fingerprints[index]._id,
+          material: material._id,
+          user: job.user,
+          content: chunk.content,
+          order: embedded + index,
+          embedding: embeddings[index],
+          embeddingProvider: job.embeddingProvider,
+          embeddingModel: job.embeddingModel,
+          wordCount: chunk.wordCount,
+          contentHash: fingerprints[index].contentHash,
+          simhash: fingerprints[index].simhash,
+          simhashBands: fingerprints[index].simhashBands,
+          ...(fingerprints[index].duplicateOf && { duplicateOf: fingerprints[index].duplicateOf }),
+          metadata: chunk.metadata
+        })));
+      } catch (error) {
+        // The batch was saved by a worker that took the job over; any other duplicate is a failure
+        if (error.code === 11000 && !(await renewLease(job))) return;
+        throw error;
+      }
+      embedded += batch.length;
+
+      const saved = await CourseMaterial.updateOne(
+        { _id: material._id },
+        {
+          $set: {
+            chunkCount: embedded,
+            embeddingProvider: job.embeddingProvider,
+            embeddingModel: job.embeddingModel,
+            embeddingDimensions: embeddings[0].length
+          }
+        }
+      );
+
+      // Material was deleted while this batch was embedded
+      if (saved.matchedCount === 0) {
+        await Promise.all([
+          MaterialChunk.deleteMany({ material: material._id }),
+          deleteJob(job)
+        ]);
+        return;
+      }
+
+      // Report progress and renew the lease
+      if (!(await renewLease(job, { embeddedChunks: embedded }))) {
+        return; // Another worker took the job over
+      }
+    }
+
+    const [stats] = await MaterialChunk.aggregate([
+      { $match: { material: material._id } },
+      { $group: { _id: null, chunkCount: { $sum: 1 }, wordCount: { $sum: '$wordCount' } } }
+    ]);
+
+    await CourseMaterial.updateOne(
+      { _id: material._id },
+      {
+        $set: { status: 'ready', chunkCount: stats?.chunkCount || 0, wordCount: stats?.wordCount || 0 },
+        $unset: { error: 1 }
+      }
+    );
+    await IngestionJob.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: 'completed', embeddedChunks: embedded, finishedAt: new Date(), chunks: [] },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1 }
+      }
+    );
+    await PendingChunk.deleteMany({ job: job._id });
+  } catch (error) {
+    const finalAttempt = job.attempts >= job.maxAttempts;
+    console.error(`Ingestion job ${job._id} attempt ${job.attempts} failed:`, error.message);
+
+    await IngestionJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: {
+          status: finalAttempt ? 'failed' : 'queued',
+          lastError: error.message,
+          // Back off 30s, 1m, 2m, ... (max 30 minutes)
+          runAfter: new Date(Date.now() + Math.min(30 * 2 ** (job.attempts - 1), 1800) * 1000),
+          ...(finalAttempt && { finishedAt: new Date() })
+        },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+
+    if (finalAttempt) {
+      await CourseMaterial.updateOne(
+        { _id: material._id },
+        { status: 'failed', error: error.message }
+      );
+    }
+  }
+}
+
+/**
+ * Load the next chunks of a job to embed
+ * @param {Object} job
+ * @param {number} from - Position of the first chunk
+ * @returns {Promise<Array<Object>>} - { content, wordCount, metadata }
+ */
+async function loadPendingChunks(job, from) {
+  // Jobs queued before chunk text moved out of the job document
+  if (job.chunks?.length > 0) {
+    return job.chunks.slice(from, from + BATCH_SIZE);
+  }
+
+  return PendingChunk.find({ job: job._id, position: { $gte: from, $lt: from + BATCH_SIZE } })
+    .sort({ position: 1 })
+    .lean();
+}
+
+/**
+ * Renew this worker's lease on a job
+ * @param {Object} job
+ * @param {Object} update - Other fields to set
+ * @returns {Promise<boolean>} - false if another worker has taken the job over
+ */
+async function renewLease(job, update = {}) {
+  const renewed = await IngestionJob.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { ...update, lockedAt: new Date() }
+  );
+  return renewed.matchedCount === 1;
+}
+
+/**
+ * Delete a job and the text it was still to embed
+ * @param {Object} job
+ */
+async function deleteJob(job) {
+  await Promise.all([
+    IngestionJob.deleteOne({ _id: job._id }),
+    PendingChunk.deleteMany({ job: job._id })
+  ]);
+}
+
+/**
+ * Start jobs until the concurrency limit is reached or the queue is empty
+ */
+async function pollJobs() {
+  if (polling) return;
+  polling = true;
+
+  try {
+    const concurrency = parseInt(process.env.INGESTION_CONCURRENCY) || 1;
+
+    while (activeJobs < concurrency) {
+      const job = await claimNextJob();
+      if (!job) break;
+
+      activeJobs++;
+      runJob(job)
+        .catch(error => console.error(`Ingestion job ${job._id} crashed:`, error))
+        .finally(() => {
+          activeJobs--;
+          wakeWorker();
+        });
+    }
+  } catch (error) {
+    console.error('Ingestion worker poll error:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Check for work now instead of waiting for the next poll
+ */
+function wakeWorker() {
+  if (workerTimer) {
+    setImmediate(pollJobs);
+  }
+}
+
+/**
+ * Start polling for ingestion jobs (call once MongoDB is connected)
+ */
+export function startIngestionWorker() {
+  if (workerTimer || process.env.INGESTION_WORKER === 'off') {
+    return;
+  }
+
+  const interval = parseInt(process.env.INGESTION_POLL_MS) || 2000;
+  workerTimer = setInterval(pollJobs, interval);
+  wakeWorker();
+
+  console.log(`⚙️  Material ingestion worker started (${WORKER_ID})`);
+}
+
+/**
+ * Stop polling (running jobs finish on their own)
+ */
+export function stopIngestionWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+export default {
+  queueMaterialIngestion,
+  getLatestJob,
+  retryIngestion,
+  embedBatchWithRetry,
+  startIngestionWorker,
+  stopIngestionWorker
+};
@@ -0,0 +1,83 @@
+import MaterialChunk from '../models/MaterialChunk.js';
+import { Bm25Index, tokenize } from '../utils/bm25Index.js';
+import { getMaterialLexicalIndexes, getUserLexicalIndex } from './vectorIndexService.js';
+
+/**
+ * Keyword (BM25) search over the chunks of a set of materials
+ *
+ * The user's own materials are searched with their BM25 index and other materials (shared
+ * with the user or in their course library) with one index each (see vectorIndexService);
+ * materials whose index is being built are indexed on the fly from their chunk text. All are
+ * scored with their combined corpus statistics, so their scores can be compared.
+ *
+ * @param {Object} request
+ * @param {string} request.userId
+ * @param {Array<Object>} request.materials - Ready materials to search ({ _id, user })
+ * @param {string} request.query
+ * @param {number} request.limit
+ * @returns {Promise<Array<{chunkId: string, score: number}>>} - Best first; only chunks containing a query term
+ */
+export async function searchLexical({ userId, materials, query, limit }) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || materials.length === 0) {
+    return [];
+  }
+
+  const ownIds = new Set(materials
+    .filter(material => material.user.toString() === userId.toString())
+    .map(material => material._id.toString()));
+
+  const userIndex = ownIds.size > 0 ? await getUserLexicalIndex(userId) : null;
+  const materialIndexes = await getMaterialLexicalIndexes(
+    materials.filter(material => !ownIds.has(material._id.toString()))
+  );
+  const streamed = materials.filter(material => ownIds.has(material._id.toString())
+    ? !userIndex
+    : !materialIndexes.has(material._id.toString()));
+
+  const searches = [];
+  if (userIndex) {
+    // The user's index holds all of their ready materials; keep the ones being searched
+    searches.push({ index: userIndex, filter: meta => ownIds.has(meta.material) });
+  }
+  for (const index of materialIndexes.values()) {
+    searches.push({ index });
+  }
+  if (streamed.length > 0) {
+    searches.push({ index: await indexChunks(streamed) });
+  }
+
+  const corpus = Bm25Index.combineStats(searches.map(({ index }) => index.stats(terms)));
+
+  return searches
+    .flatMap(({ index, filter }) => index.search(query, limit, { filter, corpus }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ id, score }) => ({ chunkId: id, score }));
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Build a temporary BM25 index of the chunks of some materials
+ * @param {Array<Object>} materials
+ * @returns {Promise<Bm25Index>}
+ */
+async function indexChunks(materials) {
+  const index = new Bm25Index();
+
+  const cursor = MaterialChunk.find({ material: { $in: materials.map(material => material._id) } })
+    .select('_id content')
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  for await (const chunk of cursor) {
+    index.add(chunk._id.toString(), chunk.content);
+  }
+
+  return index;
+}
+
+export default {
+  searchLexical
+};
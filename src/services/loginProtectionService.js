@@ -0,0 +1,185 @@
+import User from '../models/User.js';
+import { logSecurityEvent } from './securityEventService.js';
+
+// Times a claim is retried when parallel attempts keep changing the counter
+const CLAIM_TRIES = 3;
+
+/**
+ * Read lockout policy from env (read lazily so dotenv has loaded)
+ * - LOGIN_DELAY_AFTER: failures before progressive delays start (default: 3)
+ * - LOGIN_MAX_ATTEMPTS: failures before the account is locked (default: 10)
+ * - LOGIN_LOCKOUT_MINUTES: lock duration (default: 15)
+ */
+function getPolicy() {
+  return {
+    delayAfter: parseInt(process.env.LOGIN_DELAY_AFTER) || 3,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15
+  };
+}
+
+/**
+ * Delay required after a number of failures: 1s, 2s, 4s, ... capped at 60s
+ * @param {number} failedAttempts
+ * @returns {number} - Delay in seconds
+ */
+function getDelaySeconds(failedAttempts) {
+  const { delayAfter } = getPolicy();
+  if (failedAttempts < delayAfter) return 0;
+  return Math.min(60, 2 ** (failedAttempts - delayAfter));
+}
+
+/**
+ * Check a snapshot of the lockout state
+ * @param {Object} security - user.loginSecurity
+ * @returns {{allowed: boolean, reason?: string, retryAfterSeconds?: number}}
+ */
+function checkAttemptAllowed(security) {
+  const now = Date.now();
+
+  if (security.lockedUntil && security.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      retryAfterSeconds: Math.ceil((security.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+
+  const delaySeconds = getDelaySeconds(security.failedAttempts || 0);
+  if (delaySeconds > 0 && security.lastFailedAt) {
+    const nextAllowedAt = security.lastFailedAt.getTime() + delaySeconds * 1000;
+    if (nextAllowedAt > now) {
+      return {
+        allowed: false,
+        reason: 'delayed',
+        retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Claim a password (or MFA code) attempt for an account before checking it
+ * The attempt counts as failed until it is settled with recordSuccessfulLogin or
+ * releaseLoginAttempt. The claim is a compare-and-set on the failure counter: parallel
+ * guesses can't all pass the check against the same state, since each one moves the
+ * counter (and the delay) on for the next.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<{allowed: boolean, reason?: string, retryAfterSeconds?: number}>}
+ */
+export async function claimLoginAttempt(user) {
+  let security = user.loginSecurity || {};
+
+  for (let tries = 0; tries < CLAIM_TRIES; tries++) {
+    const attempt = checkAttemptAllowed(security);
+    if (!attempt.allowed) {
+      return attempt;
+    }
+
+    const failedAttempts = security.failedAttempts || 0;
+    const lockedUntil = security.lockedUntil || null;
+    // An expired lock starts a fresh count
+    const update = lockedUntil
+      ? { $set: { 'loginSecurity.failedAttempts': 1, 'loginSecurity.lastFailedAt': new Date(), 'loginSecurity.lockedUntil': null } }
+      : { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': new Date() } };
+
+    const claimed = await User.findOneAndUpdate({
+      _id: user._id,
+      'loginSecurity.failedAttempts': failedAttempts === 0 ? { $in: [0, null] } : failedAttempts,
+      'loginSecurity.lockedUntil': lockedUntil
+    }, update);
+    if (claimed) {
+      return { allowed: true };
+    }
+
+    // Another attempt got in first: check again against its state
+    const current = await User.findById(user._id).select('loginSecurity').lean();
+    security = current?.loginSecurity || {};
+  }
+
+  return { allowed: false, reason: 'delayed', retryAfterSeconds: 1 };
+}
+
+/**
+ * Record a failed attempt (already counted by claimLoginAttempt) and lock the account
+ * when the limit is reached
+ *
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for the security event)
+ * @returns {Promise<{locked: boolean, lockedUntil?: Date}>}
+ */
+export async function recordFailedLogin(user, req) {
+  const { maxAttempts, lockoutMinutes } = getPolicy();
+
+  // Only one of several parallel failures reaching the limit locks the account
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, 'loginSecurity.failedAttempts': { $gte: maxAttempts } },
+    {
+      $set: { 'loginSecurity.lockedUntil': lockedUntil, 'loginSecurity.failedAttempts': 0 },
+      $inc: { 'loginSecurity.lockCount': 1 }
+    }
+  );
+
+  if (!locked) {
+    return { locked: false };
+  }
+
+  await logSecurityEvent({
+    type: 'account_locked',
+    userId: user._id,
+    severity: 'warning',
+    req,
+    details: { failedAttempts: locked.loginSecurity.failedAttempts, lockedUntil, lockoutMinutes }
+  });
+
+  return { locked: true, lockedUntil };
+}
+
+/**
+ * Give back a claimed attempt that succeeded but didn't complete the login
+ * (the password was right and an MFA code is still needed); earlier failures still count
+ * @param {Object} user - User document
+ */
+export async function releaseLoginAttempt(user) {
+  await User.updateOne(
+    { _id: user._id, 'loginSecurity.failedAttempts': { $gt: 0 } },
+    { $inc: { 'loginSecurity.failedAttempts': -1 } }
+  );
+}
+
+/**
+ * Clear failure counters after a successful login
+ * @param {Object} user - User document
+ */
+export async function recordSuccessfulLogin(user) {
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockedUntil': null }
+  });
+}
+
+/**
+ * Unlock an account (admin action or completed password reset)
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - Updated user
+ */
+export async function unlockAccount(userId) {
+  return User.findByIdAndUpdate(userId, {
+    $set: {
+      'loginSecurity.failedAttempts': 0,
+      'loginSecurity.lockedUntil': null,
+      'loginSecurity.lastFailedAt': null
+    }
+  }, { new: true });
+}
+
+export default {
+  claimLoginAttempt,
+  recordFailedLogin,
+  releaseLoginAttempt,
+  recordSuccessfulLogin,
+  unlockAccount
+};
@@ -0,0 +1,168 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+
+// Note: Environment variables are loaded in server.js via dotenv
+
+/**
+ * Built-in mail transports
+ * Each transport receives a message { from, to, subject, text, html }
+ * Register another provider (SMTP, ...) with registerTransport()
+ */
+const transports = {
+  // Print emails to stdout (default for local development)
+  console: async (message) => {
+    console.log('📧 Email (console transport)');
+    console.log(`   From:    ${message.from}`);
+    console.log(`   To:      ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+  },
+
+  // Write each email as a JSON file (useful for local testing and CI)
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join('tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+
+    const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const fileName = `${Date.now()}-${safeTo}.json`;
+
+    await fs.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Send through the SendGrid Web API (SENDGRID_API_KEY)
+  sendgrid: async (message) => {
+    await axios.post('https://api.sendgrid.com/v3/mail/send', {
+      personalizations: [{ to: [{ email: message.to }] }],
+      from: { email: message.from },
+      subject: message.subject,
+      content: [
+        { type: 'text/plain', value: message.text },
+        ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+      ]
+    }, {
+      headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+      timeout: 10000
+    });
+  }
+};
+
+// Transports that only log or store emails: links in them would never reach the user
+const LOCAL_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Register (or replace) a mail transport
+ * @param {string} name - Transport name, selected with MAIL_TRANSPORT
+ * @param {Function} send - async (message) => void
+ */
+export function registerTransport(name, send) {
+  if (!name || typeof send !== 'function') {
+    throw new Error('Transport name and send function are required');
+  }
+  transports[name] = send;
+}
+
+/**
+ * Check the mail settings at startup
+ * In production, emails carry live reset and verification links, so they must really be
+ * sent, not printed to the logs.
+ * @throws {Error} - If the settings can't work
+ */
+export function checkMailConfig() {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+
+  if (!transports[transportName]) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS.includes(transportName)) {
+    throw new Error(`MAIL_TRANSPORT=${transportName} can't be used in production (it would log live reset and verification links). Set MAIL_TRANSPORT=sendgrid`);
+  }
+  if (transportName === 'sendgrid' && !process.env.SENDGRID_API_KEY) {
+    throw new Error('MAIL_TRANSPORT=sendgrid needs SENDGRID_API_KEY');
+  }
+}
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<void>}
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject) {
+    throw new Error('Recipient and subject are required');
+  }
+
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.FROM_EMAIL || 'noreply@studyspark.dev',
+    to,
+    subject,
+    text,
+    html
+  });
+}
+
+/**
+ * Send password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Plain reset token
+ * @param {number} expiresInMinutes - Token lifetime shown in the email
+ */
+export async function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const resetUrl = `${frontendUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your StudySpark password',
+    text: `Hi ${user.name},
+
+We received a request to reset your StudySpark password.
+Use the link below to choose a new one. It expires in ${expiresInMinutes} minutes and can only be used once.
+
+${resetUrl}
+
+If you didn't request this, you can safely ignore this email.`
+  });
+}
+
+/**
+ * Send email verification link
+ * @param {Object} user - User document
+ * @param {string} token - Plain verification token
+ * @param {number} expiresInHours - Token lifetime shown in the email
+ */
+export async function sendVerificationEmail(user, token, expiresInHours) {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const verifyUrl = `${frontendUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your StudySpark email address',
+    text: `Hi ${user.name},
+
+Welcome to StudySpark! Please confirm that this is your email address by opening the link below.
+The link expires in ${expiresInHours} hours.
+
+${verifyUrl}
+
+If you didn't create a StudySpark account, you can safely ignore this email.`
+  });
+}
+
+export default {
+  registerTransport,
+  checkMailConfig,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
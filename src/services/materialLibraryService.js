@@ -0,0 +1,262 @@
+import mongoose from 'mongoose';
+import CourseMaterial from '../models/CourseMaterial.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+
+// Organising and keyword-searching a user's material library
+// (folders, tags, starring, archive; semantic search lives in vectorSearchService)
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+export const MAX_FOLDER_LENGTH = 200;
+export const MATERIAL_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'topic', 'subject', 'wordCount', 'chunkCount'];
+
+// Keyword search limits
+const MAX_CHUNK_HITS = 200;
+const MATCHES_PER_MATERIAL = 3;
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Normalize a folder path: trims each segment and drops empty ones
+ * @param {string} folder - e.g. " Year 2 // CS201/ "
+ * @returns {string} - e.g. "Year 2/CS201" ('' for the top level)
+ */
+export function normalizeFolder(folder) {
+  return String(folder || '')
+    .split('/')
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Normalize tags: lowercase, trimmed, without duplicates
+ * @param {string[]|string} tags - Array, or a comma-separated string
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Build a material filter from list query parameters
+ * @param {string} userId
+ * @param {Object} query - topic, subject, status, tag, folder, includeSubfolders, starred, archived
+ * @returns {{filter?: Object, error?: string}}
+ */
+export function buildLibraryFilter(userId, query) {
+  const { topic, subject, status, tag, folder, includeSubfolders, starred, archived } = query;
+  const filter = { user: userId };
+
+  if (status && !['processing', 'ready', 'failed'].includes(status)) {
+    return { error: 'Status must be one of: processing, ready, failed' };
+  }
+
+  if (topic) filter.topic = topic;
+  if (subject) filter.subject = subject;
+  if (status) filter.status = status;
+
+  // Several tags (comma-separated) must all be present
+  const tags = normalizeTags(tag);
+  if (tags.length > 0) {
+    filter.tags = { $all: tags };
+  }
+
+  if (folder !== undefined) {
+    const path = normalizeFolder(folder);
+    if (!path) {
+      // Top level only
+      filter.folder = { $in: [null, ''] };
+    } else if (includeSubfolders === 'true') {
+      filter.folder = { $regex: `^${escapeRegex(path)}(/|$)` };
+    } else {
+      filter.folder = path;
+    }
+  }
+
+  if (starred === 'true') filter.starred = true;
+  if (starred === 'false') filter.starred = { $ne: true };
+
+  // Archived materials are hidden unless asked for
+  if (archived === 'true') {
+    filter.archived = true;
+  } else if (archived !== 'all') {
+    filter.archived = { $ne: true };
+  }
+
+  return { filter };
+}
+
+/**
+ * Parse a sort parameter like "-updatedAt"
+ * @param {string} sort
+ * @returns {Object|null} - Mongo sort, or null if the field isn't sortable
+ */
+export function parseMaterialSort(sort = '-createdAt') {
+  const field = String(sort).replace(/^-/, '');
+  if (!MATERIAL_SORT_FIELDS.includes(field)) {
+    return null;
+  }
+  return { [field]: String(sort).startsWith('-') ? -1 : 1, _id: 1 };
+}
+
+/**
+ * Keyword search over material titles/tags/topics and chunk text
+ * Uses MongoDB text indexes, so words are matched on their stems ("recursive" finds "recursion")
+ *
+ * @param {string} userId
+ * @param {string} query - Search words; "quoted phrases" and -excluded words are supported
+ * @param {Object} filter - Material filter from buildLibraryFilter
+ * @returns {Promise<Array<{material: Object, score: number, matchedIn: string[], matches: Array<Object>}>>}
+ *          Most relevant first
+ */
+export async function searchLibrary(userId, query, filter) {
+  const textScore = { score: { $meta: 'textScore' } };
+
+  // Chunk hits are limited, so only look in the materials that pass the filters
+  const materialIds = await CourseMaterial.find(filter).distinct('_id');
+
+  const [materialHits, chunkHits] = await Promise.all([
+    CourseMaterial.find({ ...filter, $text: { $search: query } })
+      .select(textScore)
+      .sort(textScore)
+      .lean(),
+    MaterialChunk.find({ user: userId, material: { $in: materialIds }, $text: { $search: query } })
+      .select({ ...textScore, material: 1, content: 1, order: 1, metadata: 1 })
+      .sort(textScore)
+      .limit(MAX_CHUNK_HITS)
+      .lean()
+  ]);
+
+  const results = new Map();
+  for (const material of materialHits) {
+    results.set(material._id.toString(), { material, score: material.score, matchedIn: ['title'], matches: [] });
+  }
+
+  // Materials found only through their text (the filter is checked again, they may have changed)
+  const otherIds = [...new Set(chunkHits.map(chunk => chunk.material.toString()))]
+    .filter(id => !results.has(id));
+  if (otherIds.length > 0) {
+    const materials = await CourseMaterial.find({ ...filter, _id: { $in: otherIds } }).lean();
+    for (const material of materials) {
+      results.set(material._id.toString(), { material, score: 0, matchedIn: [], matches: [] });
+    }
+  }
+
+  const terms = extractSearchTerms(query);
+  for (const chunk of chunkHits) {
+    const result = results.get(chunk.material.toString());
+    if (!result || result.matches.length >= MATCHES_PER_MATERIAL) continue;
+
+    if (!result.matchedIn.includes('content')) result.matchedIn.push('content');
+    result.score += chunk.score;
+    result.matches.push({
+      chunkId: chunk._id,
+      order: chunk.order,
+      snippet: makeSnippet(chunk.content, terms),
+      score: chunk.score,
+      metadata: chunk.metadata
+    });
+  }
+
+  return [...results.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Count a user's materials per folder (archived materials excluded)
+ * @param {string} userId
+ * @returns {Promise<Array<{folder: string, count: number}>>} - '' is the top level
+ */
+export async function getFolderSummary(userId) {
+  const folders = await CourseMaterial.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), archived: { $ne: true } } },
+    { $group: { _id: { $ifNull: ['$folder', ''] }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return folders.map(({ _id, count }) => ({ folder: _id, count }));
+}
+
+/**
+ * Count a user's materials per tag (archived materials excluded)
+ * @param {string} userId
+ * @returns {Promise<Array<{tag: string, count: number}>>} - Most used first
+ */
+export async function getTagSummary(userId) {
+  const tags = await CourseMaterial.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId), archived: { $ne: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
+
+  return tags.map(({ _id, count }) => ({ tag: _id, count }));
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+// Escape user input before using it in a regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words to look for when building snippets (excluded -words are left out)
+ * @param {string} query
+ * @returns {string[]} - Lowercase terms
+ */
+function extractSearchTerms(query) {
+  return query
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+    .filter(word => word.length > 1);
+}
+
+/**
+ * Cut a passage of a chunk around the first search term
+ * Falls back to the term's stem (first 4+ letters), then to the start of the chunk
+ *
+ * @param {string} content
+ * @param {string[]} terms
+ * @returns {string}
+ */
+function makeSnippet(content, terms) {
+  const text = content.replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+
+  let position = -1;
+  for (const candidates of [terms, terms.map(term => term.slice(0, Math.max(4, term.length - 3)))]) {
+    const found = candidates.map(term => lower.indexOf(term)).filter(index => index >= 0);
+    if (found.length > 0) {
+      position = Math.min(...found);
+      break;
+    }
+  }
+
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+
+  let start = Math.max(0, (position === -1 ? 0 : position) - SNIPPET_LENGTH / 3);
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  // Don't cut words in half
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+export default {
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  MAX_FOLDER_LENGTH,
+  MATERIAL_SORT_FIELDS,
+  normalizeFolder,
+  normalizeTags,
+  buildLibraryFilter,
+  parseMaterialSort,
+  searchLibrary,
+  getFolderSummary,
+  getTagSummary
+};
@@ -0,0 +1,224 @@
+import Course from '../models/Course.js';
+import MaterialShare from '../models/MaterialShare.js';
+import User from '../models/User.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+// Read-only sharing of course material
+// Materials can be shared with users, through share links, or published to a
+// course library. Shared materials are readable and used for RAG search, but
+// only their owner can change them.
+
+export const MAX_LINK_DAYS = 365;
+
+/**
+ * Materials shared with a user (their own materials are not included)
+ * @param {string} userId
+ * @returns {Promise<Map<string, Object>>} - materialId -> share granting access
+ *          (a direct share is preferred over a course library)
+ */
+export async function getSharedMaterialAccess(userId) {
+  const shares = await MaterialShare.find(await buildAccessFilter(userId))
+    .select('material owner type course viaLink createdAt')
+    .lean();
+
+  const access = new Map();
+  for (const share of shares) {
+    const id = share.material.toString();
+    if (!access.has(id) || (share.type === 'user' && access.get(id).type !== 'user')) {
+      access.set(id, share);
+    }
+  }
+  return access;
+}
+
+/**
+ * Materials of a course library the user can read (also those shared with them directly)
+ * @param {string} userId
+ * @param {string} courseId
+ * @returns {Promise<Array<Object>>} - Course shares; none if the user isn't in the course
+ */
+export async function getCourseLibraryShares(userId, courseId) {
+  // Still needs the course condition of the access filter: only courses of the user
+  return MaterialShare.find({ ...await buildAccessFilter(userId), type: 'course', course: courseId })
+    .select('material owner type course viaLink createdAt')
+    .lean();
+}
+
+/**
+ * Find the share that lets a user read a material
+ * @param {string} userId
+ * @param {string} materialId
+ * @returns {Promise<Object|null>} - Share, or null if the material isn't shared with the user
+ */
+export async function findShareForUser(userId, materialId) {
+  const shares = await MaterialShare.find({ ...await buildAccessFilter(userId), material: materialId })
+    .select('material owner type course viaLink createdAt')
+    .lean();
+
+  return shares.find(share => share.type === 'user') || shares[0] || null;
+}
+
+/**
+ * Describe where shared materials come from, for attribution in results
+ * @param {Array<Object>} shares - Shares from getSharedMaterialAccess/findShareForUser
+ * @returns {Promise<Map<string, Object>>} - materialId -> { sharedVia, sharedBy, course, sharedAt }
+ */
+export async function describeShares(shares) {
+  const ownerIds = [...new Set(shares.map(share => share.owner.toString()))];
+  const courseIds = [...new Set(shares.filter(share => share.course).map(share => share.course.toString()))];
+
+  const [owners, courses] = await Promise.all([
+    User.find({ _id: { $in: ownerIds } }).select('name').lean(),
+    courseIds.length > 0 ? Course.find({ _id: { $in: courseIds } }).select('code title').lean() : []
+  ]);
+  const ownersById = new Map(owners.map(owner => [owner._id.toString(), owner]));
+  const coursesById = new Map(courses.map(course => [course._id.toString(), course]));
+
+  return new Map(shares.map(share => {
+    const owner = ownersById.get(share.owner.toString());
+    const course = share.course && coursesById.get(share.course.toString());
+
+    return [share.material.toString(), {
+      sharedVia: share.type === 'course' ? 'course' : (share.viaLink ? 'link' : 'user'),
+      sharedBy: { id: share.owner, name: owner?.name || 'Unknown user' },
+      course: course ? { id: course._id, code: course.code, title: course.title } : undefined,
+      sharedAt: share.createdAt
+    }];
+  }));
+}
+
+/**
+ * Share a material with a user (no-op if it already is)
+ * @param {Object} material - CourseMaterial document
+ * @param {string} userId - Recipient
+ * @param {string} viaLink - Link share the recipient opened (optional)
+ * @returns {Promise<{share: Object, created: boolean}>}
+ */
+export async function shareWithUser(material, userId, viaLink) {
+  const result = await MaterialShare.findOneAndUpdate(
+    { material: material._id, type: 'user', sharedWith: userId },
+    { $setOnInsert: { owner: material.user, ...(viaLink && { viaLink }) } },
+    { upsert: true, new: true, includeResultMetadata: true }
+  );
+
+  return { share: result.value, created: !result.lastErrorObject?.updatedExisting };
+}
+
+/**
+ * Create a share link for a material
+ * @param {Object} material - CourseMaterial document
+ * @param {number} expiresInDays - Optional lifetime of the link
+ * @returns {Promise<{share: Object, token: string}>} - The token is not stored and can't be shown again
+ */
+export async function createShareLink(material, expiresInDays) {
+  const token = generateToken();
+
+  const share = await MaterialShare.create({
+    material: material._id,
+    owner: material.user,
+    type: 'link',
+    tokenHash: hashToken(token),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  return { share, token };
+}
+
+/**
+ * Find the link share for a token
+ * @param {string} token - Token from the share link
+ * @returns {Promise<Object|null>}
+ */
+export async function findShareLink(token) {
+  return MaterialShare.findOne({ type: 'link', tokenHash: hashToken(token) });
+}
+
+/**
+ * Give a user access through a share link
+ * @param {Object} link - Link share (not expired)
+ * @param {string} userId
+ * @returns {Promise<{share: Object, created: boolean}>}
+ */
+export async function joinShareLink(link, userId) {
+  const result = await shareWithUser({ _id: link.material, user: link.owner }, userId, link._id);
+
+  if (result.created) {
+    await MaterialShare.updateOne({ _id: link._id }, { $inc: { acceptCount: 1 } });
+  }
+  return result;
+}
+
+/**
+ * Publish a material to a course library (no-op if it already is)
+ * @param {Object} material - CourseMaterial document
+ * @param {string} courseId
+ * @returns {Promise<Object>} - Course share
+ */
+export async function publishToCourse(material, courseId) {
+  return MaterialShare.findOneAndUpdate(
+    { material: material._id, type: 'course', course: courseId },
+    { $setOnInsert: { owner: material.user } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Revoke a share; revoking a link also removes the access users gained through it
+ * @param {Object} share
+ */
+export async function revokeShare(share) {
+  await Promise.all([
+    MaterialShare.deleteOne({ _id: share._id }),
+    share.type === 'link' ? MaterialShare.deleteMany({ viaLink: share._id }) : null
+  ]);
+}
+
+/**
+ * Remove a material shared directly with a user from their shared materials
+ * (materials published to one of their courses stay available)
+ * @param {string} userId
+ * @param {string} materialId
+ * @returns {Promise<number>} - Number of shares removed
+ */
+export async function leaveShare(userId, materialId) {
+  const result = await MaterialShare.deleteMany({ material: materialId, type: 'user', sharedWith: userId });
+  return result.deletedCount;
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Filter for the shares that give a user access: their own user shares and the
+ * libraries of courses they study or teach
+ * @param {string} userId
+ * @returns {Promise<Object>} - MaterialShare filter
+ */
+async function buildAccessFilter(userId) {
+  const courses = await Course.find({
+    $or: [{ owner: userId }, { instructors: userId }, { students: userId }]
+  }).select('_id').lean();
+
+  return {
+    // Owners already have access to their own materials
+    owner: { $ne: userId },
+    $or: [
+      { type: 'user', sharedWith: userId },
+      { type: 'course', course: { $in: courses.map(course => course._id) } }
+    ]
+  };
+}
+
+export default {
+  MAX_LINK_DAYS,
+  getSharedMaterialAccess,
+  getCourseLibraryShares,
+  findShareForUser,
+  describeShares,
+  shareWithUser,
+  createShareLink,
+  findShareLink,
+  joinShareLink,
+  publishToCourse,
+  revokeShare,
+  leaveShare
+};
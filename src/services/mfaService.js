@@ -0,0 +1,85 @@
+import MfaChallenge from '../models/MfaChallenge.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { encrypt, decrypt, needsReencryption } from '../utils/encryption.js';
+import { verifyCode, hashRecoveryCode } from './totpService.js';
+
+/**
+ * Create the second login step for a user with MFA enabled
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (for IP)
+ * @returns {Promise<string>} - Plain challenge token for the client (valid 5 minutes)
+ */
+export async function createMfaChallenge(user, req) {
+  const token = generateToken();
+
+  await MfaChallenge.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    expiresAt: new Date(Date.now() + 5 * 60 * 1000),
+    createdByIp: req.ip || req.connection.remoteAddress
+  });
+
+  return token;
+}
+
+/**
+ * Find an active challenge by its plain token
+ * @param {string} token - Challenge token from login
+ * @returns {Promise<Object|null>} - Challenge document
+ */
+export async function findActiveChallenge(token) {
+  if (!token) return null;
+
+  const challenge = await MfaChallenge.findOne({ tokenHash: hashToken(token) });
+  return challenge && challenge.isActive() ? challenge : null;
+}
+
+/**
+ * Check a TOTP code or recovery code against the user's enrolled secret
+ * Updates lastUsedStep / consumes the recovery code on the user document (caller saves),
+ * and moves a secret encrypted with an old key to the current one
+ *
+ * @param {Object} user - User document with MFA enabled
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {string|null} - 'totp' | 'recovery_code' on success, null otherwise
+ */
+export function verifyMfaInput(user, { code, recoveryCode }) {
+  if (!user.mfa?.enabled || !user.mfa.secret) {
+    return null;
+  }
+
+  if (code) {
+    const secret = decrypt(user.mfa.secret);
+    const step = verifyCode(secret, code);
+
+    // Each code can only be used once (blocks replay within its 30s window)
+    if (step === null || (user.mfa.lastUsedStep && step <= user.mfa.lastUsedStep)) {
+      return null;
+    }
+
+    user.mfa.lastUsedStep = step;
+    if (needsReencryption(user.mfa.secret)) {
+      user.mfa.secret = encrypt(secret);
+    }
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.mfa.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+
+    user.mfa.recoveryCodes.splice(index, 1);
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+export default {
+  createMfaChallenge,
+  findActiveChallenge,
+  verifyMfaInput
+};
@@ -0,0 +1,198 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Note: Environment variables are loaded in server.js via dotenv
+// Provider metadata and keys are cached after the first request
+
+let providerMetadata = null;
+let providerKeys = null;
+
+// Asymmetric algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * Check if single sign-on is configured
+ * @returns {boolean}
+ */
+export function isOidcConfigured() {
+  return Boolean(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID && process.env.OIDC_REDIRECT_URI);
+}
+
+/**
+ * Get the issuer URL without a trailing slash
+ * @returns {string}
+ */
+function getIssuer() {
+  return process.env.OIDC_ISSUER.replace(/\/+$/, '');
+}
+
+/**
+ * Base64url encode a buffer (RFC 7636)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Fetch OpenID provider metadata from the discovery document
+ * @returns {Promise<Object>} - Provider metadata
+ */
+export async function getProviderMetadata() {
+  if (providerMetadata) {
+    return providerMetadata;
+  }
+
+  const { data } = await axios.get(`${getIssuer()}/.well-known/openid-configuration`, { timeout: 10000 });
+
+  if (!data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+    throw new Error('Invalid OpenID provider metadata');
+  }
+
+  providerMetadata = data;
+  return providerMetadata;
+}
+
+/**
+ * Find the provider's signing key for an ID token
+ * Refetches the key set once if the key ID is unknown (provider rotated keys)
+ *
+ * @param {string} kid - Key ID from the ID token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+async function getSigningKey(kid) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (!providerKeys || attempt > 0) {
+      const metadata = await getProviderMetadata();
+      const { data } = await axios.get(metadata.jwks_uri, { timeout: 10000 });
+      providerKeys = data.keys || [];
+    }
+
+    const jwk = kid
+      ? providerKeys.find(k => k.kid === kid)
+      : providerKeys.find(k => !k.use || k.use === 'sig');
+
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('ID token signing key not found');
+}
+
+/**
+ * Create a PKCE code verifier and S256 challenge
+ * @returns {{codeVerifier: string, codeChallenge: string}}
+ */
+export function createPkcePair() {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Build the provider authorization URL for the authorization code + PKCE flow
+ * @param {Object} params - { state, nonce, codeChallenge, loginHint }
+ * @returns {Promise<string>} - URL to send the browser to
+ */
+export async function buildAuthorizationUrl({ state, nonce, codeChallenge, loginHint }) {
+  const metadata = await getProviderMetadata();
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', process.env.OIDC_CLIENT_ID);
+  url.searchParams.set('redirect_uri', process.env.OIDC_REDIRECT_URI);
+  url.searchParams.set('scope', process.env.OIDC_SCOPES || 'openid email profile');
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Authorization code from the provider
+ * @param {string} codeVerifier - PKCE verifier stored with the login state
+ * @returns {Promise<Object>} - Token response ({ id_token, access_token, ... })
+ */
+export async function exchangeCode(code, codeVerifier) {
+  const metadata = await getProviderMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: process.env.OIDC_REDIRECT_URI,
+    client_id: process.env.OIDC_CLIENT_ID,
+    code_verifier: codeVerifier
+  });
+
+  // Confidential clients also authenticate with their secret
+  if (process.env.OIDC_CLIENT_SECRET) {
+    body.set('client_secret', process.env.OIDC_CLIENT_SECRET);
+  }
+
+  const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: 10000
+  });
+
+  if (!data.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  return data;
+}
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {string} idToken - ID token from the token response
+ * @param {string} nonce - Nonce stored with the login state
+ * @returns {Promise<Object>} - Verified claims
+ */
+export async function verifyIdToken(idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const metadata = await getProviderMetadata();
+  const key = await getSigningKey(decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer || getIssuer(),
+    audience: process.env.OIDC_CLIENT_ID
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Clear cached provider metadata and keys (e.g. after changing configuration)
+ */
+export function resetOidcCache() {
+  providerMetadata = null;
+  providerKeys = null;
+}
+
+export default {
+  isOidcConfigured,
+  getProviderMetadata,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  resetOidcCache
+};
@@ -0,0 +1,70 @@
+import Course from '../models/Course.js';
+
+// Roles allowed to teach (create live quizzes, own courses, co-instruct)
+export const TEACHING_ROLES = ['instructor', 'admin'];
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+/**
+ * Check if user can teach (instructor or admin)
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+export function canTeach(user) {
+  return Boolean(user && TEACHING_ROLES.includes(user.role));
+}
+
+/**
+ * Check if user is an instructor of a course (owner or co-instructor)
+ * Admins are treated as instructors of every course
+ *
+ * @param {Object} user - User document
+ * @param {Object} course - Course document
+ * @returns {boolean}
+ */
+export function isCourseInstructor(user, course) {
+  if (!user || !course) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'instructor' && course.hasInstructor(user._id);
+}
+
+/**
+ * Resolve what a user may do with a quiz
+ * - 'owner': admin or quiz creator (can also manage co-instructors)
+ * - 'instructor': co-instructor of the quiz or instructor of its course
+ * - null: no management access
+ *
+ * @param {Object} user - User document
+ * @param {Object} quiz - Quiz document
+ * @returns {Promise<string|null>} - Access level
+ */
+export async function getQuizAccess(user, quiz) {
+  if (!user || !quiz) return null;
+
+  if (user.role === 'admin' || sameId(quiz.createdBy?._id || quiz.createdBy, user._id)) {
+    return 'owner';
+  }
+
+  // Co-instructors need a teaching role; a demoted user loses access
+  if (!canTeach(user)) return null;
+
+  if ((quiz.coInstructors || []).some(id => sameId(id, user._id))) {
+    return 'instructor';
+  }
+
+  if (quiz.courseId) {
+    const course = await Course.findById(quiz.courseId);
+    if (isCourseInstructor(user, course)) {
+      return 'instructor';
+    }
+  }
+
+  return null;
+}
+
+export default {
+  TEACHING_ROLES,
+  canTeach,
+  isCourseInstructor,
+  getQuizAccess
+};
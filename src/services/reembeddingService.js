@@ -0,0 +1,385 @@
+import os from 'os';
+import mongoose from 'mongoose';
+import CourseMaterial from '../models/CourseMaterial.js';
+import ReembeddingJob from '../models/ReembeddingJob.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+import {
+  getActiveEmbeddingModel,
+  getActiveEmbeddingProvider,
+  LEGACY_EMBEDDING_MODEL,
+  LEGACY_EMBEDDING_PROVIDER
+} from './embeddingService.js';
+import { embedBatchWithRetry } from './ingestionService.js';
+
+// Migration of stored vectors to another embedding model (or provider)
+// Chunks are embedded with the new model in the background and each vector is
+// replaced as soon as its replacement exists. Search matches every chunk with a query
+// vector from the same model, so it keeps working throughout. Materials are handled
+// in _id order and the job records the last one, so a restarted worker carries on
+// where it stopped.
+//
+// Runs alongside the ingestion worker (INGESTION_WORKER=off disables both).
+// REEMBEDDING_POLL_MS: how often to look for queued jobs (default: 5000)
+
+const BATCH_SIZE = 10;
+const MATERIAL_ATTEMPTS = 3;
+const MAX_FAILURES_KEPT = 20;
+const LEASE_MS = 5 * 60 * 1000;
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let workerTimer = null;
+let running = false;
+
+/**
+ * Queue a re-embedding job
+ * @param {Object} params
+ * @param {string} params.userId - Only this user's materials (omit for all materials)
+ * @param {string} params.targetProvider - Provider to migrate to (default: active provider)
+ * @param {string} params.targetModel - Model to migrate to (default: active model)
+ * @param {string} params.createdBy - Admin who started the job
+ * @returns {Promise<Object>} - Re-embedding job
+ */
+export async function queueReembedding({ userId, targetProvider, targetModel, createdBy }) {
+  const job = await ReembeddingJob.create({
+    scope: userId ? 'user' : 'all',
+    user: userId,
+    targetProvider: targetProvider || getActiveEmbeddingProvider(),
+    targetModel: targetModel || getActiveEmbeddingModel(),
+    createdBy
+  });
+
+  if (workerTimer) {
+    setImmediate(pollJobs);
+  }
+  return job;
+}
+
+/**
+ * Cancel a queued or running job (materials already migrated stay migrated)
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} - Cancelled job, or null if it had already finished
+ */
+export async function cancelReembedding(jobId) {
+  return ReembeddingJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    {
+      $set: { status: 'cancelled', finishedAt: new Date() },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Count materials and chunks per embedding provider and model
+ * @param {string} userId - Optional user to restrict the counts to
+ * @returns {Promise<Array<{provider: string, model: string, materials: number, chunks: number, dimensions: number[], active: boolean}>>}
+ */
+export async function getEmbeddingModelUsage(userId) {
+  const match = userId ? { user: new mongoose.Types.ObjectId(userId) } : {};
+
+  const usage = await CourseMaterial.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          provider: { $ifNull: ['$embeddingProvider', LEGACY_EMBEDDING_PROVIDER] },
+          model: { $ifNull: ['$embeddingModel', LEGACY_EMBEDDING_MODEL] }
+        },
+        materials: { $sum: 1 },
+        chunks: { $sum: '$chunkCount' },
+        dimensions: { $addToSet: '$embeddingDimensions' }
+      }
+    },
+    { $sort: { materials: -1 } }
+  ]);
+
+  const activeProvider = getActiveEmbeddingProvider();
+  const activeModel = getActiveEmbeddingModel();
+  return usage.map(({ _id, materials, chunks, dimensions }) => ({
+    provider: _id.provider,
+    model: _id.model,
+    materials,
+    chunks,
+    // Unrecorded dimensions belong to legacy materials
+    dimensions: dimensions.length ? dimensions.sort((a, b) => a - b) : [768],
+    active: _id.provider === activeProvider && _id.model === activeModel
+  }));
+}
+
+/**
+ * Start polling for re-embedding jobs (call once MongoDB is connected)
+ */
+export function startReembeddingWorker() {
+  if (workerTimer || process.env.INGESTION_WORKER === 'off') {
+    return;
+  }
+
+  const interval = parseInt(process.env.REEMBEDDING_POLL_MS) || 5000;
+  workerTimer = setInterval(pollJobs, interval);
+  setImmediate(pollJobs);
+}
+
+/**
+ * Stop polling (a running job stops after its current material)
+ */
+export function stopReembeddingWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Materials a job still has to migrate
+ * @param {Object} job
+ * @returns {Object} - CourseMaterial filter
+ */
+function buildMaterialFilter(job) {
+  const filter = {
+    status: 'ready',
+    ...notOnTargetModel(job)
+  };
+
+  if (job.scope === 'user') {
+    filter.user = job.user;
+  }
+
+  return filter;
+}
+
+/**
+ * Filter for materials or chunks embedded with anything but the job's target
+ * (no recorded provider or model means the legacy ones)
+ * @param {Object} job
+ * @returns {Object}
+ */
+function notOnTargetModel(job) {
+  const withLegacy = (value, legacy) => value === legacy ? [value, null] : [value];
+
+  return {
+    $or: [
+      { embeddingProvider: { $nin: withLegacy(job.targetProvider, LEGACY_EMBEDDING_PROVIDER) } },
+      { embeddingModel: { $nin: withLegacy(job.targetModel, LEGACY_EMBEDDING_MODEL) } }
+    ]
+  };
+}
+
+/**
+ * Claim the next job: a queued job, or a running job whose worker stopped renewing its lease
+ * @returns {Promise<Object|null>}
+ */
+async function claimNextJob() {
+  const now = new Date();
+
+  return ReembeddingJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LEASE_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedAt: now, lockedBy: WORKER_ID },
+      $min: { startedAt: now }
+    },
+    { new: true, sort: { createdAt: 1 } }
+  );
+}
+
+/**
+ * Embed every chunk of a material with the target model
+ * Each batch of vectors replaces the old ones as soon as it is ready; search compares
+ * every chunk with a query vector from that chunk's model, so a material that is part
+ * way through keeps working. A chunk whose text changed meanwhile is left alone.
+ *
+ * @param {Object} job - Running job
+ * @param {string} materialId
+ * @returns {Promise<boolean>} - false if the job was cancelled or taken over meanwhile (stop)
+ */
+async function reembedMaterial(job, materialId) {
+  const material = await CourseMaterial.findById(materialId).select('status embeddingProvider embeddingModel').lean();
+
+  // Deleted, reprocessed or already migrated in the meantime
+  if (!material || material.status !== 'ready' ||
+      ((material.embeddingProvider || LEGACY_EMBEDDING_PROVIDER) === job.targetProvider &&
+       (material.embeddingModel || LEGACY_EMBEDDING_MODEL) === job.targetModel)) {
+    return true;
+  }
+
+  const pendingFilter = {
+    material: material._id,
+    ...notOnTargetModel(job)
+  };
+
+  let dimensions;
+  for (let attempt = 1; attempt <= MATERIAL_ATTEMPTS; attempt++) {
+    const cursor = MaterialChunk.find(pendingFilter)
+      .select('_id content')
+      .sort({ order: 1 })
+      .lean()
+      .cursor({ batchSize: BATCH_SIZE });
+
+    let batch = [];
+    const saveBatch = async () => {
+      const embeddings = await embedBatchWithRetry(
+        batch.map(chunk => chunk.content),
+        job.targetModel,
+        job.targetProvider
+      );
+      dimensions = embeddings[0].length;
+
+      // Embedding can outlast the lease: don't save if another worker took the job over meanwhile
+      if (!(await renewLease(job))) {
+        return false;
+      }
+
+      await MaterialChunk.bulkWrite(batch.map((chunk, index) => ({
+        updateOne: {
+          filter: { _id: chunk._id, content: chunk.content },
+          update: {
+            $set: {
+              embedding: embeddings[index],
+              embeddingProvider: job.targetProvider,
+              embeddingModel: job.targetModel
+            }
+          }
+        }
+      })));
+      batch = [];
+      return true;
+    };
+
+    for await (const chunk of cursor) {
+      batch.push(chunk);
+      if (batch.length === BATCH_SIZE && !(await saveBatch())) {
+        return false;
+      }
+    }
+    if (batch.length > 0 && !(await saveBatch())) {
+      return false;
+    }
+
+    // Chunks edited while they were being embedded are picked up on the next pass
+    if (!await MaterialChunk.exists(pendingFilter)) {
+      const update = { embeddingProvider: job.targetProvider, embeddingModel: job.targetModel };
+      if (dimensions) update.embeddingDimensions = dimensions;
+
+      await CourseMaterial.updateOne({ _id: material._id }, { $set: update });
+      return true;
+    }
+  }
+
+  throw new Error('Material kept changing while it was being re-embedded');
+}
+
+/**
+ * Migrate the materials of a job one at a time, recording progress after each
+ * @param {Object} job - Claimed job
+ */
+async function runJob(job) {
+  const filter = buildMaterialFilter(job);
+
+  try {
+    if (job.totalMaterials === undefined) {
+      await ReembeddingJob.updateOne(
+        { _id: job._id },
+        { totalMaterials: await CourseMaterial.countDocuments(filter) }
+      );
+    }
+
+    let cursor = job.cursor;
+
+    while (workerTimer) {
+      const next = await CourseMaterial.findOne(cursor ? { ...filter, _id: { $gt: cursor } } : filter)
+        .select('_id')
+        .sort({ _id: 1 })
+        .lean();
+
+      if (!next) {
+        await ReembeddingJob.updateOne(
+          { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+          {
+            $set: { status: 'completed', finishedAt: new Date() },
+            $unset: { lockedAt: 1, lockedBy: 1 }
+          }
+        );
+        return;
+      }
+
+      const update = { $set: { cursor: next._id, lockedAt: new Date() } };
+      try {
+        if (!(await reembedMaterial(job, next._id))) {
+          return; // Cancelled or taken over
+        }
+        update.$inc = { migratedMaterials: 1 };
+      } catch (error) {
+        console.error(`Re-embedding material ${next._id} failed:`, error.message);
+        update.$inc = { failedMaterials: 1 };
+        update.$push = {
+          failures: { $each: [{ material: next._id, error: error.message }], $slice: -MAX_FAILURES_KEPT }
+        };
+      }
+
+      // Record progress and renew the lease; stops if the job was cancelled or taken over
+      const renewed = await ReembeddingJob.updateOne(
+        { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+        update
+      );
+      if (renewed.matchedCount === 0) {
+        return;
+      }
+      cursor = next._id;
+    }
+  } catch (error) {
+    console.error(`Re-embedding job ${job._id} failed:`, error.message);
+
+    await ReembeddingJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'failed', lastError: error.message, finishedAt: new Date() },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+  }
+}
+
+/**
+ * Renew this worker's lease on a running job
+ * @param {Object} job
+ * @returns {Promise<boolean>} - false if the job was cancelled or taken over
+ */
+async function renewLease(job) {
+  const renewed = await ReembeddingJob.updateOne(
+    { _id: job._id, status: 'running', lockedBy: WORKER_ID },
+    { lockedAt: new Date() }
+  );
+  return renewed.matchedCount === 1;
+}
+
+/**
+ * Run queued jobs one after another until the queue is empty
+ */
+async function pollJobs() {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while (workerTimer && (job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Re-embedding worker poll error:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+export default {
+  queueReembedding,
+  cancelReembedding,
+  getEmbeddingModelUsage,
+  startReembeddingWorker,
+  stopReembeddingWorker
+};
@@ -0,0 +1,42 @@
+import SecurityEvent from '../models/SecurityEvent.js';
+
+/**
+ * Record a security event (token theft, lockouts, ...)
+ * Never throws: failing to write an audit record must not break the request
+ *
+ * @param {Object} event
+ * @param {string} event.type - Event type, e.g. 'refresh_token_reuse'
+ * @param {string} event.userId - Affected user (optional)
+ * @param {string} event.severity - info | warning | critical (default: info)
+ * @param {Object} event.req - Express request, used for IP and user agent (optional)
+ * @param {Object} event.details - Extra context (optional)
+ * @returns {Promise<Object|null>} - Saved event, or null if it couldn't be stored
+ */
+export async function logSecurityEvent({ type, userId, severity = 'info', req, details = {} }) {
+  const ipAddress = req ? (req.ip || req.connection?.remoteAddress) : undefined;
+  const userAgent = req ? req.get('user-agent') : undefined;
+
+  console.warn(`🔒 Security event [${severity}] ${type}`, {
+    userId: userId?.toString(),
+    ipAddress,
+    ...details
+  });
+
+  try {
+    return await SecurityEvent.create({
+      type,
+      userId,
+      severity,
+      ipAddress,
+      userAgent,
+      details
+    });
+  } catch (error) {
+    console.error('Error saving security event:', error);
+    return null;
+  }
+}
+
+export default {
+  logSecurityEvent
+};
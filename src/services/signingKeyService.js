@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Note: Environment variables are loaded in server.js via dotenv
+// Keys are read from JWT_KEYS_DIR at startup (checkSigningKeys) and cached
+//
+// Key files (see `npm run jwt:keygen`):
+//   <kid>.pem      private key - can sign, and verifies tokens it signed
+//   <kid>.pub.pem  public key only - a retired key that still verifies unexpired tokens
+// JWT_SIGNING_KID picks the private key new tokens are signed with
+
+let keyCache = null;
+
+/**
+ * Pick the JWT algorithm for a key
+ * @param {crypto.KeyObject} key
+ * @returns {string}
+ */
+function algorithmFor(key) {
+  if (key.asymmetricKeyType === 'rsa') return 'RS256';
+  if (key.asymmetricKeyType === 'ec') {
+    const curves = { prime256v1: 'ES256', secp384r1: 'ES384', secp521r1: 'ES512' };
+    const alg = curves[key.asymmetricKeyDetails?.namedCurve];
+    if (alg) return alg;
+  }
+  throw new Error(`Unsupported JWT key type: ${key.asymmetricKeyType}`);
+}
+
+/**
+ * Read all key files from JWT_KEYS_DIR
+ * @returns {{keys: Map<string, Object>, signingKid: string|null}}
+ */
+function loadKeys() {
+  if (keyCache) {
+    return keyCache;
+  }
+
+  const dir = path.resolve(process.env.JWT_KEYS_DIR || 'keys/jwt');
+  const keys = new Map();
+
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.pem')) : [];
+  for (const file of files) {
+    const isPublicOnly = file.endsWith('.pub.pem');
+    const kid = file.replace(isPublicOnly ? /\.pub\.pem$/ : /\.pem$/, '');
+    const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    // A private key file wins over a public file with the same kid
+    if (keys.has(kid) && isPublicOnly) continue;
+
+    try {
+      const privateKey = isPublicOnly ? null : crypto.createPrivateKey(pem);
+      const publicKey = isPublicOnly ? crypto.createPublicKey(pem) : crypto.createPublicKey(privateKey);
+
+      keys.set(kid, { kid, alg: algorithmFor(publicKey), privateKey, publicKey });
+    } catch (error) {
+      throw new Error(`Invalid JWT key file ${path.join(dir, file)}: ${error.message}`);
+    }
+  }
+
+  let signingKid = null;
+  if (keys.size > 0) {
+    signingKid = process.env.JWT_SIGNING_KID;
+    if (!signingKid || !keys.get(signingKid)?.privateKey) {
+      const available = [...keys.values()].filter(key => key.privateKey).map(key => key.kid);
+      throw new Error(`JWT_SIGNING_KID must name a private key in ${dir} (found: ${available.join(', ') || 'none'})`);
+    }
+  }
+
+  keyCache = { keys, signingKid };
+  return keyCache;
+}
+
+/**
+ * Load and check the keys at startup, so a broken key setup stops the server
+ * instead of failing every token operation
+ * @throws {Error} - If a key file can't be read or JWT_SIGNING_KID doesn't name a private key
+ */
+export function checkSigningKeys() {
+  loadKeys();
+}
+
+/**
+ * Get the key new access tokens are signed with
+ * @returns {Object|null} - { kid, alg, privateKey, publicKey }, or null when no keys are configured (HS256 with JWT_SECRET)
+ */
+export function getSigningKey() {
+  const { keys, signingKid } = loadKeys();
+  return signingKid ? keys.get(signingKid) : null;
+}
+
+/**
+ * Find a verification key by key ID
+ * @param {string} kid
+ * @returns {Object|null} - { kid, alg, publicKey }
+ */
+export function getVerificationKey(kid) {
+  return loadKeys().keys.get(kid) || null;
+}
+
+/**
+ * Public keys as a JSON Web Key Set, for services that verify our tokens
+ * @returns {{keys: Array<Object>}}
+ */
+export function getJwks() {
+  const { keys } = loadKeys();
+
+  return {
+    keys: [...keys.values()].map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg,
+      use: 'sig'
+    }))
+  };
+}
+
+/**
+ * Forget loaded keys so the next call re-reads JWT_KEYS_DIR (e.g. after rotation)
+ */
+export function resetSigningKeyCache() {
+  keyCache = null;
+}
+
+export default {
+  checkSigningKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  resetSigningKeyCache
+};
@@ -0,0 +1,92 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import RefreshToken from '../models/RefreshToken.js';
+import { getSigningKey, getVerificationKey } from './signingKeyService.js';
+
+const getIssuer = () => process.env.JWT_ISSUER || 'studyspark';
+
+// Generate Access Token (configurable via env or default 7 days)
+// sid ties the access token to its session (refresh token family),
+// mfa records that the session completed two-factor authentication
+// Signed with the active asymmetric key (kid header) when keys are configured,
+// otherwise with JWT_SECRET (HS256)
+export const generateAccessToken = (userId, sessionId, mfa = false) => {
+  const payload = { userId, sid: sessionId, mfa };
+  const expiresIn = process.env.JWT_EXPIRE || '7d';
+  const signingKey = getSigningKey();
+
+  if (!signingKey) {
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+  }
+
+  return jwt.sign(payload, signingKey.privateKey, {
+    algorithm: signingKey.alg,
+    keyid: signingKey.kid,
+    issuer: getIssuer(),
+    expiresIn
+  });
+};
+
+// Verify an access token and return its claims (throws if invalid or expired)
+// Tokens with a kid are checked against that key only; tokens without one are
+// legacy HS256 tokens, accepted while JWT_SECRET is set so switching to
+// asymmetric keys doesn't log everyone out (JWT_ACCEPT_LEGACY=false turns this off
+// once they have expired)
+export const verifyAccessToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed token');
+  }
+
+  const { kid } = decoded.header;
+  if (kid) {
+    const key = getVerificationKey(kid);
+    if (!key) {
+      throw new Error('Unknown signing key');
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: [key.alg], issuer: getIssuer() });
+  }
+
+  const legacyAllowed = !getSigningKey() || process.env.JWT_ACCEPT_LEGACY !== 'false';
+  if (!process.env.JWT_SECRET || !legacyAllowed) {
+    throw new Error('Token has no key ID');
+  }
+  return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+};
+
+// Generate Refresh Token (long-lived: 30 days)
+// Pass the token being rotated to stay in the same session; a new login starts a new one
+export const generateRefreshToken = async (userId, req, previousToken = null, options = {}) => {
+  // Create random token
+  const token = crypto.randomBytes(40).toString('hex');
+
+  // Save to database
+  const refreshToken = await RefreshToken.create({
+    token,
+    userId,
+    family: previousToken?.family || crypto.randomUUID(),
+    sessionStartedAt: previousToken?.sessionStartedAt || previousToken?.createdAt || new Date(),
+    mfaVerified: options.mfaVerified ?? previousToken?.mfaVerified ?? false,
+    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days
+    createdByIp: req.ip || req.connection.remoteAddress,
+    userAgent: req.get('user-agent')
+  });
+
+  return refreshToken;
+};
+
+// Issue an access/refresh token pair for a new or rotated session
+// options.mfaVerified marks a new session as having passed two-factor authentication
+export const issueTokens = async (userId, req, previousToken = null, options = {}) => {
+  const refreshToken = await generateRefreshToken(userId, req, previousToken, options);
+  const accessToken = generateAccessToken(userId, refreshToken.family, refreshToken.mfaVerified);
+
+  return { accessToken, refreshToken: refreshToken.token };
+};
+
+export default {
+  generateAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  issueTokens
+};
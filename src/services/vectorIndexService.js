@@ -0,0 +1,725 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mongoose from 'mongoose';
+import CourseMaterial from '../models/CourseMaterial.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+import { HnswIndex } from '../utils/hnswIndex.js';
+import { Bm25Index } from '../utils/bm25Index.js';
+import { LEGACY_EMBEDDING_MODEL, LEGACY_EMBEDDING_PROVIDER } from './embeddingService.js';
+
+// Search indexes of each user's own ready materials: approximate nearest-neighbour
+// (HNSW) graphs, one per embedding provider/model since only vectors from the same
+// model can be compared, and a BM25 keyword index of the chunk text.
+// Indexes live in memory and are saved to VECTOR_INDEX_DIR.
+//
+// MongoDB stays the source of truth: before a search the index is compared with the
+// user's chunks and materials (counts and last update), and only what changed is
+// added or removed. That covers materials processed by another worker process,
+// deletions, chunk edits and re-embedding. A search that can't use an up-to-date index
+// in time returns null and the caller falls back to scanning the chunks.
+//
+// Materials searched by users other than their owner (shared with them or in their
+// course library) get the same indexes per material, kept in memory only and rebuilt
+// when their chunks change, so popular materials aren't scanned on every search.
+//
+// Environment (read when used):
+// - VECTOR_INDEX: set to "off" to always scan chunks (vectors and text)
+// - VECTOR_INDEX_DIR: where indexes are saved (default: .vector-index)
+// - VECTOR_INDEX_EF_SEARCH: candidates explored per search (default: 100)
+// - VECTOR_INDEX_MAX_USERS: indexes kept in memory (default: 100)
+// - VECTOR_INDEX_MAX_MATERIALS: material indexes kept in memory (default: 200)
+// - VECTOR_INDEX_RECALL_SAMPLE: share of searches also run exactly to measure recall (default: 0.05)
+
+const SYNC_WAIT_MS = 2000;
+const SAVE_DELAY_MS = 10 * 1000;
+const INSERT_BATCH = 200;
+const MAX_DELETED_RATIO = 0.25;
+const LATENCY_SAMPLES = 1000;
+const FILE_VERSION = 2;
+
+const indexes = new Map(); // userId -> entry (least recently used first)
+const materialIndexes = new Map(); // materialId -> entry (least recently used first)
+let materialBuilds = Promise.resolve(); // Material indexes are built one at a time
+
+const stats = {
+  searches: 0,
+  fallbacks: 0,
+  latenciesMs: [],
+  recallSamples: 0,
+  recallTotal: 0,
+  recallMin: null,
+  syncs: 0,
+  syncMsTotal: 0,
+  rebuilds: 0
+};
+
+/**
+ * Check if searches use the ANN index
+ * @returns {boolean}
+ */
+export function isVectorIndexEnabled() {
+  return process.env.VECTOR_INDEX !== 'off';
+}
+
+/**
+ * Search a user's own ready materials with their ANN index
+ * @param {string} userId
+ * @param {function(string, string): Promise<number[]|null>} getQueryEmbedding - Query vector per provider/model
+ * @param {number} limit
+ * @param {number} minSimilarity
+ * @returns {Promise<Array<{chunkId: string, similarity: number}>|null>} - Most similar first, or null
+ *          if the index is disabled or not up to date (scan the chunks instead)
+ */
+export async function searchUserIndex(userId, getQueryEmbedding, limit, minSimilarity) {
+  if (!isVectorIndexEnabled()) {
+    return null;
+  }
+
+  const entry = getEntry(userId.toString());
+  if (!await waitForSync(entry)) {
+    stats.fallbacks++;
+    return null;
+  }
+
+  const { results, searchMs } = await searchModels(entry.models, getQueryEmbedding, limit, minSimilarity);
+
+  stats.searches++;
+  stats.latenciesMs.push(searchMs);
+  if (stats.latenciesMs.length > LATENCY_SAMPLES) stats.latenciesMs.shift();
+
+  return results;
+}
+
+/**
+ * Search materials of other users (shared with the user or in their course library)
+ * with their per-material ANN indexes
+ * @param {Array<Object>} materials - Ready materials ({ _id })
+ * @param {function(string, string): Promise<number[]|null>} getQueryEmbedding - Query vector per provider/model
+ * @param {number} limit
+ * @param {number} minSimilarity
+ * @returns {Promise<{results: Array<{chunkId: string, similarity: number}>, indexedIds: Set<string>}>}
+ *          Most similar first; materials missing from indexedIds weren't indexed in time (scan their chunks instead)
+ */
+export async function searchMaterialIndexes(materials, getQueryEmbedding, limit, minSimilarity) {
+  const entries = await syncMaterialEntries(materials);
+
+  const results = [];
+  for (const entry of entries) {
+    results.push(...(await searchModels(entry.models, getQueryEmbedding, limit, minSimilarity)).results);
+  }
+
+  return {
+    results: results.sort((a, b) => b.similarity - a.similarity).slice(0, limit),
+    indexedIds: new Set(entries.map(entry => entry.materialId))
+  };
+}
+
+/**
+ * Get a user's up-to-date BM25 index of their own ready chunks
+ * @param {string} userId
+ * @returns {Promise<Bm25Index|null>} - Documents are chunk ids with meta { material }, or null
+ *          if the index is disabled or not up to date (scan the chunks instead)
+ */
+export async function getUserLexicalIndex(userId) {
+  if (!isVectorIndexEnabled()) {
+    return null;
+  }
+
+  const entry = getEntry(userId.toString());
+  return await waitForSync(entry) ? entry.lexical : null;
+}
+
+/**
+ * Get up-to-date BM25 indexes of materials of other users
+ * @param {Array<Object>} materials - Ready materials ({ _id })
+ * @returns {Promise<Map<string, Bm25Index>>} - By material id; materials missing from it
+ *          weren't indexed in time (scan their chunks instead)
+ */
+export async function getMaterialLexicalIndexes(materials) {
+  const entries = await syncMaterialEntries(materials);
+  return new Map(entries.map(entry => [entry.materialId, entry.lexical]));
+}
+
+/**
+ * Drop a user's index, or all indexes, from memory and disk (they are rebuilt on the next search)
+ * @param {string} userId - Optional
+ */
+export async function dropVectorIndexes(userId) {
+  const userIds = userId ? [userId.toString()] : [...indexes.keys()];
+  for (const id of userIds) {
+    clearTimeout(indexes.get(id)?.saveTimer);
+    indexes.delete(id);
+  }
+  if (!userId) {
+    materialIndexes.clear();
+  }
+
+  if (userId) {
+    await fs.rm(indexFile(userId.toString()), { force: true });
+  } else {
+    await fs.rm(indexDir(), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Index size, latency and recall statistics
+ * @returns {Object}
+ */
+export function getVectorIndexStats() {
+  let nodes = 0;
+  let deletedNodes = 0;
+  let memoryBytes = 0;
+  let lexicalDocuments = 0;
+  let lexicalTerms = 0;
+  for (const entry of [...indexes.values(), ...materialIndexes.values()]) {
+    lexicalDocuments += entry.lexical.size;
+    lexicalTerms += entry.lexical.postings.size;
+    for (const { index } of entry.models.values()) {
+      nodes += index.size;
+      deletedNodes += index.deletedCount;
+      memoryBytes += index.memoryUsage();
+    }
+  }
+
+  const latencies = [...stats.latenciesMs].sort((a, b) => a - b);
+  const percentile = (p) => latencies.length
+    ? Number(latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * p))].toFixed(3))
+    : null;
+
+  return {
+    enabled: isVectorIndexEnabled(),
+    loadedIndexes: indexes.size,
+    loadedMaterialIndexes: materialIndexes.size,
+    nodes,
+    deletedNodes,
+    memoryMB: Number((memoryBytes / 1024 / 1024).toFixed(1)),
+    // BM25 keyword indexes of the same chunks
+    lexical: {
+      documents: lexicalDocuments,
+      terms: lexicalTerms
+    },
+    searches: stats.searches,
+    // Searches that scanned chunks because the index wasn't ready in time
+    fallbacks: stats.fallbacks,
+    latencyMs: {
+      samples: latencies.length,
+      p50: percentile(0.5),
+      p95: percentile(0.95),
+      p99: percentile(0.99),
+      max: latencies.length ? Number(latencies[latencies.length - 1].toFixed(3)) : null
+    },
+    // Share of the exact top results the index found, on sampled searches
+    recall: {
+      samples: stats.recallSamples,
+      mean: stats.recallSamples ? Number((stats.recallTotal / stats.recallSamples).toFixed(4)) : null,
+      min: stats.recallMin
+    },
+    syncs: {
+      count: stats.syncs,
+      averageMs: stats.syncs ? Math.round(stats.syncMsTotal / stats.syncs) : null
+    },
+    rebuilds: stats.rebuilds,
+    config: {
+      efSearch: parseInt(process.env.VECTOR_INDEX_EF_SEARCH) || 100,
+      maxUsers: parseInt(process.env.VECTOR_INDEX_MAX_USERS) || 100,
+      maxMaterials: parseInt(process.env.VECTOR_INDEX_MAX_MATERIALS) || 200,
+      recallSample: process.env.VECTOR_INDEX_RECALL_SAMPLE !== undefined
+        ? Number(process.env.VECTOR_INDEX_RECALL_SAMPLE)
+        : 0.05,
+      directory: indexDir()
+    }
+  };
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+const indexDir = () => process.env.VECTOR_INDEX_DIR || '.vector-index';
+const indexFile = (userId) => path.join(indexDir(), `${userId}.hnsw`);
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Get (or create) the in-memory entry of a user, evicting the least recently used
+ * @param {string} userId
+ * @returns {Object}
+ */
+function getEntry(userId) {
+  let entry = indexes.get(userId);
+
+  if (entry) {
+    indexes.delete(userId);
+  } else {
+    entry = {
+      userId,
+      models: new Map(), // 'provider/model' -> { provider, model, index }
+      lexical: new Bm25Index(),
+      signature: null,
+      loaded: false,
+      syncing: null,
+      saveTimer: null
+    };
+  }
+  indexes.set(userId, entry);
+
+  const maxUsers = parseInt(process.env.VECTOR_INDEX_MAX_USERS) || 100;
+  while (indexes.size > maxUsers) {
+    const [oldestId, oldest] = indexes.entries().next().value;
+    indexes.delete(oldestId);
+    // Save straight away instead of waiting for the timer
+    if (oldest.saveTimer) {
+      clearTimeout(oldest.saveTimer);
+      saveEntry(oldest);
+    }
+  }
+
+  return entry;
+}
+
+/**
+ * Bring an index up to date, waiting at most SYNC_WAIT_MS
+ * @param {Object} entry
+ * @returns {Promise<boolean>} - Whether the index is up to date
+ */
+async function waitForSync(entry) {
+  if (!entry.syncing) {
+    entry.syncing = syncEntry(entry)
+      .catch(error => {
+        console.error(`Vector index sync for user ${entry.userId} failed:`, error.message);
+        return false;
+      })
+      .finally(() => {
+        entry.syncing = null;
+      });
+  }
+
+  return waitAtMost(entry.syncing, SYNC_WAIT_MS);
+}
+
+/**
+ * Wait for a promise, resolving false after a timeout
+ * @param {Promise<boolean>} promise
+ * @param {number} ms
+ * @returns {Promise<boolean>}
+ */
+async function waitAtMost(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Search the ANN indexes of each model with the query vector of that model
+ * @param {Map} models - 'provider/model' -> { provider, model, index }
+ * @param {function(string, string): Promise<number[]|null>} getQueryEmbedding
+ * @param {number} limit
+ * @param {number} minSimilarity
+ * @returns {Promise<{results: Array<{chunkId: string, similarity: number}>, searchMs: number}>}
+ */
+async function searchModels(models, getQueryEmbedding, limit, minSimilarity) {
+  const efSearch = parseInt(process.env.VECTOR_INDEX_EF_SEARCH) || 100;
+  const recallSample = process.env.VECTOR_INDEX_RECALL_SAMPLE !== undefined
+    ? Number(process.env.VECTOR_INDEX_RECALL_SAMPLE)
+    : 0.05;
+
+  const results = [];
+  let searchMs = 0;
+
+  for (const { provider, model, index } of models.values()) {
+    const queryEmbedding = await getQueryEmbedding(provider, model);
+    if (!queryEmbedding || queryEmbedding.length !== index.dimensions) continue;
+
+    const started = performance.now();
+    const hits = index.search(queryEmbedding, limit, efSearch);
+    searchMs += performance.now() - started;
+
+    if (Math.random() < recallSample) {
+      recordRecall(hits, index.exactSearch(queryEmbedding, limit));
+    }
+
+    for (const hit of hits) {
+      if (hit.similarity >= minSimilarity) {
+        results.push({ chunkId: hit.id, similarity: hit.similarity });
+      }
+    }
+  }
+
+  return {
+    results: results.sort((a, b) => b.similarity - a.similarity).slice(0, limit),
+    searchMs
+  };
+}
+
+/**
+ * Cheap summary of a user's searchable data; it changes whenever a chunk or a ready
+ * material is added, removed or updated
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+async function computeSignature(userId) {
+  const [materials, lastMaterial, chunks, lastChunk] = await Promise.all([
+    CourseMaterial.countDocuments({ user: userId, status: 'ready' }),
+    CourseMaterial.findOne({ user: userId, status: 'ready' }).select('updatedAt').sort({ updatedAt: -1 }).lean(),
+    MaterialChunk.countDocuments({ user: userId }),
+    MaterialChunk.findOne({ user: userId }).select('updatedAt').sort({ updatedAt: -1 }).lean()
+  ]);
+
+  return [materials, lastMaterial?.updatedAt?.getTime(), chunks, lastChunk?.updatedAt?.getTime()].join(':');
+}
+
+/**
+ * Apply the changes since the index was last synced
+ * @param {Object} entry
+ * @returns {Promise<boolean>} - true once the index matches MongoDB
+ */
+async function syncEntry(entry) {
+  if (!entry.loaded) {
+    await loadEntry(entry);
+    entry.loaded = true;
+  }
+
+  // Taken before reading chunks, so changes made meanwhile trigger another sync
+  const signature = await computeSignature(entry.userId);
+  if (signature === entry.signature) {
+    return true;
+  }
+
+  const started = Date.now();
+  const readyIds = await CourseMaterial.find({ user: entry.userId, status: 'ready' }).distinct('_id');
+
+  // Find new and updated chunks without loading any vectors
+  const seen = new Map();
+  const toAdd = [];
+  const cursor = MaterialChunk.find({ user: entry.userId, material: { $in: readyIds } })
+    .select('_id material updatedAt embeddingProvider embeddingModel')
+    .lean()
+    .cursor({ batchSize: 1000 });
+
+  for await (const chunk of cursor) {
+    const provider = chunk.embeddingProvider || LEGACY_EMBEDDING_PROVIDER;
+    const model = chunk.embeddingModel || LEGACY_EMBEDDING_MODEL;
+    const key = `${provider}/${model}`;
+    const id = chunk._id.toString();
+    const updatedAt = chunk.updatedAt.getTime();
+
+    if (!seen.has(key)) seen.set(key, new Set());
+    seen.get(key).add(id);
+
+    if (entry.lexical.getMeta(id)?.updatedAt !== updatedAt) {
+      toAdd.push({ id, key, provider, model, material: chunk.material.toString(), updatedAt });
+    }
+  }
+
+  // Remove chunks that were deleted, re-embedded with another model or whose material isn't ready
+  for (const [key, graph] of entry.models) {
+    const kept = seen.get(key) || new Set();
+    for (const { id } of [...graph.index.entries()]) {
+      if (!kept.has(id)) graph.index.remove(id);
+    }
+    if (graph.index.size === 0) entry.models.delete(key);
+  }
+  const alive = new Set([...seen.values()].flatMap(ids => [...ids]));
+  for (const id of [...entry.lexical.ids()]) {
+    if (!alive.has(id)) entry.lexical.remove(id);
+  }
+
+  for (let i = 0; i < toAdd.length; i += INSERT_BATCH) {
+    const batch = toAdd.slice(i, i + INSERT_BATCH);
+    const loaded = await MaterialChunk.find({ _id: { $in: batch.map(chunk => chunk.id) } })
+      .select('embedding content')
+      .lean();
+    const loadedById = new Map(loaded.map(chunk => [chunk._id.toString(), chunk]));
+
+    for (const chunk of batch) {
+      const { embedding: vector, content } = loadedById.get(chunk.id) || {};
+      if (!vector || vector.length === 0) continue; // Deleted meanwhile
+
+      entry.lexical.add(chunk.id, content, { material: chunk.material, updatedAt: chunk.updatedAt });
+
+      if (!entry.models.has(chunk.key)) {
+        entry.models.set(chunk.key, {
+          provider: chunk.provider,
+          model: chunk.model,
+          index: new HnswIndex({ dimensions: vector.length })
+        });
+      }
+
+      const { index } = entry.models.get(chunk.key);
+      if (vector.length === index.dimensions) {
+        index.add(chunk.id, vector, { material: chunk.material });
+      }
+    }
+
+    // Building is CPU-bound; let requests through between batches
+    await yieldToEventLoop();
+  }
+
+  for (const graph of entry.models.values()) {
+    if (graph.index.deletedCount > graph.index.size * MAX_DELETED_RATIO) {
+      graph.index = await rebuildIndex(graph.index);
+    }
+  }
+
+  entry.signature = signature;
+  stats.syncs++;
+  stats.syncMsTotal += Date.now() - started;
+  scheduleSave(entry);
+  return true;
+}
+
+/**
+ * Get (or create) the in-memory index of a material, evicting the least recently used
+ * @param {string} materialId
+ * @returns {Object}
+ */
+function getMaterialEntry(materialId) {
+  let entry = materialIndexes.get(materialId);
+
+  if (entry) {
+    materialIndexes.delete(materialId);
+  } else {
+    entry = {
+      materialId,
+      models: new Map(), // 'provider/model' -> { provider, model, index }
+      lexical: new Bm25Index(),
+      signature: null,
+      building: null
+    };
+  }
+  materialIndexes.set(materialId, entry);
+
+  const maxMaterials = parseInt(process.env.VECTOR_INDEX_MAX_MATERIALS) || 200;
+  while (materialIndexes.size > maxMaterials) {
+    materialIndexes.delete(materialIndexes.keys().next().value);
+  }
+
+  return entry;
+}
+
+/**
+ * Bring the indexes of some materials up to date, waiting at most SYNC_WAIT_MS
+ * @param {Array<Object>} materials - Ready materials ({ _id })
+ * @returns {Promise<Array<Object>>} - Entries of the materials whose index is up to date
+ */
+async function syncMaterialEntries(materials) {
+  if (!isVectorIndexEnabled() || materials.length === 0) {
+    return [];
+  }
+
+  // Taken before reading chunks, so changes made meanwhile trigger another build
+  const signatures = await computeMaterialSignatures(materials.map(material => material._id));
+  const entries = materials.map(material => getMaterialEntry(material._id.toString()));
+  const isCurrent = (entry) => entry.signature === signatures.get(entry.materialId);
+
+  const stale = entries.filter(entry => !isCurrent(entry));
+  for (const entry of stale) {
+    if (entry.building) continue;
+
+    const signature = signatures.get(entry.materialId);
+    entry.building = materialBuilds = materialBuilds
+      .then(() => buildMaterialEntry(entry, signature))
+      .catch(error => {
+        console.error(`Vector index build for material ${entry.materialId} failed:`, error.message);
+      })
+      .finally(() => {
+        entry.building = null;
+      });
+  }
+
+  if (stale.length > 0) {
+    await waitAtMost(Promise.all(stale.map(entry => entry.building)).then(() => true), SYNC_WAIT_MS);
+  }
+
+  return entries.filter(isCurrent);
+}
+
+/**
+ * Summaries of the chunks of some materials (count and last update), one query for all
+ * @param {Array} materialIds
+ * @returns {Promise<Map<string, string>>} - By material id
+ */
+async function computeMaterialSignatures(materialIds) {
+  const groups = await MaterialChunk.aggregate([
+    { $match: { material: { $in: materialIds.map(id => new mongoose.Types.ObjectId(id.toString())) } } },
+    { $group: { _id: '$material', chunks: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } }
+  ]);
+  const byId = new Map(groups.map(group => [group._id.toString(), `${group.chunks}:${group.updatedAt?.getTime()}`]));
+
+  return new Map(materialIds.map(id => [id.toString(), byId.get(id.toString()) || '0']));
+}
+
+/**
+ * Build the indexes of a material from scratch (materials change rarely once processed)
+ * @param {Object} entry
+ * @param {string} signature - Of the chunks about to be read
+ */
+async function buildMaterialEntry(entry, signature) {
+  if (entry.signature === signature) {
+    return; // Built by an earlier search while this one was queued
+  }
+
+  const models = new Map();
+  const lexical = new Bm25Index();
+
+  const cursor = MaterialChunk.find({ material: entry.materialId })
+    .select('_id content embedding embeddingProvider embeddingModel')
+    .lean()
+    .cursor({ batchSize: INSERT_BATCH });
+
+  let added = 0;
+  for await (const chunk of cursor) {
+    const id = chunk._id.toString();
+    lexical.add(id, chunk.content, { material: entry.materialId });
+
+    const vector = chunk.embedding;
+    if (vector?.length > 0) {
+      const provider = chunk.embeddingProvider || LEGACY_EMBEDDING_PROVIDER;
+      const model = chunk.embeddingModel || LEGACY_EMBEDDING_MODEL;
+      const key = `${provider}/${model}`;
+
+      if (!models.has(key)) {
+        models.set(key, { provider, model, index: new HnswIndex({ dimensions: vector.length }) });
+      }
+      const { index } = models.get(key);
+      if (vector.length === index.dimensions) {
+        index.add(id, vector, { material: entry.materialId });
+      }
+    }
+
+    if (++added % INSERT_BATCH === 0) await yieldToEventLoop();
+  }
+
+  entry.models = models;
+  entry.lexical = lexical;
+  entry.signature = signature;
+}
+
+/**
+ * Rebuild an index without its deleted nodes
+ * @param {HnswIndex} index
+ * @returns {Promise<HnswIndex>}
+ */
+async function rebuildIndex(index) {
+  const rebuilt = new HnswIndex({ dimensions: index.dimensions, M: index.M, efConstruction: index.efConstruction });
+
+  let added = 0;
+  for (const { id, vector, meta } of [...index.entries()]) {
+    rebuilt.add(id, vector, meta);
+    if (++added % INSERT_BATCH === 0) await yieldToEventLoop();
+  }
+
+  stats.rebuilds++;
+  return rebuilt;
+}
+
+/**
+ * Record how many of the exact top results the index found
+ * @param {Array<{id: string}>} approximate
+ * @param {Array<{id: string}>} exact
+ */
+function recordRecall(approximate, exact) {
+  if (exact.length === 0) return;
+
+  const found = new Set(approximate.map(hit => hit.id));
+  const recall = exact.filter(hit => found.has(hit.id)).length / exact.length;
+
+  stats.recallSamples++;
+  stats.recallTotal += recall;
+  stats.recallMin = stats.recallMin === null ? recall : Math.min(stats.recallMin, recall);
+}
+
+function scheduleSave(entry) {
+  if (entry.saveTimer) return;
+
+  entry.saveTimer = setTimeout(() => {
+    entry.saveTimer = null;
+    saveEntry(entry);
+  }, SAVE_DELAY_MS);
+  entry.saveTimer.unref();
+}
+
+/**
+ * Save a user's indexes: a JSON header followed by each serialized graph and the BM25 index
+ * @param {Object} entry
+ */
+async function saveEntry(entry) {
+  try {
+    const graphs = [...entry.models.values()].map(({ provider, model, index }) => ({
+      provider,
+      model,
+      data: index.serialize()
+    }));
+
+    const lexical = entry.lexical.serialize();
+
+    const header = Buffer.from(JSON.stringify({
+      version: FILE_VERSION,
+      signature: entry.signature,
+      models: graphs.map(({ provider, model, data }) => ({ provider, model, length: data.length })),
+      lexicalLength: lexical.length
+    }));
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length);
+
+    // Write to a temporary file first so a crash never leaves a half-written index
+    const file = indexFile(entry.userId);
+    await fs.mkdir(indexDir(), { recursive: true });
+    await fs.writeFile(`${file}.tmp`, Buffer.concat([length, header, ...graphs.map(graph => graph.data), lexical]));
+    await fs.rename(`${file}.tmp`, file);
+  } catch (error) {
+    console.error(`Saving vector index for user ${entry.userId} failed:`, error.message);
+  }
+}
+
+/**
+ * Load a user's saved indexes, if any (an unreadable file is ignored and rebuilt)
+ * @param {Object} entry
+ */
+async function loadEntry(entry) {
+  let buffer;
+  try {
+    buffer = await fs.readFile(indexFile(entry.userId));
+  } catch (error) {
+    return; // Not saved yet
+  }
+
+  try {
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString());
+    if (header.version !== FILE_VERSION) {
+      throw new Error(`unsupported version ${header.version}`);
+    }
+
+    let offset = 4 + headerLength;
+    for (const { provider, model, length } of header.models) {
+      entry.models.set(`${provider}/${model}`, {
+        provider,
+        model,
+        index: HnswIndex.deserialize(buffer.subarray(offset, offset + length))
+      });
+      offset += length;
+    }
+    entry.lexical = Bm25Index.deserialize(buffer.subarray(offset, offset + header.lexicalLength));
+    entry.signature = header.signature;
+  } catch (error) {
+    console.error(`Saved vector index for user ${entry.userId} is unreadable, rebuilding:`, error.message);
+    entry.models.clear();
+    entry.lexical = new Bm25Index();
+    entry.signature = null;
+  }
+}
+
+export default {
+  isVectorIndexEnabled,
+  searchUserIndex,
+  searchMaterialIndexes,
+  getUserLexicalIndex,
+  getMaterialLexicalIndexes,
+  dropVectorIndexes,
+  getVectorIndexStats
+};
@@ -0,0 +1,380 @@
+import mongoose from 'mongoose';
+import MaterialChunk from '../models/MaterialChunk.js';
+import ReembeddingJob from '../models/ReembeddingJob.js';
+import {
+  cosineSimilarity,
+  getActiveEmbeddingModel,
+  getActiveEmbeddingProvider,
+  LEGACY_EMBEDDING_MODEL,
+  LEGACY_EMBEDDING_PROVIDER
+} from './embeddingService.js';
+import { searchMaterialIndexes, searchUserIndex } from './vectorIndexService.js';
+
+// Vector search backends
+// A backend scores the chunks of a set of materials against a query:
+//   { name, search(request) -> Promise<Array<{chunkId, similarity}>> } (most similar first)
+// where request is { userId, materials, getQueryEmbedding, limit, minSimilarity, coversOwnMaterials }:
+// materials are the ready materials that may be searched (already narrowed by owner, sharing,
+// materialIds and subject) and coversOwnMaterials says they include all of the user's own.
+//
+// - atlas: MongoDB Atlas $vectorSearch, run on the server with the materials as pre-filter.
+//   Needs a vector search index on materialchunks (npm run vector-index:atlas). The index
+//   holds one vector size: chunks of models with another size are searched with local.
+// - local: in this process, with the HNSW indexes of the user and of the other materials
+//   (see vectorIndexService), streaming the vectors of chunks not indexed yet. Works with any MongoDB.
+//
+// VECTOR_SEARCH_BACKEND picks one (read when used):
+// - auto (default): atlas when the vector search index exists and is queryable, else local
+// - atlas: always try atlas first
+// - local: never use atlas
+// A failed Atlas search is always retried with local, so search keeps working.
+
+// How long the result of checking for the Atlas index is trusted
+const ATLAS_CHECK_TTL_MS = 5 * 60 * 1000;
+// Atlas compares this many candidates per requested result (more = better recall, slower)
+const ATLAS_CANDIDATES_PER_RESULT = 20;
+const ATLAS_MAX_CANDIDATES = 10000;
+
+// Error codes of servers without Atlas Search ($vectorSearch or $listSearchIndexes not available)
+const UNSUPPORTED_CODES = new Set([40324, 31082, 115]);
+
+const atlasStatus = {
+  available: null,
+  checkedAt: 0,
+  // Vector size of the index (null until known)
+  dimensions: null,
+  // Models of unfinished re-embedding jobs: chunks can be on them before their material is
+  models: [],
+  checking: null,
+  lastError: null,
+  searches: 0,
+  fallbacks: 0
+};
+
+// ==================== ATLAS ====================
+
+const atlas = {
+  name: 'atlas',
+
+  // request.models: models to search, with their query vector (see splitModels)
+  async search({ userId, materials, models, limit, minSimilarity }) {
+    const results = [];
+    const ownOnly = userId && materials.every(material => material.user?.toString() === userId.toString());
+
+    // Chunks are only compared with a query vector from their own model
+    for (const { provider, model, queryEmbedding } of models) {
+      const filter = { material: { $in: materials.map(material => material._id) } };
+      if (ownOnly) {
+        filter.user = new mongoose.Types.ObjectId(userId.toString());
+      }
+      if (provider !== LEGACY_EMBEDDING_PROVIDER || model !== LEGACY_EMBEDDING_MODEL) {
+        filter.embeddingProvider = provider;
+        filter.embeddingModel = model;
+      } else {
+        // Legacy chunks have no model recorded: rule out the other models instead
+        const others = models
+          .filter(other => other.model !== LEGACY_EMBEDDING_MODEL)
+          .map(other => other.model);
+        if (others.length > 0) filter.embeddingModel = { $nin: others };
+      }
+
+      const hits = await MaterialChunk.aggregate([
+        {
+          $vectorSearch: {
+            index: atlasIndexName(),
+            path: 'embedding',
+            queryVector: queryEmbedding,
+            numCandidates: Math.min(Math.max(limit * ATLAS_CANDIDATES_PER_RESULT, 100), ATLAS_MAX_CANDIDATES),
+            limit,
+            filter
+          }
+        },
+        { $project: { _id: 1, score: { $meta: 'vectorSearchScore' } } }
+      ]);
+
+      for (const hit of hits) {
+        // Atlas scores cosine similarity as (1 + cosine) / 2
+        const similarity = hit.score * 2 - 1;
+        if (similarity >= minSimilarity) {
+          results.push({ chunkId: hit._id, similarity });
+        }
+      }
+    }
+
+    return results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+};
+
+// ==================== LOCAL ====================
+
+const local = {
+  name: 'local',
+
+  async search({ userId, materials, getQueryEmbedding, limit, minSimilarity, coversOwnMaterials }) {
+    const isOwn = (material) => material.user.toString() === userId.toString();
+
+    // The ANN index holds all of the user's own ready materials, so it can't narrow them down
+    const indexed = coversOwnMaterials
+      ? await searchUserIndex(userId, getQueryEmbedding, limit, minSimilarity)
+      : null;
+    // Other users' materials have an index each
+    const shared = await searchMaterialIndexes(
+      materials.filter(material => !isOwn(material)),
+      getQueryEmbedding,
+      limit,
+      minSimilarity
+    );
+
+    const streamed = materials.filter(material => isOwn(material)
+      ? !indexed
+      : !shared.indexedIds.has(material._id.toString()));
+
+    const results = streamed.length > 0
+      ? await scoreChunks(
+        { material: { $in: streamed.map(material => material._id) } },
+        getQueryEmbedding,
+        limit,
+        minSimilarity
+      )
+      : [];
+
+    return [...results, ...(indexed || []), ...shared.results]
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+};
+
+/**
+ * Stream the vectors of chunks matching a filter and keep the most similar ones
+ *
+ * @param {Object} filter - MaterialChunk filter
+ * @param {function(string, string): Promise<number[]|null>} getQueryEmbedding - Query vector per provider/model
+ * @param {number} limit
+ * @param {number} minSimilarity
+ * @returns {Promise<Array<{chunkId: string, similarity: number}>>} - Most similar first
+ */
+async function scoreChunks(filter, getQueryEmbedding, limit, minSimilarity) {
+  const top = [];
+
+  const cursor = MaterialChunk.find(filter)
+    .select('_id embedding embeddingProvider embeddingModel')
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  for await (const chunk of cursor) {
+    const queryEmbedding = await getQueryEmbedding(chunk.embeddingProvider, chunk.embeddingModel);
+
+    // Vectors of a different size can't be compared
+    if (!queryEmbedding || chunk.embedding.length !== queryEmbedding.length) continue;
+
+    const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
+    if (similarity < minSimilarity) continue;
+    if (top.length === limit && similarity <= top[top.length - 1].similarity) continue;
+
+    // Insert in order, dropping the weakest result once the list is full
+    let index = top.length;
+    while (index > 0 && top[index - 1].similarity < similarity) index--;
+    top.splice(index, 0, { chunkId: chunk._id, similarity });
+    if (top.length > limit) top.pop();
+  }
+
+  return top;
+}
+
+// ==================== SELECTION ====================
+
+export const VECTOR_SEARCH_BACKENDS = { atlas, local };
+
+/**
+ * Score chunks with the configured backend, falling back to local if Atlas fails
+ * @param {Object} request - See the top of this file
+ * @returns {Promise<{backend: string, results: Array<{chunkId: string, similarity: number}>}>}
+ */
+export async function searchVectors(request) {
+  if (request.materials.length === 0) {
+    return { backend: 'none', results: [] };
+  }
+
+  if (await shouldUseAtlas()) {
+    let split;
+    let results;
+    try {
+      split = await splitModels(request.materials, request.getQueryEmbedding);
+      results = await atlas.search({ ...request, models: split.atlas });
+      atlasStatus.searches++;
+    } catch (error) {
+      atlasStatus.fallbacks++;
+      atlasStatus.lastError = error.message;
+      console.error('Atlas vector search failed, searching locally:', error.message);
+
+      // In auto mode, search locally until the next check
+      atlasStatus.available = false;
+      atlasStatus.checkedAt = Date.now();
+    }
+
+    if (results) {
+      if (!split.hasLocalModels) {
+        return { backend: 'atlas', results };
+      }
+
+      // Chunks of models with another vector size than the index
+      const atlasModels = new Set(split.atlas.map(({ provider, model }) => modelKey(provider, model)));
+      const localResults = await local.search({
+        ...request,
+        getQueryEmbedding: (provider, model) => atlasModels.has(modelKey(provider, model))
+          ? Promise.resolve(null)
+          : request.getQueryEmbedding(provider, model)
+      });
+
+      return {
+        backend: 'atlas+local',
+        results: [...results, ...localResults]
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, request.limit)
+      };
+    }
+  }
+
+  return { backend: 'local', results: await local.search(request) };
+}
+
+/**
+ * Which backend is configured and whether Atlas vector search is available
+ * @returns {Object}
+ */
+export function getVectorSearchBackendStatus() {
+  return {
+    configured: configuredBackend(),
+    atlas: {
+      index: atlasIndexName(),
+      available: atlasStatus.available,
+      dimensions: atlasStatus.dimensions,
+      checkedAt: atlasStatus.checkedAt ? new Date(atlasStatus.checkedAt) : null,
+      searches: atlasStatus.searches,
+      // Searches that failed on Atlas and were run locally instead
+      fallbacks: atlasStatus.fallbacks,
+      lastError: atlasStatus.lastError
+    }
+  };
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+const configuredBackend = () => {
+  const backend = process.env.VECTOR_SEARCH_BACKEND || 'auto';
+  return ['auto', 'atlas', 'local'].includes(backend) ? backend : 'auto';
+};
+
+const atlasIndexName = () => process.env.ATLAS_VECTOR_INDEX || 'chunk_embedding';
+
+const isUnsupportedError = (error) =>
+  UNSUPPORTED_CODES.has(error.code) || /\$vectorSearch|\$listSearchIndexes|Atlas/i.test(error.message);
+
+/**
+ * Decide whether to try Atlas for a search
+ * @returns {Promise<boolean>}
+ */
+async function shouldUseAtlas() {
+  const backend = configuredBackend();
+  if (backend === 'local') {
+    return false;
+  }
+
+  if (atlasStatus.available === null || Date.now() - atlasStatus.checkedAt >= ATLAS_CHECK_TTL_MS) {
+    // One check at a time; concurrent searches wait for it
+    atlasStatus.checking ||= checkAtlasIndex().finally(() => {
+      atlasStatus.checking = null;
+    });
+    await atlasStatus.checking;
+  }
+
+  // With atlas configured, the check only reads the index's vector size
+  return backend === 'atlas' || atlasStatus.available;
+}
+
+/**
+ * Check that the Atlas vector search index exists and can be queried
+ * Plain mongod (local development) rejects $listSearchIndexes, so Atlas is off there
+ * @returns {Promise<boolean>}
+ */
+async function checkAtlasIndex() {
+  try {
+    const indexes = await MaterialChunk.listSearchIndexes();
+    const index = indexes.find(candidate => candidate.name === atlasIndexName());
+
+    atlasStatus.available = Boolean(index && index.type === 'vectorSearch' && index.queryable);
+    atlasStatus.lastError = atlasStatus.available
+      ? null
+      : `Vector search index "${atlasIndexName()}" ${index ? 'is not queryable yet' : 'not found'}`;
+    atlasStatus.dimensions = (index?.latestDefinition?.fields || [])
+      .find(field => field.type === 'vector')?.numDimensions || null;
+
+    // Completed jobs left no chunks behind their material's model
+    const jobModels = await ReembeddingJob.aggregate([
+      { $match: { status: { $ne: 'completed' } } },
+      { $group: { _id: { provider: '$targetProvider', model: '$targetModel' } } }
+    ]);
+    atlasStatus.models = jobModels.map(({ _id }) => _id);
+  } catch (error) {
+    atlasStatus.available = false;
+    atlasStatus.lastError = isUnsupportedError(error)
+      ? 'The database does not support Atlas vector search'
+      : error.message;
+  }
+
+  atlasStatus.checkedAt = Date.now();
+  return atlasStatus.available;
+}
+
+const modelKey = (provider, model) =>
+  `${provider || LEGACY_EMBEDDING_PROVIDER}/${model || LEGACY_EMBEDDING_MODEL}`;
+
+/**
+ * Find the models the chunks of some materials can be on, and which of them Atlas can search
+ * A chunk is on its material's model, or on a newer one while the material is being
+ * re-embedded (a re-embedding job's model) or after it was edited (the active model).
+ *
+ * @param {Array<Object>} materials
+ * @param {function(string, string): Promise<number[]|null>} getQueryEmbedding
+ * @returns {Promise<{atlas: Array<{provider: string, model: string, queryEmbedding: number[]}>, hasLocalModels: boolean}>}
+ *          atlas: models whose query vector fits the index; hasLocalModels: whether chunks
+ *          can be on other models (searched with local)
+ */
+async function splitModels(materials, getQueryEmbedding) {
+  const models = new Map();
+  const addModel = (provider, model) => {
+    models.set(modelKey(provider, model), {
+      provider: provider || LEGACY_EMBEDDING_PROVIDER,
+      model: model || LEGACY_EMBEDDING_MODEL
+    });
+  };
+
+  for (const material of materials) {
+    addModel(material.embeddingProvider, material.embeddingModel);
+  }
+  addModel(getActiveEmbeddingProvider(), getActiveEmbeddingModel());
+  for (const { provider, model } of atlasStatus.models) {
+    addModel(provider, model);
+  }
+
+  const atlasModels = [];
+  let hasLocalModels = false;
+  for (const { provider, model } of models.values()) {
+    const queryEmbedding = await getQueryEmbedding(provider, model);
+    if (!queryEmbedding) continue;
+
+    if (atlasStatus.dimensions && queryEmbedding.length !== atlasStatus.dimensions) {
+      hasLocalModels = true;
+    } else {
+      atlasModels.push({ provider, model, queryEmbedding });
+    }
+  }
+
+  return { atlas: atlasModels, hasLocalModels };
+}
+
+export default {
+  VECTOR_SEARCH_BACKENDS,
+  searchVectors,
+  getVectorSearchBackendStatus
+};
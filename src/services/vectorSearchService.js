@@ -1,28 +1,77 @@
 import CourseMaterial from '../models/CourseMaterial.js';
-import { cosineSimilarity } from './embeddingService.js';
+import MaterialChunk from '../models/MaterialChunk.js';
+import {
+  cosineSimilarity,
+  generateEmbedding,
+  getActiveEmbeddingModel,
+  getActiveEmbeddingProvider,
+  LEGACY_EMBEDDING_MODEL,
+  LEGACY_EMBEDDING_PROVIDER
+} from './embeddingService.js';
+import { getSharedMaterialAccess, describeShares } from './materialShareService.js';
+import { searchVectors } from './vectorSearchBackends.js';
+import { searchLexical } from './lexicalSearchService.js';
+import { collapseDuplicates } from './duplicateChunkService.js';
+
+// Default weights of the vector and keyword (BM25) rankings in hybrid search
+export const DEFAULT_SEARCH_WEIGHTS = { vector: 1, lexical: 1 };
+
+// Reciprocal rank fusion constant: higher values flatten the advantage of top ranks
+const RRF_K = 60;
+// Each ranking fetches more candidates than results so fusion can reorder them
+const CANDIDATES_PER_RESULT = 4;
+// Results fetched per result returned when copies are collapsed, so removed copies can be replaced
+const RESULTS_PER_COLLAPSED_RESULT = 2;
 
 /**
- * Search for similar chunks using vector similarity
- * Uses MongoDB aggregation for efficient searching
+ * Search for relevant chunks with hybrid vector and keyword search
+ * Chunks of the user's ready materials are ranked by vector similarity with a search
+ * backend (Atlas $vectorSearch or in this process, see vectorSearchBackends) and by
+ * BM25 keyword score on options.queryText (see lexicalSearchService). The rankings are
+ * fused with reciprocal rank fusion: score = sum of weight / (60 + rank). Keyword
+ * matches find exact terms (formula names, course codes) that embeddings miss, even
+ * below minSimilarity, which only applies to the vector ranking.
+ *
+ * options.weights ({ vector, lexical }, default 1 and 1) tunes the rankings; a weight of
+ * 0 turns a ranking off, so { vector: 1, lexical: 0 } is plain vector search.
+ *
+ * Chunks can be embedded with different models (e.g. while a re-embedding job
+ * is migrating them). Vectors are only compared with a query vector from the same
+ * provider and model: pass options.queryText so the query can be embedded for other models,
+ * otherwise chunks on other models are skipped.
  *
- * @param {number[]} queryEmbedding - 768-dimensional embedding vector
+ * With options.includeShared, materials shared with the user (directly, by link or
+ * in a course library) are searched too; their results say who shared them
+ * (sharedVia, sharedBy, course).
+ *
+ * options.subject limits the search to materials of one subject.
+ *
+ * Copies of the same text (flagged duplicate chunks, or chunks with the same or nearly
+ * the same text, see duplicateChunkService) are shown once: the best one is kept, with
+ * the number of copies left out in duplicates. options.collapseDuplicates: false keeps them.
+ *
+ * @param {number[]} queryEmbedding - Query embedding from the active model
  * @param {string} userId - User ID to filter materials
  * @param {string[]} materialIds - Optional array of material IDs to search within
  * @param {number} limit - Number of top results to return (default: 5)
  * @param {number} minSimilarity - Minimum similarity threshold (default: 0.5)
- * @returns {Promise<Array>} - Array of similar chunks with similarity scores
+ * @param {Object} options - { queryText, includeShared, subject, weights, collapseDuplicates }
+ * @returns {Promise<Array>} - Chunks, best first, with their vector similarity, fused score,
+ *          rank in each ranking (vectorRank, lexicalRank; unset if not in that ranking) and
+ *          number of copies left out (duplicates)
  */
 export async function searchSimilarChunks(
   queryEmbedding,
   userId,
   materialIds = [],
   limit = 5,
-  minSimilarity = 0.5
+  minSimilarity = 0.5,
+  options = {}
 ) {
   try {
     // Validate inputs
-    if (!Array.isArray(queryEmbedding) || queryEmbedding.length !== 768) {
-      throw new Error('Invalid query embedding: must be 768-dimensional array');
+    if (!Array.isArray(queryEmbedding) || queryEmbedding.length === 0) {
+      throw new Error('Invalid query embedding: must be a non-empty array');
     }
 
     if (!userId) {
@@ -31,99 +80,89 @@ export async function searchSimilarChunks(
 
     // Build query filter
     const filter = {
-      user: userId,
       status: 'ready'
     };
 
+    const sharedAccess = options.includeShared ? await getSharedMaterialAccess(userId) : new Map();
+    if (sharedAccess.size > 0) {
+      filter.$or = [{ user: userId }, { _id: { $in: [...sharedAccess.keys()] } }];
+    } else {
+      filter.user = userId;
+    }
+
     if (materialIds && materialIds.length > 0) {
       filter._id = { $in: materialIds };
     }
 
-    // Fetch all materials for this user
+    if (options.subject) {
+      filter.subject = String(options.subject);
+    }
+
+    // Fetch the materials to search (without their chunks)
     const materials = await CourseMaterial.find(filter)
-      .select('_id title topic chunks')
+      .select('_id title topic user embeddingProvider embeddingModel')
       .lean();
 
     if (!materials || materials.length === 0) {
       return [];
     }
 
-    // Calculate similarity for all chunks
-    const allChunks = [];
-
-    for (const material of materials) {
-      for (const chunk of material.chunks) {
-        // Calculate cosine similarity
-        const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
-
-        // Only include chunks above minimum similarity threshold
-        if (similarity >= minSimilarity) {
-          allChunks.push({
-            materialId: material._id,
-            materialTitle: material.title,
-            materialTopic: material.topic,
-            chunkId: chunk._id,
-            content: chunk.content,
-            order: chunk.order,
-            wordCount: chunk.wordCount,
-            similarity: similarity,
-            relevanceScore: similarity // Alias for clarity
-          });
-        }
-      }
-    }
-
-    // Sort by similarity (highest first) and return top K
-    allChunks.sort((a, b) => b.similarity - a.similarity);
+    const weights = { ...DEFAULT_SEARCH_WEIGHTS, ...options.weights };
+    const useLexical = weights.lexical > 0 && Boolean(options.queryText);
+    // Without keyword search (no query text), vector search runs whatever its weight
+    const useVector = weights.vector > 0 || !useLexical;
+    const collapse = options.collapseDuplicates !== false;
+    const fetched = collapse ? limit * RESULTS_PER_COLLAPSED_RESULT : limit;
+    const candidates = useVector && useLexical ? Math.max(limit * CANDIDATES_PER_RESULT, 20) : fetched;
 
-    return allChunks.slice(0, limit);
-  } catch (error) {
-    console.error('Error in vector search:', error);
-    throw new Error(`Vector search failed: ${error.message}`);
-  }
-}
+    const getQueryEmbedding = createQueryEmbeddingLookup(queryEmbedding, options.queryText);
+    const [vectorResults, lexicalResults] = await Promise.all([
+      useVector
+        ? searchVectors({
+          userId,
+          materials,
+          getQueryEmbedding,
+          limit: candidates,
+          minSimilarity,
+          coversOwnMaterials: !(materialIds && materialIds.length > 0) && !options.subject
+        }).then(({ results }) => results)
+        : [],
+      useLexical
+        ? searchLexical({ userId, materials, query: options.queryText, limit: candidates })
+        : []
+    ]);
 
-/**
- * Search within specific material only
- *
- * @param {number[]} queryEmbedding - 768-dimensional embedding vector
- * @param {string} materialId - Material ID to search within
- * @param {number} limit - Number of top results to return
- * @returns {Promise<Array>} - Array of similar chunks
- */
-export async function searchWithinMaterial(queryEmbedding, materialId, limit = 5) {
-  try {
-    const material = await CourseMaterial.findById(materialId)
-      .select('_id title topic chunks')
-      .lean();
+    const scored = fuseRankings([
+      { name: 'vector', results: vectorResults, weight: weights.vector || 1 },
+      { name: 'lexical', results: lexicalResults, weight: weights.lexical }
+    ]).slice(0, fetched);
+    await addMissingSimilarities(scored, getQueryEmbedding);
 
-    if (!material) {
-      throw new Error('Material not found');
-    }
+    const materialsById = new Map(materials.map(material => [material._id.toString(), material]));
+    // The ANN index may briefly hold a material that stopped being ready
+    const loaded = (await loadChunks(scored))
+      .filter(result => materialsById.has(result.chunk.material.toString()));
+    const results = (collapse ? collapseDuplicates(loaded) : loaded).slice(0, limit);
 
-    const chunks = [];
-
-    for (const chunk of material.chunks) {
-      const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
-
-      chunks.push({
-        materialId: material._id,
-        materialTitle: material.title,
-        materialTopic: material.topic,
-        chunkId: chunk._id,
-        content: chunk.content,
-        order: chunk.order,
-        wordCount: chunk.wordCount,
-        similarity: similarity
-      });
-    }
+    // Attribution for results from shared materials
+    const sharedResults = [...new Set(results.map(result => result.chunk.material.toString()))]
+      .filter(id => materialsById.get(id).user.toString() !== userId.toString());
+    const sources = sharedResults.length > 0
+      ? await describeShares(sharedResults.map(id => sharedAccess.get(id)))
+      : new Map();
 
-    // Sort and return top K
-    chunks.sort((a, b) => b.similarity - a.similarity);
-    return chunks.slice(0, limit);
+    return results.map(result => ({
+      ...toSearchResult(result, materialsById.get(result.chunk.material.toString())),
+      ...sources.get(result.chunk.material.toString()),
+      score: result.score,
+      vectorRank: result.vectorRank,
+      lexicalRank: result.lexicalRank,
+      duplicates: result.duplicates || 0,
+      relevanceScore: result.similarity // Alias for clarity
+    }));
   } catch (error) {
-    console.error('Error searching within material:', error);
-    throw new Error(`Material search failed: ${error.message}`);
+    console.error('Error in vector search:', error);
+    throw new Error(`Vector search failed: ${error.message}`);
   }
 }
 
@@ -143,53 +182,149 @@ export function formatContextFromChunks(chunks, maxChunks = 5) {
   const topChunks = chunks.slice(0, maxChunks);
 
   const contextParts = topChunks.map((chunk, index) => {
-    return `[Context ${index + 1} - from "${chunk.materialTitle}" (relevance: ${(chunk.similarity * 100).toFixed(1)}%)]\n${chunk.content}`;
+    const section = chunk.headingPath ? `, section "${chunk.headingPath}"` : '';
+    return `[Context ${index + 1} - from "${chunk.materialTitle}"${section}${describeSource(chunk)} (relevance: ${(chunk.similarity * 100).toFixed(1)}%)]\n${chunk.content}`;
   });
 
   return contextParts.join('\n\n---\n\n');
 }
 
+// ==================== HELPER FUNCTIONS ====================
+
 /**
- * Re-rank chunks using advanced scoring
- * Considers both similarity and chunk position/quality
- *
- * @param {Array} chunks - Array of chunk objects
- * @param {string} query - Original query text
- * @returns {Array} - Re-ranked chunks
+ * Say where a shared chunk comes from, for the LLM context
+ * @param {Object} chunk - Search result
+ * @returns {string} - e.g. ', CSC201 course library, published by Dr Ada' ('' for the user's own material)
  */
-export function rerankChunks(chunks, query) {
-  // Simple re-ranking based on keyword matching
-  const queryWords = query.toLowerCase().split(/\s+/).filter(w => w.length > 3);
+function describeSource(chunk) {
+  if (!chunk.sharedBy) return '';
+  if (chunk.course) {
+    return `, ${chunk.course.code} course library, published by ${chunk.sharedBy.name}`;
+  }
+  return `, shared by ${chunk.sharedBy.name}`;
+}
 
-  return chunks.map(chunk => {
-    let bonusScore = 0;
+/**
+ * Fuse rankings with reciprocal rank fusion
+ * @param {Array<{name: string, results: Array<Object>, weight: number}>} rankings - Results best first,
+ *        with chunkId (and similarity for the vector ranking)
+ * @returns {Array<Object>} - { chunkId, score, similarity, <name>Rank }, best first
+ */
+function fuseRankings(rankings) {
+  const fused = new Map();
 
-    // Keyword matching bonus
-    const chunkText = chunk.content.toLowerCase();
-    const matchedKeywords = queryWords.filter(word => chunkText.includes(word));
-    bonusScore += (matchedKeywords.length / queryWords.length) * 0.1;
+  for (const { name, results, weight } of rankings) {
+    if (!weight) continue;
 
-    // Position bonus (earlier chunks might be more important)
-    if (chunk.order < 3) {
-      bonusScore += 0.05;
-    }
+    results.forEach((result, index) => {
+      const id = result.chunkId.toString();
+      if (!fused.has(id)) fused.set(id, { chunkId: result.chunkId, score: 0 });
 
-    // Length bonus (prefer moderately sized chunks)
-    if (chunk.wordCount >= 100 && chunk.wordCount <= 500) {
-      bonusScore += 0.05;
-    }
+      const entry = fused.get(id);
+      entry.score += weight / (RRF_K + index + 1);
+      entry[`${name}Rank`] = index + 1;
+      if (result.similarity !== undefined) entry.similarity = result.similarity;
+    });
+  }
 
-    return {
-      ...chunk,
-      finalScore: chunk.similarity + bonusScore,
-      originalSimilarity: chunk.similarity
-    };
-  }).sort((a, b) => b.finalScore - a.finalScore);
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Compute the vector similarity of results found only by keyword search
+ * @param {Array<Object>} results - Fused results (updated in place)
+ * @param {function(string, string): Promise<number[]|null>} getQueryEmbedding
+ */
+async function addMissingSimilarities(results, getQueryEmbedding) {
+  const missing = results.filter(result => result.similarity === undefined);
+  if (missing.length === 0) return;
+
+  const chunks = await MaterialChunk.find({ _id: { $in: missing.map(result => result.chunkId) } })
+    .select('embedding embeddingProvider embeddingModel')
+    .lean();
+  const chunksById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+
+  for (const result of missing) {
+    const chunk = chunksById.get(result.chunkId.toString());
+    const queryEmbedding = chunk && await getQueryEmbedding(chunk.embeddingProvider, chunk.embeddingModel);
+
+    result.similarity = queryEmbedding && queryEmbedding.length === chunk.embedding.length
+      ? cosineSimilarity(queryEmbedding, chunk.embedding)
+      : 0;
+  }
+}
+
+/**
+ * Load the text of scored chunks
+ * @param {Array<{chunkId: string, similarity: number}>} top - From a search backend or fuseRankings
+ * @returns {Promise<Array<{chunk: Object, similarity: number}>>} - In the same order, with the
+ *          other fields of top kept
+ */
+async function loadChunks(top) {
+  if (top.length === 0) {
+    return [];
+  }
+
+  const chunks = await MaterialChunk.find({ _id: { $in: top.map(result => result.chunkId) } })
+    .select('-embedding')
+    .lean();
+  const chunksById = new Map(chunks.map(chunk => [chunk._id.toString(), chunk]));
+
+  // A chunk deleted since it was scored is left out
+  return top
+    .map(({ chunkId, ...scores }) => ({ chunk: chunksById.get(chunkId.toString()), ...scores }))
+    .filter(result => result.chunk);
+}
+
+/**
+ * Shape a scored chunk as a search result
+ * @param {{chunk: Object, similarity: number}} result
+ * @param {Object} material - Material the chunk belongs to
+ * @returns {Object}
+ */
+function toSearchResult({ chunk, similarity }, material) {
+  return {
+    materialId: material._id,
+    materialTitle: material.title,
+    materialTopic: material.topic,
+    chunkId: chunk._id,
+    content: chunk.content,
+    order: chunk.order,
+    wordCount: chunk.wordCount,
+    headingPath: chunk.metadata?.headingPath,
+    similarity: similarity
+  };
+}
+
+/**
+ * Create a lookup for the query vector matching a chunk's embedding provider and model
+ * The query is embedded at most once per model
+ *
+ * @param {number[]} queryEmbedding - Query embedding from the active provider and model
+ * @param {string} queryText - Original query (needed for other models)
+ * @returns {function(string, string): Promise<number[]|null>} - Resolves null if no vector is available
+ */
+function createQueryEmbeddingLookup(queryEmbedding, queryText) {
+  const byModel = new Map([
+    [`${getActiveEmbeddingProvider()}/${getActiveEmbeddingModel()}`, Promise.resolve(queryEmbedding)]
+  ]);
+
+  return (provider = LEGACY_EMBEDDING_PROVIDER, model = LEGACY_EMBEDDING_MODEL) => {
+    const key = `${provider}/${model}`;
+    if (!byModel.has(key)) {
+      byModel.set(key, queryText
+        ? generateEmbedding(queryText, model, provider).catch(error => {
+          console.error(`Query embedding with ${key} failed:`, error.message);
+          return null;
+        })
+        : Promise.resolve(null));
+    }
+    return byModel.get(key);
+  };
 }
 
 export default {
+  DEFAULT_SEARCH_WEIGHTS,
   searchSimilarChunks,
-  searchWithinMaterial,
-  formatContextFromChunks,
-  rerankChunks
+  formatContextFromChunks
 };
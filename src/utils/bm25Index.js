@@ -0,0 +1,224 @@
+/**
+ * Okapi BM25 inverted index for keyword search over chunk text
+ *
+ * Terms are lowercased words and numbers without stemming, so exact terms like
+ * formula names and course codes match as typed. A word followed by a number is
+ * also indexed joined ("CSC 201" -> csc201) so codes match with or without the space.
+ *
+ * Scores depend on corpus statistics (document count, average length, document
+ * frequency). To rank documents from several indexes together, search each with
+ * the statistics combined by Bm25Index.combineStats.
+ */
+export class Bm25Index {
+  /**
+   * @param {Object} options
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Document length normalization (0 = none, 1 = full)
+   */
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+
+    this.docs = new Map(); // id -> { length, terms: [[term, frequency]], meta }
+    this.postings = new Map(); // term -> Map(id -> frequency)
+    this.totalLength = 0;
+  }
+
+  // Number of indexed documents
+  get size() {
+    return this.docs.size;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  /**
+   * Metadata stored with a document
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  getMeta(id) {
+    return this.docs.get(id)?.meta;
+  }
+
+  /**
+   * Ids of the indexed documents
+   * @returns {Iterable<string>}
+   */
+  ids() {
+    return this.docs.keys();
+  }
+
+  /**
+   * Add a document (replaces an existing document with the same id)
+   * @param {string} id
+   * @param {string} text
+   * @param {Object} meta - Stored with the document and passed to search filters
+   */
+  add(id, text, meta = {}) {
+    this.remove(id);
+
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.docs.set(id, { length: tokens.length, terms: [...frequencies], meta });
+    this.totalLength += tokens.length;
+  }
+
+  /**
+   * Remove a document
+   * @param {string} id
+   * @returns {boolean} - Whether it was indexed
+   */
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    for (const [term] of doc.terms) {
+      const postings = this.postings.get(term);
+      postings.delete(id);
+      if (postings.size === 0) this.postings.delete(term);
+    }
+
+    this.docs.delete(id);
+    this.totalLength -= doc.length;
+    return true;
+  }
+
+  /**
+   * Corpus statistics for some terms
+   * @param {string[]} terms - From tokenize
+   * @returns {{documents: number, totalLength: number, frequencies: Map<string, number>}}
+   */
+  stats(terms) {
+    return {
+      documents: this.docs.size,
+      totalLength: this.totalLength,
+      frequencies: new Map(terms.map(term => [term, this.postings.get(term)?.size || 0]))
+    };
+  }
+
+  /**
+   * Sum the statistics of several indexes
+   * @param {Array<Object>} statsList - From stats(), for the same terms
+   * @returns {Object}
+   */
+  static combineStats(statsList) {
+    const combined = { documents: 0, totalLength: 0, frequencies: new Map() };
+
+    for (const stats of statsList) {
+      combined.documents += stats.documents;
+      combined.totalLength += stats.totalLength;
+      for (const [term, count] of stats.frequencies) {
+        combined.frequencies.set(term, (combined.frequencies.get(term) || 0) + count);
+      }
+    }
+    return combined;
+  }
+
+  /**
+   * Find the documents that best match a query
+   * @param {string} query
+   * @param {number} k - Number of results
+   * @param {Object} options
+   * @param {function(Object): boolean} options.filter - Only return documents whose meta passes
+   * @param {Object} options.corpus - Statistics to score with (default: this index's)
+   * @returns {Array<{id: string, score: number, meta: Object}>} - Best first; only documents
+   *          containing a query term
+   */
+  search(query, k, { filter = null, corpus = null } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const stats = corpus || this.stats(terms);
+    if (stats.documents === 0) return [];
+
+    const averageLength = stats.totalLength / stats.documents || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const postings = this.postings.get(term);
+      if (!postings) continue;
+
+      const documentFrequency = stats.frequencies.get(term) || postings.size;
+      const idf = Math.log(1 + (stats.documents - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+      for (const [id, frequency] of postings) {
+        const doc = this.docs.get(id);
+        if (filter && !filter(doc.meta)) continue;
+
+        const normalization = this.k1 * (1 - this.b + this.b * doc.length / averageLength);
+        const score = idf * frequency * (this.k1 + 1) / (frequency + normalization);
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, k)
+      .map(([id, score]) => ({ id, score, meta: this.docs.get(id).meta }));
+  }
+
+  /**
+   * Serialize the index for saving (postings are rebuilt when loading)
+   * @returns {Buffer}
+   */
+  serialize() {
+    return Buffer.from(JSON.stringify({
+      version: 1,
+      k1: this.k1,
+      b: this.b,
+      docs: [...this.docs].map(([id, doc]) => [id, doc.length, doc.meta, doc.terms])
+    }));
+  }
+
+  /**
+   * Load a serialized index
+   * @param {Buffer} buffer - From serialize()
+   * @returns {Bm25Index}
+   */
+  static deserialize(buffer) {
+    const data = JSON.parse(buffer.toString());
+    if (data.version !== 1) {
+      throw new Error(`Unsupported index version ${data.version}`);
+    }
+
+    const index = new Bm25Index(data);
+    for (const [id, length, meta, terms] of data.docs) {
+      index.docs.set(id, { length, terms, meta });
+      index.totalLength += length;
+      for (const [term, frequency] of terms) {
+        if (!index.postings.has(term)) index.postings.set(term, new Map());
+        index.postings.get(term).set(id, frequency);
+      }
+    }
+    return index;
+  }
+}
+
+/**
+ * Split text into search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const tokens = [...words];
+
+  // Join a word and the number after it, e.g. "CSC 201" -> csc201
+  for (let i = 0; i < words.length - 1; i++) {
+    if (/^\p{L}+$/u.test(words[i]) && /^\p{N}+$/u.test(words[i + 1])) {
+      tokens.push(words[i] + words[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+export default Bm25Index;
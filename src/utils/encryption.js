@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+
+// Encryption of secrets at rest (e.g. TOTP secrets)
+// Values are encrypted with ENCRYPTION_KEY and carry the id of their key, so the key can
+// be rotated: move the old one to ENCRYPTION_KEY_PREVIOUS (comma-separated) and values are
+// still decrypted with it until they are encrypted again (see needsReencryption).
+// Values from before key ids were recorded have no id; they are tried with ENCRYPTION_KEY
+// and JWT_SECRET, which was used when ENCRYPTION_KEY wasn't set.
+
+/**
+ * Derive a 256-bit key and its id from a secret
+ * @param {string} secret
+ * @returns {{id: string, key: Buffer}}
+ */
+function deriveKey(secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  return { id, key };
+}
+
+/**
+ * Key new values are encrypted with
+ * @returns {{id: string, key: Buffer}}
+ */
+function getCurrentKey() {
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error('ENCRYPTION_KEY must be set to encrypt secrets');
+  }
+  return deriveKey(process.env.ENCRYPTION_KEY);
+}
+
+/**
+ * Keys values may have been encrypted with, current first
+ * @param {boolean} legacy - Include JWT_SECRET (values without a key id)
+ * @returns {Array<{id: string, key: Buffer}>}
+ */
+function getDecryptionKeys(legacy) {
+  const secrets = [
+    process.env.ENCRYPTION_KEY,
+    ...(process.env.ENCRYPTION_KEY_PREVIOUS || '').split(',').map(secret => secret.trim()),
+    ...(legacy ? [process.env.JWT_SECRET] : [])
+  ].filter(Boolean);
+
+  return secrets.map(deriveKey);
+}
+
+/**
+ * Check if encryption is configured
+ * @returns {boolean}
+ */
+export function isEncryptionConfigured() {
+  return Boolean(process.env.ENCRYPTION_KEY);
+}
+
+/**
+ * Encrypt a string with AES-256-GCM
+ * @param {string} plainText - Value to encrypt
+ * @returns {string} - keyId:iv:authTag:cipherText (hex)
+ */
+export function encrypt(plainText) {
+  const { id, key } = getCurrentKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [id, ...[iv, cipher.getAuthTag(), encrypted].map(b => b.toString('hex'))].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} payload - keyId:iv:authTag:cipherText, or iv:authTag:cipherText (no key id)
+ * @returns {string} - Plain text
+ */
+export function decrypt(payload) {
+  const parts = payload.split(':');
+  const keyId = parts.length === 4 ? parts.shift() : null;
+  const [iv, authTag, encrypted] = parts.map(part => Buffer.from(part, 'hex'));
+
+  const keys = getDecryptionKeys(!keyId).filter(({ id }) => !keyId || id === keyId);
+  if (keys.length === 0) {
+    throw new Error(`Encryption key ${keyId} is not configured (ENCRYPTION_KEY or ENCRYPTION_KEY_PREVIOUS)`);
+  }
+
+  for (const { key } of keys) {
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAuthTag(authTag);
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    } catch {
+      // Wrong key (value without a key id): try the next one
+    }
+  }
+
+  throw new Error('Unable to decrypt value with the configured keys');
+}
+
+/**
+ * Check if a value should be encrypted again with the current key
+ * @param {string} payload - From encrypt()
+ * @returns {boolean}
+ */
+export function needsReencryption(payload) {
+  const parts = payload.split(':');
+  return parts.length !== 4 || parts[0] !== getCurrentKey().id;
+}
+
+/**
+ * Check the encryption settings at startup
+ * @throws {Error} - If secrets can't be encrypted in production
+ */
+export function checkEncryptionConfig() {
+  if (process.env.NODE_ENV === 'production' && !isEncryptionConfigured()) {
+    throw new Error('ENCRYPTION_KEY must be set in production (MFA secrets are encrypted with it). Secrets encrypted before with JWT_SECRET can still be read while JWT_SECRET is set');
+  }
+}
+
+export default {
+  isEncryptionConfigured,
+  encrypt,
+  decrypt,
+  needsReencryption,
+  checkEncryptionConfig
+};
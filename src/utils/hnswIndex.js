@@ -0,0 +1,411 @@
+/**
+ * Hierarchical Navigable Small World graph for approximate nearest-neighbour search
+ * (Malkov & Yashunin, 2016) using cosine similarity
+ *
+ * Vectors are normalized when added, so similarity is a dot product. Removing an
+ * entry only marks its node deleted: the node still helps navigate the graph but is
+ * never returned. Rebuild the index once many nodes are deleted (see deletedCount).
+ */
+export class HnswIndex {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions - Vector size
+   * @param {number} options.M - Links per node on upper layers (twice as many on layer 0)
+   * @param {number} options.efConstruction - Candidates considered when linking a new node
+   */
+  constructor({ dimensions, M = 16, efConstruction = 100 }) {
+    this.dimensions = dimensions;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    // Per node (deleted nodes keep their slot)
+    this.ids = [];
+    this.vectors = [];
+    this.levels = [];
+    this.links = []; // links[node][level] = neighbour nodes
+    this.meta = [];
+    this.deleted = [];
+
+    this.nodeById = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  // Number of entries that can be returned
+  get size() {
+    return this.nodeById.size;
+  }
+
+  has(id) {
+    return this.nodeById.has(id);
+  }
+
+  /**
+   * Metadata stored with an entry
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  getMeta(id) {
+    const node = this.nodeById.get(id);
+    return node === undefined ? undefined : this.meta[node];
+  }
+
+  /**
+   * Entries that can be returned
+   * @returns {Iterable<{id: string, vector: Float32Array, meta: Object}>}
+   */
+  *entries() {
+    for (const [id, node] of this.nodeById) {
+      yield { id, vector: this.vectors[node], meta: this.meta[node] };
+    }
+  }
+
+  /**
+   * Add an entry (replaces an existing entry with the same id)
+   * @param {string} id
+   * @param {number[]|Float32Array} vector
+   * @param {Object} meta - Stored with the entry and passed to search filters
+   */
+  add(id, vector, meta = {}) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector has ${vector.length} dimensions, index has ${this.dimensions}`);
+    }
+    if (this.nodeById.has(id)) {
+      this.remove(id);
+    }
+
+    const node = this.ids.length;
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    const normalized = normalize(vector);
+
+    this.ids.push(id);
+    this.vectors.push(normalized);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.meta.push(meta);
+    this.deleted.push(false);
+    this.nodeById.set(id, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Descend greedily to the new node's top level, then link it on each level below
+    let entry = { node: this.entryPoint, similarity: dot(normalized, this.vectors[this.entryPoint]) };
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.greedyClosest(normalized, entry, l);
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(normalized, [entry], this.efConstruction, l);
+      const neighbours = this.selectNeighbours(candidates, this.M);
+
+      this.links[node][l] = neighbours.map(candidate => candidate.node);
+      for (const { node: neighbour } of neighbours) {
+        const neighbourLinks = this.links[neighbour][l];
+        neighbourLinks.push(node);
+
+        if (neighbourLinks.length > this.maxLinks(l)) {
+          const scored = neighbourLinks
+            .map(other => ({ node: other, similarity: dot(this.vectors[neighbour], this.vectors[other]) }))
+            .sort((a, b) => b.similarity - a.similarity);
+          this.links[neighbour][l] = scored.slice(0, this.maxLinks(l)).map(c => c.node);
+        }
+      }
+
+      entry = candidates[0];
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id
+   * @returns {boolean} - Whether the entry existed
+   */
+  remove(id) {
+    const node = this.nodeById.get(id);
+    if (node === undefined) return false;
+
+    this.deleted[node] = true;
+    this.nodeById.delete(id);
+    this.deletedCount++;
+    return true;
+  }
+
+  /**
+   * Find the entries most similar to a vector
+   * @param {number[]} query
+   * @param {number} k - Number of results
+   * @param {number} ef - Candidates explored (higher: better recall, slower)
+   * @param {function(Object): boolean} filter - Optional test of an entry's meta (applied to the
+   *        ef candidates, so a filter matching few entries can return fewer than k)
+   * @returns {Array<{id: string, similarity: number, meta: Object}>} - Most similar first
+   */
+  search(query, k, ef = 64, filter = null) {
+    if (this.size === 0 || query.length !== this.dimensions) return [];
+
+    const normalized = normalize(query);
+    let entry = { node: this.entryPoint, similarity: dot(normalized, this.vectors[this.entryPoint]) };
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.greedyClosest(normalized, entry, l);
+    }
+
+    return this.searchLayer(normalized, [entry], Math.max(ef, k), 0)
+      .filter(({ node }) => !this.deleted[node] && (!filter || filter(this.meta[node])))
+      .slice(0, k)
+      .map(({ node, similarity }) => ({ id: this.ids[node], similarity, meta: this.meta[node] }));
+  }
+
+  /**
+   * Exact search by comparing every entry (to measure the recall of search)
+   * @param {number[]} query
+   * @param {number} k
+   * @returns {Array<{id: string, similarity: number, meta: Object}>} - Most similar first
+   */
+  exactSearch(query, k) {
+    if (query.length !== this.dimensions) return [];
+
+    const normalized = normalize(query);
+    const results = [];
+    for (const [id, node] of this.nodeById) {
+      results.push({ id, similarity: dot(normalized, this.vectors[node]), meta: this.meta[node] });
+    }
+    return results.sort((a, b) => b.similarity - a.similarity).slice(0, k);
+  }
+
+  /**
+   * Approximate memory used by vectors and links, in bytes
+   * @returns {number}
+   */
+  memoryUsage() {
+    let links = 0;
+    for (const nodeLinks of this.links) {
+      for (const levelLinks of nodeLinks) links += levelLinks.length;
+    }
+    return this.ids.length * this.dimensions * 4 + links * 8;
+  }
+
+  /**
+   * Serialize the index (vectors included) for saving
+   * @returns {Buffer}
+   */
+  serialize() {
+    const header = Buffer.from(JSON.stringify({
+      version: 1,
+      dimensions: this.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      ids: this.ids,
+      levels: this.levels,
+      links: this.links,
+      meta: this.meta,
+      deleted: this.deleted.map(Number)
+    }));
+
+    // Pad the header so the vectors start 4-byte aligned
+    const padding = (4 - ((4 + header.length) % 4)) % 4;
+    const vectors = Buffer.alloc(this.vectors.length * this.dimensions * 4);
+    this.vectors.forEach((vector, node) => {
+      Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).copy(vectors, node * this.dimensions * 4);
+    });
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(header.length + padding);
+    return Buffer.concat([length, header, Buffer.alloc(padding, 0x20), vectors]);
+  }
+
+  /**
+   * Load a serialized index
+   * @param {Buffer} buffer - From serialize()
+   * @returns {HnswIndex}
+   */
+  static deserialize(buffer) {
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.subarray(4, 4 + headerLength).toString());
+    if (header.version !== 1) {
+      throw new Error(`Unsupported index version ${header.version}`);
+    }
+
+    const index = new HnswIndex(header);
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.ids = header.ids;
+    index.levels = header.levels;
+    index.links = header.links;
+    index.meta = header.meta;
+    index.deleted = header.deleted.map(Boolean);
+
+    // Copy the vectors out so the index doesn't keep the whole file alive
+    const vectors = new Float32Array(buffer.buffer.slice(
+      buffer.byteOffset + 4 + headerLength,
+      buffer.byteOffset + buffer.length
+    ));
+    index.vectors = index.ids.map((id, node) => vectors.subarray(node * index.dimensions, (node + 1) * index.dimensions));
+
+    index.ids.forEach((id, node) => {
+      if (index.deleted[node]) index.deletedCount++;
+      else index.nodeById.set(id, node);
+    });
+    return index;
+  }
+
+  // ==================== HELPER FUNCTIONS ====================
+
+  maxLinks(level) {
+    return level === 0 ? this.M * 2 : this.M;
+  }
+
+  // Follow links on one level while they get closer to the query
+  greedyClosest(query, entry, level) {
+    let closest = entry;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const node of this.links[closest.node][level] || []) {
+        const similarity = dot(query, this.vectors[node]);
+        if (similarity > closest.similarity) {
+          closest = { node, similarity };
+          improved = true;
+        }
+      }
+    }
+    return closest;
+  }
+
+  // Best-first search of one level, keeping the ef most similar nodes
+  searchLayer(query, entries, ef, level) {
+    const visited = new Set(entries.map(entry => entry.node));
+    const candidates = new Heap((a, b) => b.similarity - a.similarity); // most similar on top
+    const found = new Heap((a, b) => a.similarity - b.similarity); // least similar on top
+
+    for (const entry of entries) {
+      candidates.push(entry);
+      found.push(entry);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (found.size >= ef && current.similarity < found.peek().similarity) break;
+
+      for (const node of this.links[current.node][level] || []) {
+        if (visited.has(node)) continue;
+        visited.add(node);
+
+        const similarity = dot(query, this.vectors[node]);
+        if (found.size < ef || similarity > found.peek().similarity) {
+          candidates.push({ node, similarity });
+          found.push({ node, similarity });
+          if (found.size > ef) found.pop();
+        }
+      }
+    }
+
+    return found.items.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Keep candidates that aren't closer to an already selected neighbour than to the
+  // new node, so links spread in different directions; top up with the closest others
+  selectNeighbours(candidates, count) {
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break;
+
+      const diverse = selected.every(other =>
+        dot(this.vectors[candidate.node], this.vectors[other.node]) < candidate.similarity
+      );
+      (diverse ? selected : skipped).push(candidate);
+    }
+
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+}
+
+/**
+ * Binary heap ordered by a compare function (top: the item that sorts first)
+ */
+class Heap {
+  constructor(compare) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let first = index;
+        if (left < items.length && this.compare(items[left], items[first]) < 0) first = left;
+        if (right < items.length && this.compare(items[right], items[first]) < 0) first = right;
+        if (first === index) break;
+        [items[index], items[first]] = [items[first], items[index]];
+        index = first;
+      }
+    }
+    return top;
+  }
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function normalize(vector) {
+  const normalized = Float32Array.from(vector);
+  const norm = Math.sqrt(dot(normalized, normalized));
+  if (norm > 0) {
+    for (let i = 0; i < normalized.length; i++) normalized[i] /= norm;
+  }
+  return normalized;
+}
+
+export default HnswIndex;
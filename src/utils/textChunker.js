@@ -30,35 +30,76 @@ function getLastWords(text, wordCount) {
   return words.slice(-wordCount).join(' ');
 }
 
+/**
+ * Find where the words kept by getLastWords start in the text
+ * @param {string} text - Source text
+ * @param {number} start - Range of the text the words are taken from
+ * @param {number} end
+ * @param {number} wordCount
+ * @returns {number} - Offset of the first kept word
+ */
+function getLastWordsStart(text, start, end, wordCount) {
+  const wordStarts = [...text.slice(start, end).matchAll(/\S+/g)].map(match => start + match.index);
+  const first = wordStarts.length - wordCount;
+  return wordCount > 0 && first > 0 ? wordStarts[first] : start;
+}
+
+/**
+ * Split text into trimmed pieces, keeping where each starts
+ * @param {string} text - Text to split
+ * @param {RegExp} separator - With one capturing group, so separators are kept
+ * @param {boolean} keepSeparator - Append each separator to the piece before it
+ * @returns {Array<{content: string, start: number}>}
+ */
+function splitWithOffsets(text, separator, keepSeparator) {
+  const pieces = [];
+  const parts = text.split(separator);
+  let position = 0;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const piece = parts[i] + (keepSeparator ? parts[i + 1] || '' : '');
+    if (parts[i].trim()) {
+      pieces.push({ content: piece.trim(), start: position + piece.length - piece.trimStart().length });
+    }
+    position += parts[i].length + (parts[i + 1] || '').length;
+  }
+
+  return pieces;
+}
+
 /**
  * Split text into sentences
  * @param {string} text - Text to split
- * @returns {string[]} - Array of sentences
+ * @returns {Array<{content: string, start: number}>} - Sentences and their offset in the text
  */
 function splitIntoSentences(text) {
   // Split by sentence boundaries (. ! ?)
-  return text
-    .split(/([.!?]+\s+)/)
-    .reduce((acc, part, i, arr) => {
-      if (i % 2 === 0 && part.trim()) {
-        const sentence = part + (arr[i + 1] || '');
-        acc.push(sentence.trim());
-      }
-      return acc;
-    }, [])
-    .filter(s => s.length > 0);
+  return splitWithOffsets(text, /([.!?]+\s+)/, true);
 }
 
+// Chunking strategies
+// - sentence: packs paragraphs up to the token budget with overlap, splitting long paragraphs by sentence
+// - markdown: never crosses a heading, so every chunk belongs to one section
+// - paragraph: packs whole blocks (paragraphs, lists, tables, code) without overlap
+// - code: like paragraph, but keeps code with the text introducing it and splits long code on lines
+// - fixed: fixed-size windows with overlap, ignoring structure
+export const CHUNKING_STRATEGIES = ['sentence', 'markdown', 'paragraph', 'code', 'fixed'];
+
+// Rough characters per token (matches estimateTokens)
+const CHARS_PER_TOKEN = 4;
+
 /**
- * Chunk text into smaller segments with overlap
- * Preserves paragraph and sentence boundaries for better context
+ * Chunk text into smaller segments
+ * Every chunk records its character range in the text and, when the text has
+ * markdown headings, the path of headings it sits under (e.g. "Week 3 > Recursion > Base cases")
  *
  * @param {string} text - Text to chunk
  * @param {number} maxTokens - Maximum tokens per chunk (default: 500)
- * @param {number} overlapWords - Number of words to overlap between chunks (default: 50)
- * @returns {Array<{content: string, order: number, wordCount: number}>} - Array of chunks
+ * @param {number} overlapWords - Words to overlap between chunks, for sentence and fixed (default: 50)
+ * @param {string} strategy - One of CHUNKING_STRATEGIES (default: sentence)
+ * @returns {Array<{content: string, order: number, wordCount: number, metadata: Object}>} - Array of chunks
  */
-export function chunkText(text, maxTokens = 500, overlapWords = 50) {
+export function chunkText(text, maxTokens = 500, overlapWords = 50, strategy = 'sentence') {
   if (!text || text.trim().length === 0) {
     return [];
   }
@@ -66,24 +107,79 @@ export function chunkText(text, maxTokens = 500, overlapWords = 50) {
   // Clean up text
   text = text.trim().replace(/\n{3,}/g, '\n\n');
 
+  const blocks = parseBlocks(text);
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  let spans;
+
+  switch (strategy) {
+    case 'sentence':
+      spans = chunkBySentences(text, maxTokens, overlapWords);
+      break;
+    case 'markdown':
+      spans = chunkByBlocks(text, blocks, maxChars, { splitAtHeadings: true });
+      break;
+    case 'paragraph':
+      spans = chunkByBlocks(text, blocks, maxChars, {});
+      break;
+    case 'code':
+      spans = chunkByBlocks(text, blocks, maxChars, { keepCodeWithIntro: true });
+      break;
+    case 'fixed':
+      spans = chunkByWindow(text, maxChars, overlapWords);
+      break;
+    default:
+      throw new Error(`Unknown chunking strategy: ${strategy}`);
+  }
+
+  const headingPathAt = createHeadingPathLookup(blocks);
+
+  return spans.map(({ content, startChar }, index) => {
+    const headingPath = headingPathAt(startChar);
+
+    const metadata = { startChar, endChar: startChar + content.length };
+    if (headingPath) {
+      metadata.headingPath = headingPath;
+    }
+
+    return {
+      content,
+      order: index,
+      wordCount: countWords(content),
+      metadata
+    };
+  });
+}
+
+/**
+ * Original strategy: pack paragraphs with overlap, splitting long paragraphs by sentence
+ * Chunks are rebuilt text (overlap, joined sentences), so where each starts in the text is
+ * tracked alongside: the offset of its first paragraph, sentence or overlap word
+ *
+ * @param {string} text - Cleaned text
+ * @param {number} maxTokens
+ * @param {number} overlapWords
+ * @returns {Array<{content: string, startChar: number}>}
+ */
+function chunkBySentences(text, maxTokens, overlapWords) {
   // Split by paragraphs first
-  const paragraphs = text
-    .split(/\n\n+/)
-    .map(p => p.trim())
-    .filter(p => p.length > 0);
+  const paragraphs = splitWithOffsets(text, /(\n\n+)/, false);
 
   const chunks = [];
   let currentChunk = '';
   let currentTokens = 0;
+  // Range of the text the current chunk covers
+  let currentStart = 0;
+  let currentEnd = 0;
 
-  for (const paragraph of paragraphs) {
+  for (const { content: paragraph, start: paragraphStart } of paragraphs) {
     const paragraphTokens = estimateTokens(paragraph);
+    const paragraphEnd = paragraphStart + paragraph.length;
 
     // If single paragraph exceeds maxTokens, split by sentences
     if (paragraphTokens > maxTokens) {
       // Save current chunk if exists
       if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
+        chunks.push({ content: currentChunk.trim(), startChar: currentStart });
         currentChunk = '';
         currentTokens = 0;
       }
@@ -92,22 +188,27 @@ export function chunkText(text, maxTokens = 500, overlapWords = 50) {
       const sentences = splitIntoSentences(paragraph);
       let sentenceChunk = '';
       let sentenceTokens = 0;
+      let sentenceStart = paragraphStart;
+      let sentenceEnd = paragraphStart;
 
-      for (const sentence of sentences) {
+      for (const { content: sentence, start } of sentences) {
         const sentenceToken = estimateTokens(sentence);
 
         if (sentenceTokens + sentenceToken > maxTokens && sentenceChunk) {
-          chunks.push(sentenceChunk.trim());
+          chunks.push({ content: sentenceChunk.trim(), startChar: sentenceStart });
+          sentenceStart = getLastWordsStart(text, sentenceStart, sentenceEnd, overlapWords);
           sentenceChunk = getLastWords(sentenceChunk, overlapWords) + ' ' + sentence;
           sentenceTokens = estimateTokens(sentenceChunk);
         } else {
+          if (!sentenceChunk) sentenceStart = paragraphStart + start;
           sentenceChunk += ' ' + sentence;
           sentenceTokens += sentenceToken;
         }
+        sentenceEnd = paragraphStart + start + sentence.length;
       }
 
       if (sentenceChunk.trim()) {
-        chunks.push(sentenceChunk.trim());
+        chunks.push({ content: sentenceChunk.trim(), startChar: sentenceStart });
       }
 
       continue;
@@ -116,10 +217,11 @@ export function chunkText(text, maxTokens = 500, overlapWords = 50) {
     // Check if adding this paragraph would exceed maxTokens
     if (currentTokens + paragraphTokens > maxTokens && currentChunk) {
       // Save current chunk
-      chunks.push(currentChunk.trim());
+      chunks.push({ content: currentChunk.trim(), startChar: currentStart });
 
       // Start new chunk with overlap from previous chunk
       const overlap = getLastWords(currentChunk, overlapWords);
+      currentStart = getLastWordsStart(text, currentStart, currentEnd, overlapWords);
       currentChunk = overlap + '\n\n' + paragraph;
       currentTokens = estimateTokens(currentChunk);
     } else {
@@ -128,26 +230,312 @@ export function chunkText(text, maxTokens = 500, overlapWords = 50) {
         currentChunk += '\n\n' + paragraph;
       } else {
         currentChunk = paragraph;
+        currentStart = paragraphStart;
       }
       currentTokens += paragraphTokens;
     }
+    currentEnd = paragraphEnd;
   }
 
   // Add final chunk if exists
   if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
+    chunks.push({ content: currentChunk.trim(), startChar: currentStart });
+  }
+
+  return chunks;
+}
+
+/**
+ * Split text into structural blocks: headings, paragraphs, lists, tables and code
+ * Blocks are separated by blank lines or by a change of block type
+ *
+ * @param {string} text - Cleaned text
+ * @returns {Array<{type: string, start: number, end: number, level?: number, title?: string}>}
+ */
+function parseBlocks(text) {
+  const blocks = [];
+  let current = null;
+  let fence = null;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+  const open = (type, start, end) => {
+    current = { type, start, end };
+  };
+
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const lineStart = offset;
+    const lineEnd = offset + line.length;
+    offset = lineEnd + 1;
+
+    // Inside a fenced code block everything belongs to the block until the closing fence
+    if (fence) {
+      current.end = lineEnd;
+      if (line.trim().startsWith(fence)) {
+        fence = null;
+        close();
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      close();
+      open('code', lineStart, lineEnd);
+      fence = fenceMatch[1];
+      continue;
+    }
+
+    if (!line.trim()) {
+      close();
+      continue;
+    }
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      close();
+      blocks.push({ type: 'heading', start: lineStart, end: lineEnd, level: heading[1].length, title: cleanHeading(heading[2]) });
+      continue;
+    }
+
+    // Setext heading: a single line of text underlined with === or ---
+    const underline = line.match(/^\s{0,3}(=+|-+)\s*$/);
+    if (underline && current?.type === 'paragraph' && !text.slice(current.start, current.end).includes('\n')) {
+      current.type = 'heading';
+      current.level = underline[1][0] === '=' ? 1 : 2;
+      current.title = cleanHeading(text.slice(current.start, current.end));
+      current.end = lineEnd;
+      close();
+      continue;
+    }
+
+    let type = 'paragraph';
+    if (/^\s*\|/.test(line)) {
+      type = 'table';
+    } else if (/^\s*([-*+]|\d+[.)])\s+/.test(line)) {
+      type = 'list';
+    } else if (/^( {4}|\t)/.test(line)) {
+      // Indented lines continue a list item, otherwise they are code
+      type = current?.type === 'list' ? 'list' : 'code';
+    } else if (current && current.type !== 'table') {
+      // Lazy continuation of a paragraph or list item
+      type = current.type;
+    }
+
+    if (current && current.type === type) {
+      current.end = lineEnd;
+    } else {
+      close();
+      open(type, lineStart, lineEnd);
+    }
+  }
+  close();
+
+  return blocks;
+}
+
+/**
+ * Strip inline markdown from a heading
+ * @param {string} title
+ * @returns {string}
+ */
+function cleanHeading(title) {
+  return title.replace(/[*_`]/g, '').replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').trim();
+}
+
+/**
+ * Build a lookup from a character offset to the heading path in effect there
+ * @param {Array<Object>} blocks - Output of parseBlocks
+ * @returns {function(number): string|null}
+ */
+function createHeadingPathLookup(blocks) {
+  const stack = [];
+  const paths = [];
+
+  for (const block of blocks) {
+    if (block.type !== 'heading' || !block.title) continue;
+
+    while (stack.length && stack[stack.length - 1].level >= block.level) {
+      stack.pop();
+    }
+    stack.push(block);
+    paths.push({ start: block.start, path: stack.map(heading => heading.title).join(' > ') });
   }
 
-  // Format chunks with metadata
-  return chunks.map((content, index) => ({
-    content,
-    order: index,
-    wordCount: countWords(content),
-    metadata: {
-      startChar: text.indexOf(content.substring(0, 50)),
-      endChar: text.indexOf(content.substring(0, 50)) + content.length
+  return (offset) => {
+    let path = null;
+    for (const entry of paths) {
+      if (entry.start > offset) break;
+      path = entry.path;
+    }
+    return path;
+  };
+}
+
+/**
+ * A trimmed span of the text
+ * @returns {{content: string, startChar: number}|null} - null if the span is blank
+ */
+function makeSpan(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return end > start ? { content: text.slice(start, end), startChar: start } : null;
+}
+
+/**
+ * Split a range into pieces of at most maxChars, cutting after the last boundary that fits
+ * Falls back to whitespace, then to a hard cut
+ *
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @param {number} maxChars
+ * @param {RegExp[]} boundaries - Preferred cut points, best first (global regexes; cut after the match)
+ * @returns {Array<{content: string, startChar: number}>}
+ */
+function splitRange(text, start, end, maxChars, boundaries) {
+  const spans = [];
+  let position = start;
+
+  while (end - position > maxChars) {
+    const window = text.slice(position, position + maxChars);
+    let cut = -1;
+
+    // A boundary in the first half would leave tiny pieces; try the next kind instead
+    for (const boundary of [...boundaries, /\s+/g]) {
+      let last = -1;
+      for (const match of window.matchAll(boundary)) {
+        last = match.index + match[0].length;
+      }
+      if (last > maxChars / 2) {
+        cut = last;
+        break;
+      }
     }
-  }));
+
+    if (cut === -1) cut = maxChars;
+
+    const span = makeSpan(text, position, position + cut);
+    if (span) spans.push(span);
+    position += cut;
+  }
+
+  const span = makeSpan(text, position, end);
+  if (span) spans.push(span);
+
+  return spans;
+}
+
+/**
+ * Split a block too large for one chunk along boundaries that suit its type
+ * @returns {Array<{content: string, startChar: number}>}
+ */
+function splitBlock(text, block, maxChars) {
+  switch (block.type) {
+    case 'code':
+      // Blank lines usually separate functions; otherwise cut between lines
+      return splitRange(text, block.start, block.end, maxChars, [/\n[ \t]*\n/g, /\n/g]);
+    case 'list':
+      return splitRange(text, block.start, block.end, maxChars, [/\n(?=\s*([-*+]|\d+[.)])\s)/g, /\n/g]);
+    case 'table':
+      return splitRange(text, block.start, block.end, maxChars, [/\n/g]);
+    default:
+      return splitRange(text, block.start, block.end, maxChars, [/\n/g, /[.!?]+\s+/g]);
+  }
+}
+
+/**
+ * Pack consecutive blocks into chunks, never splitting a block that fits in one chunk
+ *
+ * @param {string} text
+ * @param {Array<Object>} blocks - Output of parseBlocks
+ * @param {number} maxChars
+ * @param {Object} options
+ * @param {boolean} options.splitAtHeadings - Start a new chunk at every heading
+ * @param {boolean} options.keepCodeWithIntro - Move the paragraph before a code block along with it
+ * @returns {Array<{content: string, startChar: number}>}
+ */
+function chunkByBlocks(text, blocks, maxChars, { splitAtHeadings = false, keepCodeWithIntro = false }) {
+  const spans = [];
+  let group = [];
+
+  const flush = (keep = []) => {
+    const kept = group.length > keep.length ? keep : [];
+    const packed = group.slice(0, group.length - kept.length);
+    if (packed.length) {
+      const span = makeSpan(text, packed[0].start, packed[packed.length - 1].end);
+      if (span) spans.push(span);
+    }
+    group = kept;
+  };
+
+  // Blocks that belong at the start of the next chunk rather than the end of this one:
+  // a heading, or (for code) the sentence introducing a code block
+  const leadsInto = (previous, block) => previous.type === 'heading' ||
+    (keepCodeWithIntro && block.type === 'code' && previous.type === 'paragraph');
+
+  for (const block of blocks) {
+    if (block.type === 'heading' && splitAtHeadings) {
+      flush();
+    }
+
+    if (block.end - block.start > maxChars) {
+      // Split from the lead-in so it starts the first piece instead of being a chunk of its own
+      const lead = group.length && leadsInto(group[group.length - 1], block) ? group.pop() : null;
+      flush();
+
+      spans.push(...splitBlock(text, lead ? { ...block, start: lead.start } : block, maxChars));
+      continue;
+    }
+
+    if (group.length && block.end - group[0].start > maxChars) {
+      const last = group[group.length - 1];
+      flush(leadsInto(last, block) ? [last] : []);
+
+      if (group.length && block.end - group[0].start > maxChars) {
+        flush();
+      }
+    }
+
+    group.push(block);
+  }
+  flush();
+
+  return spans;
+}
+
+/**
+ * Fixed-size windows with overlap, cut at whitespace
+ * @param {string} text
+ * @param {number} maxChars
+ * @param {number} overlapWords
+ * @returns {Array<{content: string, startChar: number}>}
+ */
+function chunkByWindow(text, maxChars, overlapWords) {
+  const spans = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    if (end < text.length) {
+      const lastSpace = text.slice(start, end).search(/\s\S*$/);
+      if (lastSpace > 0) end = start + lastSpace;
+    }
+
+    const span = makeSpan(text, start, end);
+    if (span) spans.push(span);
+    if (end >= text.length) break;
+
+    // Step back overlapWords words for the next window
+    const wordStarts = [...text.slice(start, end).matchAll(/\S+/g)].map(match => start + match.index);
+    const overlapStart = wordStarts[wordStarts.length - overlapWords];
+    start = overlapWords > 0 && overlapStart > start ? overlapStart : end;
+  }
+
+  return spans;
 }
 
 /**
@@ -163,6 +551,7 @@ export function isValidChunk(chunk) {
 }
 
 export default {
+  CHUNKING_STRATEGIES,
   chunkText,
   estimateTokens,
   countWords,
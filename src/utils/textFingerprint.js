@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+
+// Fingerprints of chunk text
+// - contentHash: SHA-256 of the normalized text, equal for identical text (ignoring
+//   whitespace and Unicode form); keys the embedding cache and finds exact copies
+// - simhash: 64-bit SimHash of word 3-grams (Charikar, 2002). Texts that differ by a few
+//   words have hashes a few bits apart, which finds near-copies such as the same slide
+//   with an updated date.
+//
+// Near-copies are looked up by band: the simhash is split into SIMHASH_BANDS 16-bit parts
+// that are stored with the chunk. Two hashes at most 2 * SIMHASH_BANDS - 1 bits apart have
+// a part differing by at most one bit, so a lookup probes each part and its one-bit
+// variants (simhashProbes). Each probe matches about 1 in 65536 unrelated chunks.
+
+export const SIMHASH_BANDS = 4;
+// Chunks whose simhashes differ by at most this many bits are near-duplicates (must stay
+// below 2 * SIMHASH_BANDS). A word changed in a chunk of a few hundred words moves its
+// simhash by up to about 5 bits; unrelated chunks are around 32 bits apart.
+export const NEAR_DUPLICATE_DISTANCE = 6;
+
+const BAND_BITS = 64 / SIMHASH_BANDS;
+
+/**
+ * Normalize text before hashing: Unicode NFKC, single spaces, trimmed
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return text.normalize('NFKC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Hash normalized text
+ * @param {string} text
+ * @returns {string} - Hex SHA-256
+ */
+export function contentHash(text) {
+  return crypto.createHash('sha256').update(normalizeText(text)).digest('hex');
+}
+
+/**
+ * 64-bit SimHash of a text's word 3-grams (single words for very short texts)
+ * @param {string} text
+ * @returns {string} - 16 hex characters
+ */
+export function simhash(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const shingles = words.length < 3
+    ? words
+    : words.slice(2).map((word, index) => `${words[index]} ${words[index + 1]} ${word}`);
+
+  const weights = new Array(64).fill(0);
+  for (const shingle of shingles) {
+    const digest = crypto.createHash('md5').update(shingle).digest();
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (digest[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+    }
+  }
+
+  const bytes = Buffer.alloc(8);
+  for (let bit = 0; bit < 64; bit++) {
+    if (weights[bit] > 0) bytes[bit >> 3] |= 1 << (bit & 7);
+  }
+  return bytes.toString('hex');
+}
+
+/**
+ * Split a simhash into bands for lookup
+ * @param {string} hash - From simhash
+ * @returns {string[]} - e.g. ['0:1a2b', '1:3c4d', ...]
+ */
+export function simhashBands(hash) {
+  const size = hash.length / SIMHASH_BANDS;
+  return Array.from({ length: SIMHASH_BANDS }, (_, band) => `${band}:${hash.slice(band * size, (band + 1) * size)}`);
+}
+
+/**
+ * Band values to look up to find the near-duplicates of a simhash: each of its bands,
+ * and each band with one bit flipped
+ * @param {string} hash - From simhash
+ * @returns {string[]} - SIMHASH_BANDS * 17 band values
+ */
+export function simhashProbes(hash) {
+  const size = hash.length / SIMHASH_BANDS;
+
+  return Array.from({ length: SIMHASH_BANDS }, (_, band) => {
+    const value = parseInt(hash.slice(band * size, (band + 1) * size), 16);
+    const variants = [value];
+    for (let bit = 0; bit < BAND_BITS; bit++) variants.push(value ^ (1 << bit));
+    return variants.map(variant => `${band}:${variant.toString(16).padStart(size, '0')}`);
+  }).flat();
+}
+
+/**
+ * Number of bits two simhashes differ by
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function hammingDistance(a, b) {
+  return popcount32(parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) +
+    popcount32(parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16));
+}
+
+/**
+ * All fingerprints of a chunk's text
+ * @param {string} text
+ * @returns {{contentHash: string, simhash: string, simhashBands: string[]}}
+ */
+export function fingerprintText(text) {
+  const hash = simhash(text);
+  return { contentHash: contentHash(text), simhash: hash, simhashBands: simhashBands(hash) };
+}
+
+// ==================== HELPER FUNCTIONS ====================
+
+/**
+ * Number of set bits in a 32-bit integer
+ * @param {number} value
+ * @returns {number}
+ */
+function popcount32(value) {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  bits = (bits + (bits >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(bits, 0x01010101) >>> 24;
+}
+
+export default {
+  SIMHASH_BANDS,
+  NEAR_DUPLICATE_DISTANCE,
+  normalizeText,
+  contentHash,
+  simhash,
+  simhashBands,
+  simhashProbes,
+  hammingDistance,
+  fingerprintText
+};
@@ -0,0 +1,24 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random opaque token for links sent to users
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} - Hex encoded token
+ */
+export function generateToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Hash a token before storing it, so a database leak doesn't expose usable tokens
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+export default {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,67 @@
+/**
+ * Browser detection rules, checked in order (Edge and Opera also contain "Chrome")
+ */
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ },
+  { name: 'curl', pattern: /curl\/([\d.]+)/ }
+];
+
+/**
+ * Operating system detection rules, checked in order (Android also contains "Linux")
+ */
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ }
+];
+
+/**
+ * Parse a User-Agent header into a short device description
+ * Intentionally simple: only used to help users recognise their sessions
+ *
+ * @param {string} userAgent - Raw User-Agent header
+ * @returns {{browser: string, os: string, type: string, label: string}}
+ */
+export function parseUserAgent(userAgent) {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', type: 'unknown', label: 'Unknown device' };
+  }
+
+  let browser = 'Unknown';
+  for (const rule of BROWSERS) {
+    const match = userAgent.match(rule.pattern);
+    if (match) {
+      browser = `${rule.name} ${match[1].split('.')[0]}`;
+      break;
+    }
+  }
+
+  const os = OPERATING_SYSTEMS.find(rule => rule.pattern.test(userAgent))?.name || 'Unknown';
+
+  let type = 'desktop';
+  if (/iPad|Tablet/.test(userAgent)) {
+    type = 'tablet';
+  } else if (/Mobi|iPhone|Android/.test(userAgent)) {
+    type = 'mobile';
+  }
+
+  return {
+    browser,
+    os,
+    type,
+    label: `${browser} on ${os}`
+  };
+}
+
+export default {
+  parseUserAgent
+};